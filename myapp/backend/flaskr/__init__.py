@@ -1,5 +1,6 @@
 import os
 import json
+import time
 import requests
 from flask import Flask, request
 from flask_cors import CORS
@@ -60,7 +61,7 @@ def signaling(ws, room_name):
         if room_name not in active_rooms:
             active_rooms[room_name] = {
                 'participants': {},
-                'created_at': os.time()
+                'created_at': time.time()
             }
         
         # Handle WebSocket messages
@@ -73,16 +74,19 @@ def signaling(ws, room_name):
                 participant_id = message.get('participantId', str(len(active_rooms[room_name]['participants'])))
                 participant_name = message.get('username', f'User-{participant_id}')
                 
+                # A known participantId means the client reconnected after a drop
+                resumed = participant_id in active_rooms[room_name]['participants']
+                
                 # Store participant info
                 active_rooms[room_name]['participants'][participant_id] = {
                     'name': participant_name,
                     'ws': ws,
-                    'joined_at': os.time()
+                    'joined_at': time.time()
                 }
                 
                 # Notify all participants about the new join
                 for pid, participant in active_rooms[room_name]['participants'].items():
-                    if pid != participant_id:
+                    if pid != participant_id and not resumed:
                         try:
                             participant['ws'].send(json.dumps({
                                 'type': 'participant_joined',
@@ -97,6 +101,7 @@ def signaling(ws, room_name):
                 # Send room info to the new participant
                 ws.send(json.dumps({
                     'type': 'room_joined',
+                    'resumed': resumed,
                     'participants': [
                         {'id': pid, 'name': p['name']} 
                         for pid, p in active_rooms[room_name]['participants'].items() 
@@ -131,6 +136,19 @@ def signaling(ws, room_name):
                     except Exception as e:
                         print(f"Error forwarding ICE candidate to {target_id}: {e}")
                 
+            elif message['type'] == 'recording_state' and participant_id:
+                # Tell everyone else a participant started, paused or stopped recording
+                for pid, participant in active_rooms[room_name]['participants'].items():
+                    if pid != participant_id:
+                        try:
+                            participant['ws'].send(json.dumps({
+                                'type': 'recording_state',
+                                'from': participant_id,
+                                'state': message.get('state')
+                            }))
+                        except Exception as e:
+                            print(f"Error sending to participant {pid}: {e}")
+                
             elif message['type'] == 'leave':
                 # Participant leaving
                 if participant_id and participant_id in active_rooms[room_name]['participants']:
@@ -158,8 +176,11 @@ def signaling(ws, room_name):
         print(f"WebSocket error: {e}")
     
     finally:
-        # Clean up when participant leaves
-        if participant_id and room_name in active_rooms and participant_id in active_rooms[room_name]['participants']:
+        # Clean up when participant leaves, unless a resumed connection
+        # has already taken over this participant's entry
+        if (participant_id and room_name in active_rooms
+                and participant_id in active_rooms[room_name]['participants']
+                and active_rooms[room_name]['participants'][participant_id]['ws'] is ws):
             # Notify all participants about the leave
             for pid, participant in active_rooms[room_name]['participants'].items():
                 if pid != participant_id:
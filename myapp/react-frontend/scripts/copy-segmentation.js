@@ -0,0 +1,19 @@
+// Copies MediaPipe Selfie Segmentation, its WebAssembly and models into
+// public/ so background effects are served with the app instead of a CDN.
+// Runs before `npm start` and `npm run build`.
+const fs = require('fs');
+const path = require('path');
+
+const source = path.dirname(require.resolve('@mediapipe/selfie_segmentation/package.json'));
+const target = path.join(__dirname, '..', 'public', 'mediapipe', 'selfie_segmentation');
+
+// Only what the library loads at runtime
+const RUNTIME_FILE = /\.(js|wasm|data|tflite|binarypb)$/;
+
+fs.mkdirSync(target, { recursive: true });
+
+fs.readdirSync(source)
+  .filter(file => RUNTIME_FILE.test(file))
+  .forEach(file => fs.copyFileSync(path.join(source, file), path.join(target, file)));
+
+console.log(`Copied selfie segmentation to ${path.relative(process.cwd(), target)}`);
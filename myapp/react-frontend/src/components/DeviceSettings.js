@@ -0,0 +1,75 @@
+import { deviceManager } from '../services/DeviceManager';
+import { AUDIO_PROCESSING, getSupportedAudioProcessing } from '../utils/audioSettings';
+
+const DEVICE_LABELS = {
+  audioinput: 'Microphone',
+  videoinput: 'Camera',
+  audiooutput: 'Speaker'
+};
+
+// A select for each device kind, also used by the lobby with its own field style
+export function DeviceSelects({ devices, selected, onChange, fieldClassName = 'device-field' }) {
+  // Speakers can only be picked where the browser supports setSinkId
+  const kinds = Object.keys(DEVICE_LABELS)
+    .filter(kind => kind !== 'audiooutput' || deviceManager.supportsOutputSelection());
+
+  return kinds.map(kind => {
+    // A chosen device that was unplugged shows as the default again
+    const value = devices[kind].some(device => device.deviceId === selected[kind]) ? selected[kind] : '';
+
+    return (
+      <div key={kind} className={fieldClassName}>
+        <label htmlFor={`device-${kind}`}>{DEVICE_LABELS[kind]}</label>
+        <select
+          id={`device-${kind}`}
+          value={value}
+          onChange={(e) => onChange(kind, e.target.value)}
+          disabled={devices[kind].length === 0}
+        >
+          {!value && <option value="">{devices[kind].length > 0 ? 'Default' : 'None found'}</option>}
+          {devices[kind].map(device => (
+            <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+          ))}
+        </select>
+      </div>
+    );
+  });
+}
+
+export default function DeviceSettings({ devices, selected, onChange, audioSettings, onAudioSettingChange, onClose }) {
+  return (
+    <div className="device-settings">
+      <h3>Devices</h3>
+
+      <DeviceSelects devices={devices} selected={selected} onChange={onChange} />
+
+      {audioSettings && (
+        <>
+          <h3>Audio</h3>
+
+          {getSupportedAudioProcessing().map(name => (
+            <label key={name} className="device-toggle">
+              <input
+                type="checkbox"
+                checked={audioSettings[name]}
+                onChange={(e) => onAudioSettingChange(name, e.target.checked)}
+              />
+              <span>{AUDIO_PROCESSING[name]}</span>
+            </label>
+          ))}
+
+          <label className="device-toggle">
+            <input
+              type="checkbox"
+              checked={audioSettings.pushToTalk}
+              onChange={(e) => onAudioSettingChange('pushToTalk', e.target.checked)}
+            />
+            <span>Push to talk (hold Space)</span>
+          </label>
+        </>
+      )}
+
+      <button className="device-settings-close" onClick={onClose}>Done</button>
+    </div>
+  );
+}
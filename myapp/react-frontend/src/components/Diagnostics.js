@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { diagnosticsService, formatReport, summarizeResults } from '../services/DiagnosticsService';
+import '../styles/diagnostics.css';
+import { FaCheckCircle, FaExclamationTriangle, FaTimesCircle, FaMinusCircle } from 'react-icons/fa';
+
+// Icon for each check, skipped checks included
+const STATUS_ICONS = {
+  pass: <FaCheckCircle />,
+  warn: <FaExclamationTriangle />,
+  fail: <FaTimesCircle />,
+  skip: <FaMinusCircle />
+};
+
+// Overall result, skipped checks don't count towards it
+const SUMMARIES = {
+  pass: 'Everything looks good.',
+  warn: 'You can join, but some things may not work well.',
+  fail: 'Something needs fixing before you join.'
+};
+
+export default function Diagnostics({ onClose }) {
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [finished, setFinished] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const runDiagnostics = async () => {
+    setResults([]);
+    setRunning(true);
+    setFinished(false);
+    setCopied(false);
+
+    try {
+      await diagnosticsService.runAll((result, allResults) => setResults(allResults));
+      setFinished(true);
+    } catch (error) {
+      console.error('Error running diagnostics:', error);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const copyReport = async () => {
+    try {
+      await navigator.clipboard.writeText(formatReport(results));
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying report:', error);
+    }
+  };
+
+  const overall = summarizeResults(results);
+
+  return (
+    <div className="join-card diagnostics">
+      <h2>Check Your Setup</h2>
+      <p className="diagnostics-intro">
+        Tests your camera, microphone and network before you join a meeting.
+      </p>
+
+      <ul className="diagnostics-results">
+        {results.map(result => (
+          <li key={result.id} className={`diagnostics-result ${result.status}`}>
+            <span className="diagnostics-icon">{STATUS_ICONS[result.status]}</span>
+            <span className="diagnostics-label">{result.label}</span>
+            <span className="diagnostics-detail">{result.detail}</span>
+          </li>
+        ))}
+        {running && <li className="diagnostics-result running">Running checks...</li>}
+      </ul>
+
+      {finished && (
+        <div className={`diagnostics-summary ${overall}`}>{SUMMARIES[overall]}</div>
+      )}
+
+      <div className="diagnostics-actions">
+        <button className="create-btn" onClick={runDiagnostics} disabled={running}>
+          {finished ? 'Run Again' : 'Start Checks'}
+        </button>
+        {finished && (
+          <button className="diagnostics-secondary" onClick={copyReport}>
+            {copied ? 'Copied' : 'Copy Report'}
+          </button>
+        )}
+        <button className="diagnostics-secondary" onClick={onClose} disabled={running}>
+          Back
+        </button>
+      </div>
+    </div>
+  );
+}
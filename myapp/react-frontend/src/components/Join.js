@@ -2,10 +2,32 @@ import { useState } from 'react';
 import '../styles/base.css';
 import '../styles/join.css';
 import { FaVideo } from 'react-icons/fa';
+import Diagnostics from './Diagnostics';
+import Lobby from './Lobby';
+import { useMeetingControls } from '../store/MeetingStore';
+import { MEDIA_PROFILES, getProfilesForSource, loadMediaProfiles, saveMediaProfile } from '../utils/mediaProfiles';
 
-export default function Join({ handleCreateMeeting, handleJoinMeeting }) {
+export default function Join() {
+  const { createMeeting, joinMeeting } = useMeetingControls();
   const [username, setUsername] = useState('');
   const [roomName, setRoomName] = useState('');
+  const [cameraProfile, setCameraProfile] = useState(() => loadMediaProfiles().camera);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  // 'join' or 'create' once the user moved on to the lobby
+  const [lobbyAction, setLobbyAction] = useState(null);
+
+  // The meeting picks the saved choice up when the camera starts
+  const changeCameraProfile = (profileName) => {
+    saveMediaProfile('camera', profileName);
+    setCameraProfile(profileName);
+  };
+
+  // Join or create with the media picked in the lobby
+  const enterMeeting = (media) => (
+    lobbyAction === 'join'
+      ? joinMeeting(roomName, username, media)
+      : createMeeting(username, media)
+  );
 
   return (
     <div className="join-container">
@@ -17,49 +39,79 @@ export default function Join({ handleCreateMeeting, handleJoinMeeting }) {
         <p className="platform-tagline">Seamless video communication for everyone</p>
       </div>
       
-      <div className="join-card">
-        <h2>Video Chat</h2>
-        
-        <div className="form-group">
-          <label>Your Name</label>
-          <input
-            type="text"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
-            placeholder="Enter your name"
-          />
-        </div>
-
-        <div className="divider">OR</div>
-
-        <div className="form-group">
-          <label>Meeting ID</label>
-          <div className="input-group">
+      {showDiagnostics ? (
+        <Diagnostics onClose={() => setShowDiagnostics(false)} />
+      ) : lobbyAction ? (
+        <Lobby
+          username={username}
+          joinLabel={lobbyAction === 'join' ? 'Join Meeting' : 'Start Meeting'}
+          onJoin={enterMeeting}
+          onCancel={() => setLobbyAction(null)}
+        />
+      ) : (
+        <div className="join-card">
+          <h2>Video Chat</h2>
+          
+          <div className="form-group">
+            <label>Your Name</label>
             <input
               type="text"
-              value={roomName}
-              onChange={(e) => setRoomName(e.target.value)}
-              placeholder="Enter meeting ID"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder="Enter your name"
             />
-            <button 
-              onClick={() => handleJoinMeeting(roomName, username)}
-              disabled={!username || !roomName}
+          </div>
+
+          <div className="form-group">
+            <label>Video Quality</label>
+            <select
+              value={cameraProfile}
+              onChange={(e) => changeCameraProfile(e.target.value)}
             >
-              Join
-            </button>
+              {getProfilesForSource('camera').map(name => (
+                <option key={name} value={name}>{MEDIA_PROFILES[name].label}</option>
+              ))}
+            </select>
           </div>
-        </div>
 
-        <div className="divider">OR</div>
+          <div className="divider">OR</div>
 
-        <button
-          className="create-btn"
-          onClick={() => handleCreateMeeting(username)}
-          disabled={!username}
-        >
-          Create New Meeting
-        </button>
-      </div>
+          <div className="form-group">
+            <label>Meeting ID</label>
+            <div className="input-group">
+              <input
+                type="text"
+                value={roomName}
+                onChange={(e) => setRoomName(e.target.value)}
+                placeholder="Enter meeting ID"
+              />
+              <button 
+                onClick={() => setLobbyAction('join')}
+                disabled={!username || !roomName}
+              >
+                Join
+              </button>
+            </div>
+          </div>
+
+          <div className="divider">OR</div>
+
+          <button
+            className="create-btn"
+            onClick={() => setLobbyAction('create')}
+            disabled={!username}
+          >
+            Create New Meeting
+          </button>
+
+          <button
+            className="diagnostics-link"
+            onClick={() => setShowDiagnostics(true)}
+          >
+            Test your camera, microphone and network
+          </button>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,23 @@
+import { LAYOUT_MODES } from '../utils/layout';
+import { FaThLarge, FaUser, FaColumns } from 'react-icons/fa';
+
+const LAYOUT_ICONS = {
+  grid: <FaThLarge />,
+  speaker: <FaUser />,
+  sidebar: <FaColumns />
+};
+
+// Steps through the layout modes, showing the current one
+export default function LayoutButton({ mode, onChange }) {
+  const next = LAYOUT_MODES[(LAYOUT_MODES.indexOf(mode) + 1) % LAYOUT_MODES.length];
+
+  return (
+    <button
+      className="control-btn"
+      onClick={() => onChange(next)}
+      title={`Layout: ${mode}`}
+    >
+      {LAYOUT_ICONS[mode]}
+    </button>
+  );
+}
@@ -0,0 +1,247 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { deviceManager } from '../services/DeviceManager';
+import { AudioLevelMeter } from '../utils/audioLevel';
+import { getAudioConstraints, loadAudioSettings } from '../utils/audioSettings';
+import { getMediaProfile, loadMediaProfiles } from '../utils/mediaProfiles';
+import VideoTag from './VideoTag';
+import { DeviceSelects } from './DeviceSettings';
+import '../styles/lobby.css';
+import { FaMicrophone, FaMicrophoneSlash, FaVideo, FaVideoSlash } from 'react-icons/fa';
+
+// Level that fills the meter, speech rarely gets near full scale
+const FULL_METER_LEVEL = 0.3;
+
+/**
+ * getUserMedia constraints for a kind on the preferred device
+ */
+const getCaptureConstraints = (kind) => (
+  kind === 'videoinput'
+    ? deviceManager.getConstraints(kind, getMediaProfile(loadMediaProfiles().camera).constraints)
+    : deviceManager.getConstraints(kind, getAudioConstraints(loadAudioSettings()))
+);
+
+export default function Lobby({ username, joinLabel, onJoin, onCancel }) {
+  const [devices, setDevices] = useState(deviceManager.devices);
+  const [selected, setSelected] = useState(() => ({ ...deviceManager.preferences }));
+  const [audioTrack, setAudioTrack] = useState(null);
+  const [videoTrack, setVideoTrack] = useState(null);
+  const [micLevel, setMicLevel] = useState(0);
+  const [micMuted, setMicMuted] = useState(false);
+  const [cameraOff, setCameraOff] = useState(false);
+  const [error, setError] = useState(null);
+  const [joining, setJoining] = useState(false);
+
+  // Current tracks for cleanup, and whether the meeting took them over
+  const tracksRef = useRef({ audio: null, video: null });
+  const handedOverRef = useRef(false);
+  const mountedRef = useRef(false);
+  // Read by capture, so muting doesn't restart the preview
+  const micMutedRef = useRef(false);
+
+  const previewStream = useMemo(() => (videoTrack ? new MediaStream([videoTrack]) : null), [videoTrack]);
+
+  // Meter the microphone while there is one
+  useEffect(() => {
+    if (!audioTrack) return;
+
+    const meter = new AudioLevelMeter(audioTrack);
+    meter.start(setMicLevel);
+
+    return () => {
+      meter.stop();
+      setMicLevel(0);
+    };
+  }, [audioTrack]);
+
+  const setTrack = useCallback((mediaKind, track) => {
+    // Capture can finish after the lobby is gone
+    if (!mountedRef.current) {
+      if (track) track.stop();
+      return;
+    }
+
+    const previousTrack = tracksRef.current[mediaKind];
+
+    if (previousTrack && previousTrack !== track) {
+      previousTrack.stop();
+    }
+
+    tracksRef.current[mediaKind] = track;
+    (mediaKind === 'audio' ? setAudioTrack : setVideoTrack)(track);
+  }, []);
+
+  const capture = useCallback(async (kind) => {
+    const mediaKind = kind === 'audioinput' ? 'audio' : 'video';
+    const stream = await navigator.mediaDevices.getUserMedia({ [mediaKind]: getCaptureConstraints(kind) });
+    const track = stream.getTracks()[0];
+
+    if (mediaKind === 'audio') {
+      track.enabled = !micMutedRef.current;
+    }
+
+    setTrack(mediaKind, track);
+    return track;
+  }, [setTrack]);
+
+  // Ask for camera and microphone together so there is a single permission prompt
+  const startPreview = useCallback(async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: getCaptureConstraints('audioinput'),
+        video: getCaptureConstraints('videoinput')
+      });
+
+      setTrack('audio', stream.getAudioTracks()[0]);
+      setTrack('video', stream.getVideoTracks()[0]);
+    } catch (error) {
+      // One of them may be missing or blocked, the other can still be used
+      const results = await Promise.allSettled([capture('audioinput'), capture('videoinput')]);
+
+      if (results.every(result => result.status === 'rejected')) {
+        console.error('Error starting preview:', error);
+        setError('Could not access your camera or microphone. Check your permissions.');
+      }
+    }
+
+    // Device labels are only revealed once access was granted
+    deviceManager.refresh().catch(error => console.error('Error listing devices:', error));
+  }, [setTrack, capture]);
+
+  const stopTracks = useCallback(() => {
+    Object.values(tracksRef.current).forEach(track => track && track.stop());
+    tracksRef.current = { audio: null, video: null };
+  }, []);
+
+  useEffect(() => {
+    mountedRef.current = true;
+
+    deviceManager.setCallbacks({ onDevicesChange: setDevices });
+    deviceManager.start().catch(error => console.error('Error listing devices:', error));
+
+    startPreview();
+
+    return () => {
+      mountedRef.current = false;
+      deviceManager.stop();
+
+      if (!handedOverRef.current) {
+        stopTracks();
+      }
+    };
+  }, [startPreview, stopTracks]);
+
+  const changeDevice = async (kind, deviceId) => {
+    deviceManager.setPreferredDevice(kind, deviceId);
+    setSelected({ ...deviceManager.preferences });
+
+    // The speaker is applied once the meeting plays remote audio
+    if (kind === 'audiooutput' || (kind === 'videoinput' && cameraOff)) return;
+
+    try {
+      await capture(kind);
+    } catch (error) {
+      console.error('Error switching device:', error);
+      setError('Failed to switch to the selected device.');
+    }
+  };
+
+  const toggleMic = () => {
+    if (audioTrack) {
+      audioTrack.enabled = micMuted;
+    }
+
+    micMutedRef.current = !micMuted;
+    setMicMuted(!micMuted);
+  };
+
+  // Turning the camera off releases it, so its light goes off too
+  const toggleCamera = async () => {
+    if (!cameraOff) {
+      setTrack('video', null);
+      setCameraOff(true);
+      return;
+    }
+
+    setCameraOff(false);
+
+    try {
+      await capture('videoinput');
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      setError('Failed to access camera. Please check your permissions.');
+    }
+  };
+
+  const join = async () => {
+    handedOverRef.current = true;
+    setJoining(true);
+
+    try {
+      // Still ours when the meeting wasn't entered, e.g. for a bad room name
+      if (!await onJoin({ audioTrack, videoTrack: cameraOff ? null : videoTrack })) {
+        handedOverRef.current = false;
+      }
+    } catch (error) {
+      console.error('Error joining meeting:', error);
+      handedOverRef.current = false;
+      setError('Failed to join the meeting. Please try again.');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const cancel = () => {
+    stopTracks();
+    onCancel();
+  };
+
+  return (
+    <div className="join-card lobby">
+      <h2>Ready to join?</h2>
+
+      <div className="lobby-preview">
+        {previewStream ? (
+          <VideoTag srcObject={previewStream} muted={true} className="lobby-video" />
+        ) : (
+          <div className="lobby-placeholder">{(username || '?').charAt(0).toUpperCase()}</div>
+        )}
+
+        <div className="lobby-toggles">
+          <button
+            className={`lobby-toggle ${micMuted ? 'off' : ''}`}
+            onClick={toggleMic}
+            title={micMuted ? 'Join unmuted' : 'Join muted'}
+          >
+            {micMuted ? <FaMicrophoneSlash /> : <FaMicrophone />}
+          </button>
+          <button
+            className={`lobby-toggle ${cameraOff ? 'off' : ''}`}
+            onClick={toggleCamera}
+            title={cameraOff ? 'Join with camera on' : 'Join with camera off'}
+          >
+            {cameraOff ? <FaVideoSlash /> : <FaVideo />}
+          </button>
+        </div>
+      </div>
+
+      <div className="lobby-meter" title="Microphone level">
+        <div
+          className="lobby-meter-level"
+          style={{ width: `${Math.min(100, Math.round((micLevel / FULL_METER_LEVEL) * 100))}%` }}
+        />
+      </div>
+
+      {error && <div className="lobby-error">{error}</div>}
+
+      <DeviceSelects devices={devices} selected={selected} onChange={changeDevice} fieldClassName="form-group" />
+
+      <button className="create-btn" onClick={join} disabled={joining}>
+        {joining ? 'Joining...' : joinLabel}
+      </button>
+
+      <button className="lobby-back" onClick={cancel} disabled={joining}>
+        Back
+      </button>
+    </div>
+  );
+}
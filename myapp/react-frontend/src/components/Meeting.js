@@ -1,69 +1,325 @@
+import { useState, useEffect, useRef } from 'react';
 import VideoTag from './VideoTag';
+import VideoLayout from './VideoLayout';
+import LayoutButton from './LayoutButton';
+import DeviceSettings from './DeviceSettings';
+import { deviceManager } from '../services/DeviceManager';
+import { VIDEO_EFFECTS } from '../services/VideoEffects';
+import { meetingRecorder, downloadRecording, getRecordingFilename, supportsRecording } from '../services/MeetingRecorder';
+import { AudioLevelMeter, SpeechDetector } from '../utils/audioLevel';
+import { MEDIA_PROFILES, getProfilesForSource } from '../utils/mediaProfiles';
+import {
+  useActiveSpeaker,
+  useAdaptationLevels,
+  useConnectionQuality,
+  useConnectionState,
+  useLocalMedia,
+  useMeeting,
+  useMeetingControls,
+  useParticipants,
+  usePeerStates,
+  useRemoteRecordings,
+  useRemoteTracks
+} from '../store/MeetingStore';
 import '../styles/base.css';
 import '../styles/meeting.css';
-import { FaMicrophone, FaMicrophoneSlash, FaVideo, FaVideoSlash, FaDesktop, FaPhoneSlash } from 'react-icons/fa';
-
-function Meeting({
-  handleMicBtn,
-  handleCameraBtn,
-  handelScreenBtn,
-  handleLeaveBtn,
-  localVideoStream,
-  onlineUsers,
-  remoteTracks,
-  username,
-  roomName,
-  meetingInfo,
-  micShared,
-  cameraShared,
-  screenShared,
-}) {
+import { FaMicrophone, FaMicrophoneSlash, FaVideo, FaVideoSlash, FaDesktop, FaPhoneSlash, FaCog, FaCircle, FaStop, FaPause, FaPlay } from 'react-icons/fa';
+
+// Key held to talk when push-to-talk is on, a KeyboardEvent.code
+const PUSH_TO_TALK_KEY = 'Space';
+
+// Keys typed into these elements are text, not push-to-talk
+const isTypingTarget = (target) => (
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable
+);
+
+// Tile overlays for connections that are being brought back
+const RECONNECT_MESSAGES = {
+  reconnecting: 'Reconnecting...',
+  rebuilding: 'Reconnecting...',
+  offline: 'You are offline',
+  failed: 'Connection lost'
+};
+
+// Summarize negotiated codecs for a tooltip, e.g. "video: VP9, audio: opus"
+const describeCodecs = (codecs) => {
+  if (!codecs) return 'Connecting';
+
+  return Object.entries(codecs)
+    .map(([kind, { receive, send }]) => `${kind}: ${(receive || send || '').split('/')[1] || 'none'}`)
+    .join(', ');
+};
+
+// Who is recording, e.g. "You and Alice are recording"
+const describeRecording = (localState, remoteNames) => {
+  if (localState === 'paused' && remoteNames.length === 0) return 'Recording paused';
+
+  const names = localState === 'inactive' ? remoteNames : ['You', ...remoteNames];
+  const subject = names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+
+  return `${subject} ${names.length > 1 || localState !== 'inactive' ? 'are' : 'is'} recording`;
+};
+
+// Tell the user when the network forced their video down for any peer
+const describeAdaptation = (levels) => {
+  const reduced = levels.filter(level => level && level !== 'full');
+
+  if (reduced.includes('audio-only')) return 'Your video was paused due to network conditions';
+  if (reduced.length > 0) return 'Your video was reduced due to network conditions';
+  return null;
+};
+
+// Stop recording and download the file
+const stopRecording = async (roomName) => {
+  const blob = await meetingRecorder.stop();
+
+  if (blob) {
+    downloadRecording(blob, getRecordingFilename(roomName));
+  }
+};
+
+function Meeting() {
+  const { roomName, username } = useMeeting();
+  const participants = useParticipants();
+  const remoteTracks = useRemoteTracks();
+  const connectionQuality = useConnectionQuality();
+  const connectionState = useConnectionState();
+  const peerStates = usePeerStates();
+  const adaptationLevels = useAdaptationLevels();
+  const remoteRecordings = useRemoteRecordings();
+  const activeSpeaker = useActiveSpeaker();
+  const {
+    audio: micShared,
+    video: cameraShared,
+    screen: screenShared,
+    videoStream: localVideoStream,
+    audioTrack: micTrack,
+    screenTrack,
+    mediaProfiles,
+    videoEffect,
+    audioSettings
+  } = useLocalMedia();
+  const {
+    toggleAudio,
+    toggleVideo,
+    toggleScreenShare,
+    applyLayout,
+    switchDevice,
+    setMediaProfile,
+    setVideoEffect,
+    setAudioSetting,
+    setTalking,
+    sendRecordingState,
+    features,
+    leave
+  } = useMeetingControls();
+  const [layoutMode, setLayoutMode] = useState('grid');
+  const [devices, setDevices] = useState(deviceManager.devices);
+  const [selectedDevices, setSelectedDevices] = useState(() => ({ ...deviceManager.preferences }));
+  const [showDeviceSettings, setShowDeviceSettings] = useState(false);
+  const [talkingWhileMuted, setTalkingWhileMuted] = useState(false);
+  const [recordingState, setRecordingState] = useState(meetingRecorder.state);
+  // Last layout on screen, the recording follows it
+  const layoutRef = useRef(null);
+  const recordingSceneRef = useRef(null);
+  const pushToTalk = features.audioSettings && !!audioSettings?.pushToTalk;
+
+  // Follow devices being plugged in and out
+  useEffect(() => {
+    deviceManager.setCallbacks({ onDevicesChange: setDevices });
+    deviceManager.start().catch(error => console.error('Error listing devices:', error));
+
+    return () => deviceManager.stop();
+  }, []);
+
+  // Let everyone know when we record, and keep what was recorded when the meeting ends
+  useEffect(() => {
+    meetingRecorder.setCallbacks({
+      onStateChange: (state) => {
+        setRecordingState(state);
+        sendRecordingState(state);
+      }
+    });
+
+    return () => {
+      stopRecording(roomName);
+    };
+  }, [roomName, sendRecordingState]);
+
+  // Push-to-talk: the microphone is live only while the key is held
+  useEffect(() => {
+    if (!pushToTalk) return;
+
+    const handleKeyDown = (event) => {
+      if (event.code !== PUSH_TO_TALK_KEY || event.repeat || isTypingTarget(event.target)) return;
+
+      // Don't scroll the page or press the focused button
+      event.preventDefault();
+      setTalking(true);
+    };
+
+    const handleKeyUp = (event) => {
+      if (event.code !== PUSH_TO_TALK_KEY || isTypingTarget(event.target)) return;
+
+      event.preventDefault();
+      setTalking(false);
+    };
+
+    // The key up is never seen if the window loses focus while it is held
+    const handleBlur = () => setTalking(false);
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, [pushToTalk, setTalking]);
+
+  // Warn when the user speaks into a muted microphone. The muted track only
+  // carries silence, so a clone of it is measured instead.
+  useEffect(() => {
+    if (!micTrack || micShared) return;
+
+    const probe = micTrack.clone();
+    probe.enabled = true;
+
+    const meter = new AudioLevelMeter(probe);
+    const detector = new SpeechDetector();
+    meter.start(level => setTalkingWhileMuted(detector.update(level)));
+
+    return () => {
+      meter.stop();
+      probe.stop();
+      setTalkingWhileMuted(false);
+    };
+  }, [micTrack, micShared]);
+
+  const handleLayoutChange = (layout) => {
+    layoutRef.current = layout;
+    applyLayout(layout);
+  };
+
+  // Pick another microphone, camera or speaker
+  const changeDevice = async (kind, deviceId) => {
+    await switchDevice(kind, deviceId);
+    setSelectedDevices({ ...deviceManager.preferences });
+  };
+
+  // Record the meeting as it is on screen
+  const startRecording = () => {
+    try {
+      meetingRecorder.start(() => recordingSceneRef.current);
+    } catch (error) {
+      console.error('Error starting recording:', error);
+      alert('Recording is not supported in this browser.');
+    }
+  };
+
+  const toggleRecordingPause = () => {
+    if (meetingRecorder.state === 'paused') {
+      meetingRecorder.resume();
+    } else {
+      meetingRecorder.pause();
+    }
+  };
+
+  const leaveMeeting = () => {
+    // Keep what was recorded so far
+    stopRecording(roomName);
+    leave();
+  };
+
+  // An unplugged speaker falls back to the system default
+  const audioOutputId = devices.audiooutput.some(device => device.deviceId === selectedDevices.audiooutput)
+    ? selectedDevices.audiooutput
+    : '';
+
   let userStreamMap = {};
   for (let trackItem of remoteTracks) {
-    if (!userStreamMap[trackItem.participantSessionId]) {
-      userStreamMap[trackItem.participantSessionId] = [];
+    if (!userStreamMap[trackItem.participantId]) {
+      userStreamMap[trackItem.participantId] = [];
     }
-    userStreamMap[trackItem.participantSessionId].push(trackItem);
+    userStreamMap[trackItem.participantId].push(trackItem);
   }
 
-  let remoteParticipantTags = [];
-  for (let user of onlineUsers) {
-    if (user._id === meetingInfo.participantSessionId) {
-      continue;
+  // What the recorder draws and mixes, read on every recorded frame
+  const findTrack = (participantId, kind) => (
+    userStreamMap[participantId]?.find(trackItem => trackItem.kind === kind)?.track
+  );
+
+  recordingSceneRef.current = {
+    layout: participants.length > 0 ? layoutRef.current : null,
+    participants: participants.map(participant => ({
+      id: participant.id,
+      name: participant.name,
+      videoTrack: findTrack(participant.id, 'video'),
+      audioTrack: findTrack(participant.id, 'audio')
+    })),
+    local: {
+      id: 'local',
+      name: username,
+      videoTrack: screenTrack || localVideoStream?.getVideoTracks()[0],
+      audioTrack: micTrack
     }
+  };
+
+  const recorders = participants
+    .filter(participant => remoteRecordings[participant.id])
+    .map(participant => participant.name);
+  const adaptationMessage = describeAdaptation(participants.map(participant => adaptationLevels[participant.id]));
 
+  let remoteParticipantTiles = [];
+  for (let user of participants) {
     let videoTags = [];
-    if (userStreamMap[user._id]?.length > 0) {
-      for (let trackItem of userStreamMap[user._id]) {
+    if (userStreamMap[user.id]?.length > 0) {
+      for (let trackItem of userStreamMap[user.id]) {
         if (trackItem.track) {
-          let stream = new MediaStream();
-          stream.addTrack(trackItem.track);
-
           videoTags.push(
-            <VideoTag 
-              key={trackItem.streamId} 
-              srcObject={stream} 
-              style={trackItem.type === "audio" ? { display: "none" } : {}}
+            <VideoTag
+              key={trackItem.id}
+              track={trackItem.track}
+              sinkId={audioOutputId}
+              style={trackItem.kind === "audio" ? { display: "none" } : {}}
             />
           );
         } else {
-          console.warn(`Invalid track for user ${user._id}`, trackItem);
+          console.warn(`Invalid track for user ${user.id}`, trackItem);
         }
       }
     }
 
-    remoteParticipantTags.push(
-      <div key={user._id} className="participant-video">
-        <div className="video-container">
-          {videoTags.length > 0 ? videoTags : (
-            <div className="no-video-placeholder">
-              <div className="user-avatar">{user.name.charAt(0).toUpperCase()}</div>
-            </div>
+    remoteParticipantTiles.push({
+      id: user.id,
+      element: (
+        <div className={`participant-video ${user.id === activeSpeaker ? 'speaking' : ''}`}>
+          <div className="video-container">
+            {videoTags.length > 0 ? videoTags : (
+              <div className="no-video-placeholder">
+                <div className="user-avatar">{user.name.charAt(0).toUpperCase()}</div>
+              </div>
+            )}
+          </div>
+          {RECONNECT_MESSAGES[peerStates[user.id]] && (
+            <div className="peer-status">{RECONNECT_MESSAGES[peerStates[user.id]]}</div>
           )}
+          <div className="participant-name">
+            {user.name}
+            {connectionQuality[user.id] && (
+              <span
+                className={`quality-indicator ${connectionQuality[user.id].quality}`}
+                title={describeCodecs(connectionQuality[user.id].codecs)}
+              />
+            )}
+          </div>
         </div>
-        <div className="participant-name">{user.name}</div>
-      </div>
-    );
+      )
+    });
   }
 
   return (
@@ -73,10 +329,29 @@ function Meeting({
           <span className="meeting-id">Meeting ID: {roomName}</span>
           <span className="user-name">{username}</span>
         </div>
+        {connectionState === 'reconnecting' && (
+          <div className="signaling-status">Connection lost. Reconnecting...</div>
+        )}
+        {(recordingState !== 'inactive' || recorders.length > 0) && (
+          <div className="recording-indicator">
+            <FaCircle className={recordingState === 'paused' ? 'paused' : ''} />
+            {describeRecording(recordingState, recorders)}
+          </div>
+        )}
+        {adaptationMessage && (
+          <div className="signaling-status">{adaptationMessage}</div>
+        )}
       </div>
 
       <div className="video-grid">
-        {remoteParticipantTags.length > 0 ? remoteParticipantTags : (
+        {remoteParticipantTiles.length > 0 ? (
+          <VideoLayout
+            mode={layoutMode}
+            activeSpeaker={activeSpeaker}
+            onLayoutChange={handleLayoutChange}
+            tiles={remoteParticipantTiles}
+          />
+        ) : (
           <div className="waiting-participants">
             <p>Waiting for others to join...</p>
           </div>
@@ -93,34 +368,132 @@ function Meeting({
         </div>
       )}
 
+      {talkingWhileMuted && (
+        <div className="muted-warning">
+          You are talking while muted
+          {pushToTalk && <span> (hold Space to talk)</span>}
+        </div>
+      )}
+
+      {showDeviceSettings && (
+        <DeviceSettings
+          devices={devices}
+          selected={selectedDevices}
+          onChange={changeDevice}
+          audioSettings={features.audioSettings ? audioSettings : null}
+          onAudioSettingChange={setAudioSetting}
+          onClose={() => setShowDeviceSettings(false)}
+        />
+      )}
+
       <div className="controls-container">
-        <button 
+        <button
           className={`control-btn ${micShared ? 'active' : ''}`}
-          onClick={handleMicBtn}
+          onClick={toggleAudio}
           title={micShared ? "Mute" : "Unmute"}
         >
           {micShared ? <FaMicrophone /> : <FaMicrophoneSlash />}
         </button>
-        
-        <button 
+
+        <button
           className={`control-btn ${cameraShared ? 'active' : ''}`}
-          onClick={handleCameraBtn}
+          onClick={toggleVideo}
           title={cameraShared ? "Stop Video" : "Start Video"}
         >
           {cameraShared ? <FaVideo /> : <FaVideoSlash />}
         </button>
-        
-        <button 
+
+        <button
           className={`control-btn ${screenShared ? 'active' : ''}`}
-          onClick={handelScreenBtn}
+          onClick={toggleScreenShare}
           title={screenShared ? "Stop Screen Share" : "Share Screen"}
         >
           <FaDesktop />
         </button>
-        
-        <button 
+
+        {features.mediaProfiles && mediaProfiles && (
+          <select
+            className="profile-select"
+            value={mediaProfiles.camera}
+            onChange={(e) => setMediaProfile('camera', e.target.value)}
+            title="Camera quality"
+          >
+            {getProfilesForSource('camera').map(name => (
+              <option key={name} value={name}>{MEDIA_PROFILES[name].label}</option>
+            ))}
+          </select>
+        )}
+
+        {features.videoEffects && videoEffect && (
+          <select
+            className="profile-select"
+            value={videoEffect}
+            onChange={(e) => setVideoEffect(e.target.value)}
+            title="Background"
+          >
+            {Object.entries(VIDEO_EFFECTS).map(([name, effect]) => (
+              <option key={name} value={name}>{effect.label}</option>
+            ))}
+          </select>
+        )}
+
+        {features.mediaProfiles && mediaProfiles && (
+          <select
+            className="profile-select"
+            value={mediaProfiles.screen}
+            onChange={(e) => setMediaProfile('screen', e.target.value)}
+            title="Screen sharing mode"
+          >
+            {getProfilesForSource('screen').map(name => (
+              <option key={name} value={name}>{MEDIA_PROFILES[name].label}</option>
+            ))}
+          </select>
+        )}
+
+        <LayoutButton mode={layoutMode} onChange={setLayoutMode} />
+
+        {/* Everyone has to be told about a recording, providers that can't tell them don't record */}
+        {supportsRecording() && !features.recordingState && (
+          <button
+            className="control-btn"
+            disabled={true}
+            title="Recording is not available with this meeting provider, it can't let the others know"
+          >
+            <FaCircle />
+          </button>
+        )}
+
+        {supportsRecording() && features.recordingState && (
+          <button
+            className={`control-btn ${recordingState !== 'inactive' ? 'recording' : ''}`}
+            onClick={recordingState === 'inactive' ? startRecording : () => stopRecording(roomName)}
+            title={recordingState === 'inactive' ? "Start Recording" : "Stop Recording and Download"}
+          >
+            {recordingState === 'inactive' ? <FaCircle /> : <FaStop />}
+          </button>
+        )}
+
+        {recordingState !== 'inactive' && (
+          <button
+            className="control-btn"
+            onClick={toggleRecordingPause}
+            title={recordingState === 'paused' ? "Resume Recording" : "Pause Recording"}
+          >
+            {recordingState === 'paused' ? <FaPlay /> : <FaPause />}
+          </button>
+        )}
+
+        <button
+          className={`control-btn ${showDeviceSettings ? 'active' : ''}`}
+          onClick={() => setShowDeviceSettings(!showDeviceSettings)}
+          title="Devices"
+        >
+          <FaCog />
+        </button>
+
+        <button
           className="control-btn leave"
-          onClick={handleLeaveBtn}
+          onClick={leaveMeeting}
           title="Leave Meeting"
         >
           <FaPhoneSlash />
@@ -0,0 +1,113 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { computeLayout } from '../utils/layout';
+import { FaThumbtack, FaStar, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+
+/**
+ * Places participant tiles with the layout engine. `tiles` are
+ * { id, element } in participant order. Tiles that are off the page stay
+ * mounted but hidden, so their audio keeps playing.
+ * `onLayoutChange` gets every new layout, for example to pause hidden video.
+ */
+export default function VideoLayout({ tiles, mode, activeSpeaker, onLayoutChange }) {
+  const containerRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [pinned, setPinned] = useState([]);
+  const [spotlight, setSpotlight] = useState(null);
+  const [page, setPage] = useState(0);
+
+  // Kept in a ref so a new callback doesn't count as a layout change
+  const onLayoutChangeRef = useRef(onLayoutChange);
+  onLayoutChangeRef.current = onLayoutChange;
+
+  // Follow the size of the area the tiles go in
+  useEffect(() => {
+    const container = containerRef.current;
+
+    if (!container) return;
+
+    const { width, height } = container.getBoundingClientRect();
+    setSize({ width, height });
+
+    if (typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Only a change of participants, not a new tiles array, means a new layout
+  const idsKey = tiles.map(tile => tile.id).join(',');
+
+  const layout = useMemo(
+    () => computeLayout(idsKey ? idsKey.split(',') : [], size.width, size.height, {
+      mode, pinned, spotlight, activeSpeaker, page
+    }),
+    [idsKey, size, mode, pinned, spotlight, activeSpeaker, page]
+  );
+
+  useEffect(() => {
+    // Nothing fits before the area is measured, that says nothing about what is visible
+    if (onLayoutChangeRef.current && size.width > 0) {
+      onLayoutChangeRef.current(layout);
+    }
+  }, [layout, size]);
+
+  const togglePin = (id) => {
+    setPinned(pinned.includes(id) ? pinned.filter(pinnedId => pinnedId !== id) : [...pinned, id]);
+  };
+
+  const toggleSpotlight = (id) => {
+    setSpotlight(spotlight === id ? null : id);
+  };
+
+  const rects = new Map(layout.tiles.map(rect => [rect.id, rect]));
+
+  return (
+    <div className="video-layout" ref={containerRef}>
+      {tiles.map(tile => {
+        const rect = rects.get(tile.id);
+
+        return (
+          <div
+            key={tile.id}
+            className={`layout-tile ${rect ? '' : 'hidden'} ${rect?.featured ? 'featured' : ''}`}
+            style={rect ? { left: rect.x, top: rect.y, width: rect.width, height: rect.height } : undefined}
+          >
+            {tile.element}
+            <div className="tile-actions">
+              <button
+                className={pinned.includes(tile.id) ? 'active' : ''}
+                onClick={() => togglePin(tile.id)}
+                title={pinned.includes(tile.id) ? 'Unpin' : 'Pin'}
+              >
+                <FaThumbtack />
+              </button>
+              <button
+                className={spotlight === tile.id ? 'active' : ''}
+                onClick={() => toggleSpotlight(tile.id)}
+                title={spotlight === tile.id ? 'Remove spotlight' : 'Spotlight'}
+              >
+                <FaStar />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
+      {layout.pageCount > 1 && (
+        <div className="layout-pages">
+          <button onClick={() => setPage(layout.page - 1)} disabled={layout.page === 0} title="Previous page">
+            <FaChevronLeft />
+          </button>
+          <span>{layout.page + 1} / {layout.pageCount}</span>
+          <button onClick={() => setPage(layout.page + 1)} disabled={layout.page === layout.pageCount - 1} title="Next page">
+            <FaChevronRight />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
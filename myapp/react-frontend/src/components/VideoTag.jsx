@@ -1,6 +1,7 @@
 import { useEffect, useRef } from "react";
 
-function VideoTag({ srcObject, style, className, ...props }) {
+// Plays a stream, or a single track, which gets a stream of its own once
+function VideoTag({ srcObject, track, sinkId, style, className, ...props }) {
   const videoRef = useRef();
 
   useEffect(() => {
@@ -9,6 +10,21 @@ function VideoTag({ srcObject, style, className, ...props }) {
     }
   }, [srcObject]);
 
+  useEffect(() => {
+    if (track && videoRef.current) {
+      videoRef.current.srcObject = new MediaStream([track]);
+    }
+  }, [track]);
+
+  // Play through the chosen speaker, where the browser lets us pick one
+  useEffect(() => {
+    if (sinkId === undefined || !videoRef.current || !videoRef.current.setSinkId) return;
+
+    videoRef.current.setSinkId(sinkId).catch(error => {
+      console.warn('Could not switch audio output:', error);
+    });
+  }, [sinkId]);
+
   return (
     <video
       ref={videoRef}
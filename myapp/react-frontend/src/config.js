@@ -1,5 +1,26 @@
 const config = {
     api_location: process.env.API_LOCATION ? process.env.API_LOCATION : " http://127.0.0.1:5000",
+    // Backend meetings run on: "metered" for the Metered SDK, "native" for our own signaling and WebRTC
+    meeting_provider: process.env.MEETING_PROVIDER ? process.env.MEETING_PROVIDER : "metered",
+    // Base URL for signaling, the room name is appended as the last path segment
+    signaling_url: process.env.SIGNALING_URL ? process.env.SIGNALING_URL : "ws://127.0.0.1:5000/ws/signaling",
+    // One of "websocket", "broadcast-channel" or "in-memory"
+    signaling_transport: process.env.SIGNALING_TRANSPORT ? process.env.SIGNALING_TRANSPORT : "websocket",
+    // Preferred codecs in order, e.g. "H264,VP8" or "AV1,VP9". Empty keeps the browser defaults
+    video_codecs: process.env.VIDEO_CODECS ? process.env.VIDEO_CODECS.split(",") : [],
+    audio_codecs: process.env.AUDIO_CODECS ? process.env.AUDIO_CODECS.split(",") : [],
+    // STUN servers every peer connection uses
+    stun_urls: process.env.STUN_URLS ? process.env.STUN_URLS.split(",") : ["stun:stun.l.google.com:19302", "stun:stun1.l.google.com:19302"],
+    // REST endpoint for time-limited TURN credentials, e.g. the signaling server's
+    // "http://127.0.0.1:5000/api/turn-credentials". Empty means STUN only
+    turn_credentials_url: process.env.TURN_CREDENTIALS_URL ? process.env.TURN_CREDENTIALS_URL : "",
+    // ICE candidate policies, combined: "relay-only", "no-host", "udp-only" or "tcp-allowed"
+    ice_policy: process.env.ICE_POLICY ? process.env.ICE_POLICY.split(",") : [],
+    // Where MediaPipe Selfie Segmentation and its model are loaded from for background effects.
+    // By default the copy scripts/copy-segmentation.js puts in public/ when starting or building
+    segmentation_url: process.env.SEGMENTATION_URL ? process.env.SEGMENTATION_URL : `${process.env.PUBLIC_URL || ""}/mediapipe/selfie_segmentation`,
+    // Image shown behind you with the virtual background effect, empty for a plain gradient
+    virtual_background_url: process.env.VIRTUAL_BACKGROUND_URL ? process.env.VIRTUAL_BACKGROUND_URL : "",
   };
   
   export default config;
\ No newline at end of file
@@ -0,0 +1,218 @@
+// localStorage key the chosen devices are kept under
+const STORAGE_KEY = 'devicePreferences';
+
+export const DEVICE_KINDS = ['audioinput', 'videoinput', 'audiooutput'];
+
+// Shown until the browser reveals real device labels
+const DEFAULT_LABELS = {
+  audioinput: 'Microphone',
+  videoinput: 'Camera',
+  audiooutput: 'Speaker'
+};
+
+/**
+ * Device choices saved in an earlier session
+ */
+const loadPreferences = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Device Manager
+ * Keeps the list of cameras, microphones and speakers current through
+ * `devicechange`, remembers the user's choice per kind in this browser,
+ * and reports when a device that is in use goes away.
+ */
+class DeviceManager {
+  constructor() {
+    this.devices = { audioinput: [], videoinput: [], audiooutput: [] };
+    this.preferences = loadPreferences();
+    this.activeTracks = {}; // kind -> track captured from that kind of device
+    this.users = 0; // Callers of start() that haven't stopped yet
+    this.onDevicesChange = null;
+    this.onDeviceLost = null;
+
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+  }
+
+  /**
+   * Start following device changes
+   * The lobby and the meeting both use the manager and hand tracks over
+   * between them, so it keeps going until every start() was matched by a stop()
+   */
+  start() {
+    if (!navigator.mediaDevices) return Promise.resolve(this.devices);
+
+    this.users++;
+
+    if (this.users === 1) {
+      navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+    }
+
+    return this.refresh();
+  }
+
+  /**
+   * Stop following device changes, once the last user stopped
+   */
+  stop() {
+    this.users = Math.max(0, this.users - 1);
+
+    if (this.users > 0) return;
+
+    if (navigator.mediaDevices) {
+      navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+    }
+
+    this.activeTracks = {};
+  }
+
+  /**
+   * Read the current device list
+   * Labels stay empty until the user granted access to a device of that kind
+   */
+  async refresh() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const counts = {};
+
+    this.devices = { audioinput: [], videoinput: [], audiooutput: [] };
+
+    devices.forEach(device => {
+      if (!this.devices[device.kind]) return;
+
+      counts[device.kind] = (counts[device.kind] || 0) + 1;
+      this.devices[device.kind].push({
+        deviceId: device.deviceId,
+        groupId: device.groupId,
+        label: device.label || `${DEFAULT_LABELS[device.kind]} ${counts[device.kind]}`
+      });
+    });
+
+    if (this.onDevicesChange) {
+      this.onDevicesChange(this.devices);
+    }
+
+    return this.devices;
+  }
+
+  async handleDeviceChange() {
+    try {
+      await this.refresh();
+    } catch (error) {
+      console.error('Error listing devices:', error);
+      return;
+    }
+
+    // Unplugging usually ends the track as well, this covers browsers that don't
+    Object.entries(this.activeTracks).forEach(([kind, track]) => {
+      const deviceId = track.getSettings ? track.getSettings().deviceId : null;
+
+      if (deviceId && !this.hasDevice(kind, deviceId)) {
+        this.reportLost(kind, track);
+      }
+    });
+  }
+
+  /**
+   * Whether a device is currently available
+   */
+  hasDevice(kind, deviceId) {
+    return this.devices[kind].some(device => device.deviceId === deviceId);
+  }
+
+  /**
+   * The preferred device for a kind, if it is still available
+   */
+  getPreferredDevice(kind) {
+    const deviceId = this.preferences[kind];
+    return deviceId && this.hasDevice(kind, deviceId) ? deviceId : null;
+  }
+
+  /**
+   * Remember the device to use for a kind
+   */
+  setPreferredDevice(kind, deviceId) {
+    this.preferences = { ...this.preferences, [kind]: deviceId };
+
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.preferences));
+    } catch (error) {
+      console.warn('Could not save device preference:', error);
+    }
+  }
+
+  /**
+   * getUserMedia constraints for an input kind on the preferred device.
+   * The device is only `ideal`, so capture falls back to another one when
+   * it is missing. `base` is true or a constraints object.
+   */
+  getConstraints(kind, base = true) {
+    const deviceId = this.getPreferredDevice(kind);
+    const constraints = typeof base === 'object' ? { ...base } : {};
+
+    if (deviceId) {
+      constraints.deviceId = { ideal: deviceId };
+    }
+
+    return Object.keys(constraints).length > 0 ? constraints : true;
+  }
+
+  /**
+   * Watch a captured track so its loss is reported through onDeviceLost
+   */
+  watchTrack(kind, track) {
+    this.activeTracks[kind] = track;
+
+    track.addEventListener('ended', () => {
+      // Tracks we stopped ourselves end too, only report the one still in use
+      if (this.activeTracks[kind] === track) {
+        this.reportLost(kind, track);
+      }
+    });
+  }
+
+  /**
+   * Stop watching the track for a kind
+   */
+  unwatchTrack(kind) {
+    delete this.activeTracks[kind];
+  }
+
+  /**
+   * Forget a track whose device went away and tell the app
+   */
+  reportLost(kind, track) {
+    delete this.activeTracks[kind];
+
+    if (this.onDeviceLost) {
+      this.onDeviceLost(kind, track);
+    }
+  }
+
+  /**
+   * Whether speakers can be chosen, which needs HTMLMediaElement.setSinkId
+   */
+  supportsOutputSelection() {
+    return typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+  }
+
+  /**
+   * Set callbacks for device events
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.onDevicesChange) {
+      this.onDevicesChange = callbacks.onDevicesChange;
+    }
+
+    if (callbacks.onDeviceLost) {
+      this.onDeviceLost = callbacks.onDeviceLost;
+    }
+  }
+}
+
+// Export a singleton instance
+export const deviceManager = new DeviceManager();
@@ -0,0 +1,111 @@
+import { deviceManager } from './DeviceManager';
+
+// A fake media track that can be "unplugged"
+const createTrack = (deviceId) => {
+  const track = new EventTarget();
+  track.getSettings = () => ({ deviceId });
+  return track;
+};
+
+let deviceList;
+
+beforeEach(() => {
+  deviceList = [
+    { kind: 'audioinput', deviceId: 'mic-1', groupId: 'a', label: '' },
+    { kind: 'audioinput', deviceId: 'mic-2', groupId: 'b', label: 'USB Microphone' },
+    { kind: 'videoinput', deviceId: 'cam-1', groupId: 'c', label: 'Webcam' }
+  ];
+
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: Object.assign(new EventTarget(), {
+      enumerateDevices: jest.fn(async () => deviceList)
+    })
+  });
+
+  window.localStorage.clear();
+  deviceManager.preferences = {};
+});
+
+afterEach(() => {
+  deviceManager.stop();
+  deviceManager.onDevicesChange = null;
+  deviceManager.onDeviceLost = null;
+});
+
+test('lists devices by kind with placeholder labels', async () => {
+  const devices = await deviceManager.start();
+
+  expect(devices.audioinput.map(device => device.label)).toEqual(['Microphone 1', 'USB Microphone']);
+  expect(devices.videoinput).toHaveLength(1);
+  expect(devices.audiooutput).toEqual([]);
+});
+
+test('prefers a remembered device only while it is plugged in', async () => {
+  await deviceManager.start();
+
+  expect(deviceManager.getConstraints('audioinput')).toBe(true);
+
+  deviceManager.setPreferredDevice('audioinput', 'mic-2');
+
+  expect(JSON.parse(window.localStorage.getItem('devicePreferences'))).toEqual({ audioinput: 'mic-2' });
+  expect(deviceManager.getConstraints('audioinput')).toEqual({ deviceId: { ideal: 'mic-2' } });
+  expect(deviceManager.getConstraints('videoinput', { width: { ideal: 1280 } })).toEqual({ width: { ideal: 1280 } });
+
+  deviceList = deviceList.filter(device => device.deviceId !== 'mic-2');
+  await deviceManager.refresh();
+
+  expect(deviceManager.getConstraints('audioinput')).toBe(true);
+});
+
+test('reports an active device that was unplugged', async () => {
+  const onDeviceLost = jest.fn();
+  deviceManager.setCallbacks({ onDeviceLost });
+  await deviceManager.start();
+
+  const track = createTrack('mic-2');
+  deviceManager.watchTrack('audioinput', track);
+
+  deviceList = deviceList.filter(device => device.deviceId !== 'mic-2');
+  await deviceManager.handleDeviceChange();
+
+  expect(onDeviceLost).toHaveBeenCalledWith('audioinput', track);
+
+  // The track ending afterwards is not reported twice
+  track.dispatchEvent(new Event('ended'));
+  expect(onDeviceLost).toHaveBeenCalledTimes(1);
+});
+
+test('keeps watching tracks until every user stopped', async () => {
+  const onDeviceLost = jest.fn();
+  deviceManager.setCallbacks({ onDeviceLost });
+
+  // The lobby starts, the meeting takes over its track, then the lobby goes away
+  await deviceManager.start();
+  await deviceManager.start();
+  const track = createTrack('mic-2');
+  deviceManager.watchTrack('audioinput', track);
+  deviceManager.stop();
+
+  deviceList = deviceList.filter(device => device.deviceId !== 'mic-2');
+  navigator.mediaDevices.dispatchEvent(new Event('devicechange'));
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  expect(onDeviceLost).toHaveBeenCalledWith('audioinput', track);
+});
+
+test('ignores tracks that were replaced before they ended', async () => {
+  const onDeviceLost = jest.fn();
+  deviceManager.setCallbacks({ onDeviceLost });
+
+  const oldTrack = createTrack('cam-1');
+  const newTrack = createTrack('cam-1');
+  deviceManager.watchTrack('videoinput', oldTrack);
+  deviceManager.watchTrack('videoinput', newTrack);
+
+  oldTrack.dispatchEvent(new Event('ended'));
+  expect(onDeviceLost).not.toHaveBeenCalled();
+
+  newTrack.dispatchEvent(new Event('ended'));
+  expect(onDeviceLost).toHaveBeenCalledWith('videoinput', newTrack);
+});
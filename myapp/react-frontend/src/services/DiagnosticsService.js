@@ -0,0 +1,303 @@
+import { IceServerProvider } from './IceServerProvider';
+import { ConnectionQualityMonitor } from '../utils/signalingOptimizer';
+import { parseCandidate } from '../utils/ice';
+import { AudioLevelMeter } from '../utils/audioLevel';
+
+// How long each network check may take
+const GATHER_TIMEOUT = 8000;
+const LOOPBACK_DURATION = 5000;
+const MIC_SAMPLE_DURATION = 2000;
+
+// Below this RMS level the microphone is most likely muted or not picking anything up
+const MIN_MIC_LEVEL = 0.01;
+
+// Loopback throughput we consider enough for a standard video call
+const MIN_LOOPBACK_BITRATE = 500000;
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+/**
+ * Worst status of a list of results, 'pass' when everything passed.
+ * Skipped checks tested nothing, so they don't count.
+ */
+export const summarizeResults = (results) => results
+  .filter(result => result.status !== 'skip')
+  .reduce(
+    (worst, result) => (STATUS_ORDER.indexOf(result.status) > STATUS_ORDER.indexOf(worst) ? result.status : worst),
+    'pass'
+  );
+
+/**
+ * Plain text report that can be pasted into a support request
+ */
+export const formatReport = (results, now = new Date()) => [
+  `Diagnostics report (${now.toISOString()})`,
+  `Browser: ${navigator.userAgent}`,
+  `Overall: ${summarizeResults(results).toUpperCase()}`,
+  '',
+  ...results.map(result => `[${result.status.toUpperCase()}] ${result.label}: ${result.detail}`)
+].join('\n');
+
+/**
+ * Human readable reason for a getUserMedia error
+ */
+const describeMediaError = (error) => {
+  switch (error.name) {
+    case 'NotAllowedError': return 'Permission was denied';
+    case 'NotFoundError': return 'No device found';
+    case 'NotReadableError': return 'The device is in use by another application';
+    case 'OverconstrainedError': return 'The device does not support the requested settings';
+    default: return error.message || error.name;
+  }
+};
+
+/**
+ * Whether any of the ICE servers has a URL with one of the schemes
+ */
+const hasServerScheme = (iceServers, schemes) => iceServers.some(server => (
+  [].concat(server.urls).some(url => schemes.some(scheme => url.startsWith(`${scheme}:`)))
+));
+
+/**
+ * Diagnostics Service
+ * Pre-call checks for devices and network. Every check resolves to
+ * { id, label, status: 'pass' | 'warn' | 'fail' | 'skip', detail, data }.
+ */
+class DiagnosticsService {
+  /**
+   * Run every check in order, reporting each result as it completes
+   */
+  async runAll(onResult = () => {}) {
+    const results = [];
+    const report = (result) => {
+      results.push(result);
+      onResult(result, [...results]);
+    };
+
+    const camera = await this.checkCamera();
+    report(camera.result);
+
+    const microphone = await this.checkMicrophone();
+    report(microphone.result);
+
+    if (microphone.track) {
+      report(await this.measureMicLevel(microphone.track));
+    }
+
+    const gathering = await this.gatherCandidates();
+    gathering.forEach(report);
+
+    report(await this.runLoopbackTest(camera.track));
+
+    [camera.track, microphone.track].forEach(track => track && track.stop());
+
+    return results;
+  }
+
+  /**
+   * Check camera permission and capture
+   */
+  async checkCamera() {
+    return this.checkCapture('camera', 'Camera', { video: true });
+  }
+
+  /**
+   * Check microphone permission and capture
+   */
+  async checkMicrophone() {
+    return this.checkCapture('microphone', 'Microphone', { audio: true });
+  }
+
+  /**
+   * Capture a device, keeping the track for the checks that follow
+   */
+  async checkCapture(id, label, constraints) {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia(constraints);
+      const track = stream.getTracks()[0];
+      const settings = track.getSettings ? track.getSettings() : {};
+      const resolution = settings.width ? ` at ${settings.width}x${settings.height}` : '';
+
+      return {
+        track,
+        result: { id, label, status: 'pass', detail: `${track.label || 'Default device'}${resolution}`, data: settings }
+      };
+    } catch (error) {
+      return {
+        track: null,
+        result: { id, label, status: 'fail', detail: describeMediaError(error), data: { error: error.name } }
+      };
+    }
+  }
+
+  /**
+   * Measure the microphone input level over a short sample
+   */
+  async measureMicLevel(track, durationMs = MIC_SAMPLE_DURATION) {
+    const label = 'Microphone level';
+    const meter = new AudioLevelMeter(track);
+    let peak = 0;
+
+    if (!meter.start(level => { peak = Math.max(peak, level); }, 50)) {
+      return { id: 'mic-level', label, status: 'skip', detail: 'Web Audio is not available', data: {} };
+    }
+
+    await new Promise(resolve => setTimeout(resolve, durationMs));
+    meter.stop();
+
+    return peak < MIN_MIC_LEVEL
+      ? { id: 'mic-level', label, status: 'warn', detail: 'No sound picked up, is the microphone muted?', data: { peak } }
+      : { id: 'mic-level', label, status: 'pass', detail: `Peak level ${Math.round(peak * 100)}%`, data: { peak } };
+  }
+
+  /**
+   * Gather ICE candidates against the configured servers and report
+   * which candidate types can be reached
+   */
+  async gatherCandidates(timeoutMs = GATHER_TIMEOUT) {
+    // Its own provider, stopping it must not touch the credentials of a running call
+    const iceServerProvider = new IceServerProvider();
+    const iceServers = await iceServerProvider.getIceServers();
+    const peerConnection = new RTCPeerConnection({ iceServers });
+    const types = { host: [], srflx: [], relay: [] };
+
+    peerConnection.createDataChannel('diagnostics');
+
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, timeoutMs);
+
+      peerConnection.onicecandidate = (event) => {
+        const parsed = event.candidate && parseCandidate(event.candidate);
+
+        if (!parsed) {
+          // Gathering finished
+          clearTimeout(timer);
+          resolve();
+        } else if (types[parsed.type]) {
+          types[parsed.type].push(parsed);
+        }
+      };
+
+      peerConnection.createOffer()
+        .then(offer => peerConnection.setLocalDescription(offer))
+        .catch(resolve);
+    });
+
+    peerConnection.close();
+
+    // One set of credentials is all the check needs, don't keep refreshing them
+    iceServerProvider.stop();
+
+    const describe = (candidates) => [...new Set(candidates.map(c => `${c.protocol} ${c.address}`))].join(', ');
+    const result = (type, label, configured) => {
+      const id = `ice-${type}`;
+      const found = types[type];
+
+      if (found.length > 0) {
+        return { id, label, status: 'pass', detail: describe(found), data: { count: found.length } };
+      }
+
+      if (!configured) {
+        return { id, label, status: 'skip', detail: 'No server configured', data: { count: 0 } };
+      }
+
+      // Without host candidates there is no usable network at all
+      return { id, label, status: type === 'host' ? 'fail' : 'warn', detail: 'Not reachable', data: { count: 0 } };
+    };
+
+    return [
+      result('host', 'Local network', true),
+      result('srflx', 'STUN (public address)', hasServerScheme(iceServers, ['stun', 'stuns'])),
+      result('relay', 'TURN (relay)', hasServerScheme(iceServers, ['turn', 'turns']))
+    ];
+  }
+
+  /**
+   * Send video between two local peer connections and measure throughput
+   * and RTT with ConnectionQualityMonitor. Uses the camera when available,
+   * or generated video otherwise.
+   */
+  async runLoopbackTest(videoTrack, durationMs = LOOPBACK_DURATION) {
+    const label = 'Loopback throughput';
+    const sender = new RTCPeerConnection();
+    const receiver = new RTCPeerConnection();
+    const generated = videoTrack ? null : createTestPattern();
+    const track = videoTrack || generated.track;
+    const samples = [];
+
+    sender.onicecandidate = (event) => event.candidate && receiver.addIceCandidate(event.candidate);
+    receiver.onicecandidate = (event) => event.candidate && sender.addIceCandidate(event.candidate);
+    sender.addTrack(track, new MediaStream([track]));
+
+    const monitor = new ConnectionQualityMonitor(receiver, (quality, metrics) => samples.push(metrics));
+
+    try {
+      const offer = await sender.createOffer();
+      await sender.setLocalDescription(offer);
+      await receiver.setRemoteDescription(offer);
+      const answer = await receiver.createAnswer();
+      await receiver.setLocalDescription(answer);
+      await sender.setRemoteDescription(answer);
+
+      monitor.startMonitoring(500);
+      await new Promise(resolve => setTimeout(resolve, durationMs));
+    } catch (error) {
+      return { id: 'loopback', label, status: 'fail', detail: error.message, data: {} };
+    } finally {
+      monitor.stopMonitoring();
+      sender.close();
+      receiver.close();
+
+      if (generated) generated.stop();
+    }
+
+    const bitrate = Math.max(0, ...samples.map(metrics => metrics.bitrate));
+    const roundTripTimes = samples.map(metrics => metrics.roundTripTime).filter(rtt => rtt !== null);
+    const roundTripTime = roundTripTimes.length > 0 ? roundTripTimes[roundTripTimes.length - 1] : null;
+    const data = { bitrate, roundTripTime };
+    const detail = `${Math.round(bitrate / 1000)} kbps` +
+      (roundTripTime !== null ? `, RTT ${Math.round(roundTripTime * 1000)} ms` : '');
+
+    if (bitrate === 0) {
+      return { id: 'loopback', label, status: 'fail', detail: 'No media received', data };
+    }
+
+    return { id: 'loopback', label, status: bitrate < MIN_LOOPBACK_BITRATE ? 'warn' : 'pass', detail, data };
+  }
+}
+
+/**
+ * Moving noise on a canvas, which is hard to compress and so fills the link
+ */
+const createTestPattern = () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 640;
+  canvas.height = 360;
+
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(canvas.width, canvas.height);
+  const interval = setInterval(() => {
+    for (let i = 0; i < image.data.length; i += 4) {
+      const value = Math.random() * 255;
+      image.data[i] = value;
+      image.data[i + 1] = value;
+      image.data[i + 2] = value;
+      image.data[i + 3] = 255;
+    }
+
+    context.putImageData(image, 0, 0);
+  }, 33);
+
+  const track = canvas.captureStream(30).getVideoTracks()[0];
+
+  return {
+    track,
+    stop: () => {
+      clearInterval(interval);
+      track.stop();
+    }
+  };
+};
+
+// Export a singleton instance
+export const diagnosticsService = new DiagnosticsService();
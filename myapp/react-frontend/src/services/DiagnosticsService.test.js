@@ -0,0 +1,30 @@
+import { formatReport, summarizeResults } from './DiagnosticsService';
+
+const results = [
+  { id: 'camera', label: 'Camera', status: 'pass', detail: 'FaceTime HD Camera at 1280x720' },
+  { id: 'ice-srflx', label: 'STUN (public address)', status: 'warn', detail: 'Not reachable' },
+  { id: 'ice-relay', label: 'TURN (relay)', status: 'skip', detail: 'No server configured' }
+];
+
+test('summarizes to the worst status', () => {
+  expect(summarizeResults([])).toBe('pass');
+  expect(summarizeResults(results.slice(0, 1))).toBe('pass');
+  expect(summarizeResults([results[0], results[2]])).toBe('pass');
+  expect(summarizeResults(results.slice(2))).toBe('pass');
+  expect(summarizeResults(results)).toBe('warn');
+  expect(summarizeResults([...results, { status: 'fail' }])).toBe('fail');
+});
+
+test('formats a copyable report', () => {
+  const report = formatReport(results, new Date('2024-01-01T00:00:00Z'));
+
+  expect(report.split('\n')).toEqual([
+    'Diagnostics report (2024-01-01T00:00:00.000Z)',
+    `Browser: ${navigator.userAgent}`,
+    'Overall: WARN',
+    '',
+    '[PASS] Camera: FaceTime HD Camera at 1280x720',
+    '[WARN] STUN (public address): Not reachable',
+    '[SKIP] TURN (relay): No server configured'
+  ]);
+});
@@ -0,0 +1,157 @@
+import axios from 'axios';
+import config from '../config';
+
+// Refresh this long before credentials expire, as a fraction of their lifetime
+const REFRESH_MARGIN = 0.2;
+
+// Retry a failed refresh after this long, doubling up to the maximum
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 60000;
+
+/**
+ * Turn a credentials response into RTCIceServer entries with an expiry.
+ * Accepts the TURN REST API format ({ username, credential, ttl, uris })
+ * as well as a list of ICE servers, bare or as { iceServers, ttl }.
+ */
+export const normalizeCredentials = (data, now = Date.now()) => {
+  let iceServers;
+
+  if (Array.isArray(data)) {
+    iceServers = data;
+  } else if (Array.isArray(data.iceServers)) {
+    iceServers = data.iceServers;
+  } else {
+    iceServers = [{ urls: data.uris, username: data.username, credential: data.credential }];
+  }
+
+  const ttl = Array.isArray(data) ? null : data.ttl;
+
+  return {
+    iceServers,
+    expiresAt: ttl ? now + ttl * 1000 : null
+  };
+};
+
+/**
+ * ICE Server Provider
+ * Fetches time-limited TURN credentials from a REST endpoint, caches them
+ * and refreshes them before they expire. STUN servers are always included,
+ * and are all there is when no endpoint is configured or it cannot be reached.
+ */
+export class IceServerProvider {
+  constructor(options = {}) {
+    this.url = options.url !== undefined ? options.url : config.turn_credentials_url;
+    this.stunServers = (options.stunUrls || config.stun_urls).map(urls => ({ urls }));
+    this.fetchCredentials = options.fetchCredentials || (url => axios.get(url).then(response => response.data));
+    this.turnServers = [];
+    this.expiresAt = null;
+    this.pendingFetch = null;
+    this.refreshTimer = null;
+    this.retryAttempts = 0;
+    this.onIceServersChange = null;
+  }
+
+  /**
+   * Get the current ICE servers, fetching credentials if there are none
+   * or they expired
+   */
+  async getIceServers() {
+    if (this.url && !this.hasValidCredentials()) {
+      await this.refresh();
+    }
+
+    return this.getCachedIceServers();
+  }
+
+  /**
+   * Current ICE servers without fetching anything
+   */
+  getCachedIceServers() {
+    return [...this.stunServers, ...(this.hasValidCredentials() ? this.turnServers : [])];
+  }
+
+  /**
+   * Whether cached TURN credentials can still be used
+   */
+  hasValidCredentials() {
+    return this.turnServers.length > 0 && (this.expiresAt === null || this.expiresAt > Date.now());
+  }
+
+  /**
+   * Fetch fresh credentials and schedule the next refresh
+   * Concurrent callers share one request
+   */
+  refresh() {
+    if (!this.pendingFetch) {
+      this.pendingFetch = this.fetchCredentials(this.url)
+        .then(data => {
+          const { iceServers, expiresAt } = normalizeCredentials(data);
+
+          this.turnServers = iceServers;
+          this.expiresAt = expiresAt;
+          this.retryAttempts = 0;
+          this.scheduleRefresh();
+
+          if (this.onIceServersChange) {
+            this.onIceServersChange(this.getCachedIceServers());
+          }
+        })
+        .catch(error => {
+          console.error('Error fetching TURN credentials:', error);
+          this.scheduleRetry();
+        })
+        .finally(() => {
+          this.pendingFetch = null;
+        });
+    }
+
+    return this.pendingFetch;
+  }
+
+  /**
+   * Refresh ahead of expiry
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (this.expiresAt === null) return;
+
+    const lifetime = this.expiresAt - Date.now();
+    this.refreshTimer = setTimeout(() => this.refresh(), Math.max(0, lifetime * (1 - REFRESH_MARGIN)));
+  }
+
+  /**
+   * Try again after a failed fetch, keeping whatever credentials are still valid
+   */
+  scheduleRetry() {
+    clearTimeout(this.refreshTimer);
+
+    const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, this.retryAttempts), RETRY_MAX_DELAY);
+    this.retryAttempts++;
+    this.refreshTimer = setTimeout(() => this.refresh(), delay);
+  }
+
+  /**
+   * Stop refreshing and forget cached credentials
+   */
+  stop() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.turnServers = [];
+    this.expiresAt = null;
+    this.retryAttempts = 0;
+  }
+
+  /**
+   * Set callbacks for provider events
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.onIceServersChange) {
+      this.onIceServersChange = callbacks.onIceServersChange;
+    }
+  }
+}
+
+// Export a singleton instance
+export const iceServerProvider = new IceServerProvider();
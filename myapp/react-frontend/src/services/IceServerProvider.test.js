@@ -0,0 +1,87 @@
+import { IceServerProvider } from './IceServerProvider';
+
+// Stands in for the signaling server's /api/turn-credentials
+const createMockEndpoint = (ttl) => {
+  let issued = 0;
+
+  const endpoint = jest.fn(async () => {
+    issued++;
+    return { username: `user-${issued}`, credential: `secret-${issued}`, ttl, uris: ['turn:127.0.0.1:3478'] };
+  });
+
+  return endpoint;
+};
+
+const STUN = ['stun:stun.example.org:3478'];
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('fetches once and serves cached credentials', async () => {
+  const endpoint = createMockEndpoint(600);
+  const provider = new IceServerProvider({ url: '/turn', stunUrls: STUN, fetchCredentials: endpoint });
+
+  const [first, second] = await Promise.all([provider.getIceServers(), provider.getIceServers()]);
+  const third = await provider.getIceServers();
+
+  expect(endpoint).toHaveBeenCalledTimes(1);
+  expect(first).toEqual([
+    { urls: STUN[0] },
+    { urls: ['turn:127.0.0.1:3478'], username: 'user-1', credential: 'secret-1' }
+  ]);
+  expect(second).toEqual(first);
+  expect(third).toEqual(first);
+
+  provider.stop();
+});
+
+test('refreshes before expiry and reports the new servers', async () => {
+  const endpoint = createMockEndpoint(100);
+  const provider = new IceServerProvider({ url: '/turn', stunUrls: STUN, fetchCredentials: endpoint });
+  const onIceServersChange = jest.fn();
+
+  await provider.getIceServers();
+  provider.setCallbacks({ onIceServersChange });
+
+  // 80% of the 100 second lifetime
+  jest.advanceTimersByTime(80000);
+  await provider.pendingFetch;
+
+  expect(endpoint).toHaveBeenCalledTimes(2);
+  expect(onIceServersChange).toHaveBeenCalledWith(expect.arrayContaining([
+    expect.objectContaining({ username: 'user-2' })
+  ]));
+
+  provider.stop();
+});
+
+test('falls back to STUN and retries when the endpoint fails', async () => {
+  const endpoint = jest.fn()
+    .mockRejectedValueOnce(new Error('unreachable'))
+    .mockResolvedValue({ username: 'u', credential: 'c', ttl: 600, uris: ['turn:127.0.0.1:3478'] });
+  const provider = new IceServerProvider({ url: '/turn', stunUrls: STUN, fetchCredentials: endpoint });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  expect(await provider.getIceServers()).toEqual([{ urls: STUN[0] }]);
+
+  jest.advanceTimersByTime(5000);
+  await provider.pendingFetch;
+
+  expect(provider.getCachedIceServers()).toHaveLength(2);
+
+  provider.stop();
+  console.error.mockRestore();
+});
+
+test('uses STUN only when no endpoint is configured', async () => {
+  const endpoint = createMockEndpoint(600);
+  const provider = new IceServerProvider({ url: '', stunUrls: STUN, fetchCredentials: endpoint });
+
+  expect(await provider.getIceServers()).toEqual([{ urls: STUN[0] }]);
+  expect(endpoint).not.toHaveBeenCalled();
+});
@@ -0,0 +1,384 @@
+import { scaleLayout } from '../utils/layout';
+
+// Size and frame rate of the recorded video
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+const RECORDING_FRAME_RATE = 24;
+
+// MediaRecorder hands over data this often, so a crash loses little
+const CHUNK_INTERVAL = 1000;
+
+// Best first, all of them play in the browsers that record them
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// Share of the recording width the local video takes when others are shown
+const LOCAL_VIDEO_FRACTION = 0.2;
+
+/**
+ * Whether this browser can record a meeting
+ */
+export const supportsRecording = () => (
+  typeof window.MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function'
+);
+
+/**
+ * First WebM type MediaRecorder can write, or '' to let it choose
+ */
+export const getRecordingMimeType = () => (
+  MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type)) || ''
+);
+
+/**
+ * File name for a recording, e.g. meeting-abc123-2024-05-01T10-00-00-000Z.webm
+ */
+export const getRecordingFilename = (roomName, date = new Date()) => (
+  `meeting-${roomName}-${date.toISOString().replace(/[:.]/g, '-')}.webm`
+);
+
+/**
+ * Save a recording through the browser's download
+ */
+export const downloadRecording = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download a moment to start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Draw a video scaled to cover a rectangle, cropping what sticks out
+ */
+const drawCover = (context, video, x, y, width, height) => {
+  const scale = Math.max(width / video.videoWidth, height / video.videoHeight);
+  const sourceWidth = width / scale;
+  const sourceHeight = height / scale;
+
+  context.drawImage(
+    video,
+    (video.videoWidth - sourceWidth) / 2,
+    (video.videoHeight - sourceHeight) / 2,
+    sourceWidth,
+    sourceHeight,
+    x,
+    y,
+    width,
+    height
+  );
+};
+
+/**
+ * Meeting Recorder
+ * Records the meeting as one WebM file: every participant's video drawn
+ * on a canvas in the layout shown on screen, and all audio mixed with
+ * Web Audio. `getScene` is called for every frame and returns
+ * { layout, participants: [{ id, name, videoTrack, audioTrack }], local }
+ * where `layout` is the last layout from computeLayout, or null, and
+ * `local` is the local participant, drawn like the local video on screen.
+ */
+class MeetingRecorder {
+  constructor() {
+    this.recorder = null;
+    this.getScene = null;
+    this.canvas = null;
+    this.context = null;
+    this.audioContext = null;
+    this.destination = null;
+    this.videos = new Map(); // track id -> video element playing it
+    this.audioSources = new Map(); // track id -> source node in the mix
+    this.chunks = [];
+    this.timer = null;
+    this.onStateChange = null;
+  }
+
+  /**
+   * 'inactive', 'recording' or 'paused', like MediaRecorder.state
+   */
+  get state() {
+    return this.recorder ? this.recorder.state : 'inactive';
+  }
+
+  /**
+   * Start recording the scene
+   */
+  start(getScene) {
+    if (this.recorder) {
+      throw new Error('A recording is already running');
+    }
+
+    if (!supportsRecording()) {
+      throw new Error('Recording is not supported in this browser');
+    }
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+    this.getScene = getScene;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = RECORDING_WIDTH;
+    this.canvas.height = RECORDING_HEIGHT;
+    this.context = this.canvas.getContext('2d');
+    this.audioContext = new AudioContext();
+    this.destination = this.audioContext.createMediaStreamDestination();
+
+    // Each recording collects into its own list, late data can't end up in the next one
+    const chunks = [];
+    this.chunks = chunks;
+
+    const stream = new MediaStream([
+      ...this.canvas.captureStream(RECORDING_FRAME_RATE).getVideoTracks(),
+      ...this.destination.stream.getAudioTracks()
+    ]);
+
+    const mimeType = getRecordingMimeType();
+    this.recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : {});
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+
+    this.drawFrame();
+    this.recorder.start(CHUNK_INTERVAL);
+    this.emitStateChange();
+  }
+
+  /**
+   * Pause recording, nothing is written until resume
+   */
+  pause() {
+    if (this.state !== 'recording') return;
+
+    this.recorder.pause();
+    this.emitStateChange();
+  }
+
+  /**
+   * Carry on after pause
+   */
+  resume() {
+    if (this.state !== 'paused') return;
+
+    this.recorder.resume();
+    this.emitStateChange();
+  }
+
+  /**
+   * Stop recording
+   * Resolves with the recorded WebM blob, or null when nothing was recording
+   */
+  stop() {
+    if (!this.recorder) return Promise.resolve(null);
+
+    const recorder = this.recorder;
+    const chunks = this.chunks;
+
+    return new Promise((resolve) => {
+      // The last data arrives before the stop event
+      recorder.onstop = () => {
+        resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+      };
+
+      recorder.stop();
+      recorder.stream.getTracks().forEach(track => track.stop());
+      this.cleanup();
+      this.emitStateChange();
+    });
+  }
+
+  /**
+   * Release everything used for drawing and mixing
+   */
+  cleanup() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.videos.forEach(video => {
+      video.srcObject = null;
+    });
+    this.videos.clear();
+
+    this.audioSources.forEach(source => source.disconnect());
+    this.audioSources.clear();
+
+    if (this.audioContext) {
+      this.audioContext.close().catch(() => {});
+    }
+
+    this.recorder = null;
+    this.chunks = [];
+    this.getScene = null;
+    this.audioContext = null;
+    this.destination = null;
+    this.canvas = null;
+    this.context = null;
+  }
+
+  /**
+   * Draw the scene and schedule the next frame
+   */
+  drawFrame() {
+    const startedAt = performance.now();
+    const scene = this.getScene();
+    const participants = scene.local ? [...scene.participants, scene.local] : scene.participants;
+
+    this.syncVideos(participants);
+    this.syncAudio(participants);
+
+    // A paused recorder drops frames anyway
+    if (this.state !== 'paused') {
+      this.drawScene(scene);
+    }
+
+    // setTimeout keeps going in background tabs, where animation frames stop
+    this.timer = setTimeout(
+      () => this.drawFrame(),
+      Math.max(0, 1000 / RECORDING_FRAME_RATE - (performance.now() - startedAt))
+    );
+  }
+
+  /**
+   * Draw the remote participants where the layout puts them, and the local one on top
+   */
+  drawScene({ layout, participants, local }) {
+    const context = this.context;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const byId = new Map(participants.map(participant => [participant.id, participant]));
+    const tiles = layout ? scaleLayout(layout, width, height) : [];
+
+    context.fillStyle = '#1f2937';
+    context.fillRect(0, 0, width, height);
+
+    tiles.forEach(tile => {
+      const participant = byId.get(tile.id);
+
+      if (participant) {
+        this.drawParticipant(participant, tile.x, tile.y, tile.width, tile.height);
+      }
+    });
+
+    if (local) {
+      if (tiles.length === 0) {
+        this.drawParticipant(local, 0, 0, width, height);
+      } else {
+        // In the corner, like the local video on screen
+        const localWidth = width * LOCAL_VIDEO_FRACTION;
+        const localHeight = localWidth * 9 / 16;
+        const margin = 16;
+
+        this.drawParticipant(local, width - localWidth - margin, height - localHeight - margin, localWidth, localHeight);
+      }
+    }
+  }
+
+  /**
+   * Draw one participant's video, or their initial when there is none, with their name
+   */
+  drawParticipant(participant, x, y, width, height) {
+    const context = this.context;
+    const video = participant.videoTrack && this.videos.get(participant.videoTrack.id);
+
+    context.save();
+    context.beginPath();
+    context.rect(x, y, width, height);
+    context.clip();
+
+    if (video && video.readyState >= 2 && video.videoWidth > 0) {
+      drawCover(context, video, x, y, width, height);
+    } else {
+      context.fillStyle = '#374151';
+      context.fillRect(x, y, width, height);
+      context.fillStyle = 'white';
+      context.font = `${Math.round(height / 4)}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText((participant.name || '?').charAt(0).toUpperCase(), x + width / 2, y + height / 2);
+    }
+
+    const labelHeight = Math.max(16, Math.round(height / 12));
+    context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    context.fillRect(x, y + height - labelHeight, width, labelHeight);
+    context.fillStyle = 'white';
+    context.font = `${Math.round(labelHeight * 0.6)}px sans-serif`;
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    context.fillText(participant.name || '', x + labelHeight / 2, y + height - labelHeight / 2);
+
+    context.restore();
+  }
+
+  /**
+   * Keep a playing video element for each video track in the scene
+   */
+  syncVideos(participants) {
+    const tracks = participants.map(participant => participant.videoTrack).filter(Boolean);
+    const trackIds = new Set(tracks.map(track => track.id));
+
+    this.videos.forEach((video, trackId) => {
+      if (!trackIds.has(trackId)) {
+        video.srcObject = null;
+        this.videos.delete(trackId);
+      }
+    });
+
+    tracks.forEach(track => {
+      if (this.videos.has(track.id)) return;
+
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = new MediaStream([track]);
+      video.play().catch(error => console.error('Error playing video for recording:', error));
+      this.videos.set(track.id, video);
+    });
+  }
+
+  /**
+   * Keep every audio track in the scene connected to the mix
+   */
+  syncAudio(participants) {
+    const tracks = participants.map(participant => participant.audioTrack).filter(Boolean);
+    const trackIds = new Set(tracks.map(track => track.id));
+
+    this.audioSources.forEach((source, trackId) => {
+      if (!trackIds.has(trackId)) {
+        source.disconnect();
+        this.audioSources.delete(trackId);
+      }
+    });
+
+    tracks.forEach(track => {
+      if (this.audioSources.has(track.id)) return;
+
+      const source = this.audioContext.createMediaStreamSource(new MediaStream([track]));
+      source.connect(this.destination);
+      this.audioSources.set(track.id, source);
+    });
+  }
+
+  emitStateChange() {
+    if (this.onStateChange) {
+      this.onStateChange(this.state);
+    }
+  }
+
+  /**
+   * Set callbacks for recording events
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.onStateChange) {
+      this.onStateChange = callbacks.onStateChange;
+    }
+  }
+}
+
+// Export a singleton instance
+export const meetingRecorder = new MeetingRecorder();
@@ -0,0 +1,120 @@
+import { meetingRecorder, getRecordingFilename, getRecordingMimeType, supportsRecording } from './MeetingRecorder';
+
+afterEach(() => {
+  delete window.MediaRecorder;
+});
+
+test('names recordings after the room and the time, safe for file systems', () => {
+  const date = new Date('2024-05-01T10:00:00.000Z');
+  expect(getRecordingFilename('abc123', date)).toBe('meeting-abc123-2024-05-01T10-00-00-000Z.webm');
+});
+
+test('picks the best WebM type the browser can write', () => {
+  window.MediaRecorder = { isTypeSupported: (type) => type !== 'video/webm;codecs=vp9,opus' };
+  expect(getRecordingMimeType()).toBe('video/webm;codecs=vp8,opus');
+
+  window.MediaRecorder = { isTypeSupported: () => false };
+  expect(getRecordingMimeType()).toBe('');
+});
+
+test('refuses to start without MediaRecorder', () => {
+  expect(supportsRecording()).toBe(false);
+  expect(() => meetingRecorder.start(() => ({ layout: null, participants: [], local: null }))).toThrow();
+  expect(meetingRecorder.state).toBe('inactive');
+});
+
+test('stopping without a recording resolves with nothing', async () => {
+  await expect(meetingRecorder.stop()).resolves.toBeNull();
+});
+
+describe('recording with a stubbed MediaRecorder', () => {
+  class FakeMediaRecorder {
+    static isTypeSupported() {
+      return true;
+    }
+
+    constructor(stream, options) {
+      this.stream = stream;
+      this.mimeType = options.mimeType || '';
+      this.state = 'inactive';
+    }
+
+    emitData(text) {
+      this.ondataavailable({ data: new Blob(text ? [text] : []) });
+    }
+
+    start() {
+      this.state = 'recording';
+      this.emitData('first ');
+    }
+
+    pause() {
+      this.state = 'paused';
+      this.emitData('');
+    }
+
+    resume() {
+      this.state = 'recording';
+      this.emitData('second ');
+    }
+
+    stop() {
+      this.emitData('last');
+      this.state = 'inactive';
+      setTimeout(() => this.onstop(), 0);
+    }
+  }
+
+  const track = { id: 'track', stop: jest.fn() };
+  const readText = (blob) => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+
+  beforeEach(() => {
+    window.MediaRecorder = FakeMediaRecorder;
+    window.MediaStream = class {
+      constructor(tracks) {
+        this.tracks = tracks;
+      }
+
+      getTracks() {
+        return this.tracks;
+      }
+    };
+    window.AudioContext = class {
+      createMediaStreamDestination() {
+        return { stream: { getAudioTracks: () => [track] } };
+      }
+
+      close() {
+        return Promise.resolve();
+      }
+    };
+    HTMLCanvasElement.prototype.captureStream = () => ({ getVideoTracks: () => [track] });
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ fillRect: jest.fn() });
+  });
+
+  afterEach(() => {
+    delete window.MediaStream;
+    delete window.AudioContext;
+    delete HTMLCanvasElement.prototype.captureStream;
+    jest.restoreAllMocks();
+  });
+
+  test('runs through pause and resume and puts every chunk in the file', async () => {
+    const states = [];
+    meetingRecorder.setCallbacks({ onStateChange: (state) => states.push(state) });
+
+    meetingRecorder.start(() => ({ layout: null, participants: [], local: null }));
+    meetingRecorder.pause();
+    meetingRecorder.resume();
+    const blob = await meetingRecorder.stop();
+
+    expect(states).toEqual(['recording', 'paused', 'recording', 'inactive']);
+    expect(blob.type).toBe('video/webm;codecs=vp9,opus');
+    await expect(readText(blob)).resolves.toBe('first second last');
+    expect(meetingRecorder.state).toBe('inactive');
+  });
+});
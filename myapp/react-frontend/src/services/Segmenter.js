@@ -0,0 +1,94 @@
+import config from '../config';
+
+/**
+ * Add a script tag once and wait for it to load
+ */
+const loadScript = (src) => new Promise((resolve, reject) => {
+  const existing = document.querySelector(`script[src="${src}"]`);
+
+  if (existing && existing.dataset.loaded) {
+    resolve();
+    return;
+  }
+
+  const script = existing || document.createElement('script');
+
+  script.addEventListener('load', () => {
+    script.dataset.loaded = 'true';
+    resolve();
+  });
+  script.addEventListener('error', () => reject(new Error(`Failed to load ${src}`)));
+
+  if (!existing) {
+    script.src = src;
+
+    // Only a library from another origin needs CORS
+    if (new URL(src, window.location.href).origin !== window.location.origin) {
+      script.crossOrigin = 'anonymous';
+    }
+    document.head.appendChild(script);
+  }
+});
+
+/**
+ * Segmenter
+ * Separates the person from the background with MediaPipe Selfie
+ * Segmentation, which runs its model with WebAssembly on the CPU. The
+ * library and model are bundled into public/ and loaded from
+ * `segmentation_url` on first use.
+ */
+class Segmenter {
+  constructor() {
+    this.model = null;
+    this.loading = null;
+    this.resolveMask = null;
+  }
+
+  /**
+   * Load the model, once
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const baseUrl = config.segmentation_url;
+
+        await loadScript(`${baseUrl}/selfie_segmentation.js`);
+
+        const model = new window.SelfieSegmentation({ locateFile: file => `${baseUrl}/${file}` });
+
+        // The landscape model is the faster one, and made for video calls
+        model.setOptions({ modelSelection: 1 });
+        model.onResults(results => {
+          if (this.resolveMask) {
+            this.resolveMask(results.segmentationMask);
+            this.resolveMask = null;
+          }
+        });
+
+        await model.initialize();
+        this.model = model;
+      })().catch(error => {
+        // Let the next call try again
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Mask of an image where the person is opaque and the background transparent
+   */
+  async segment(image) {
+    await this.load();
+
+    return new Promise((resolve, reject) => {
+      this.resolveMask = resolve;
+      this.model.send({ image }).catch(reject);
+    });
+  }
+}
+
+// Export a singleton instance
+export const segmenter = new Segmenter();
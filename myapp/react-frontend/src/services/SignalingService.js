@@ -1,66 +1,166 @@
 import axios from 'axios';
 import config from '../config';
+import { createTransport } from './transports';
 
 /**
  * Signaling Service
  * Handles WebRTC signaling with optimizations
  */
-class SignalingService {
-  constructor() {
+export class SignalingService {
+  constructor(options = {}) {
     this.apiLocation = config.api_location;
-    this.socket = null;
+    this.transportType = options.transport || config.signaling_transport;
+    this.transportOptions = options.transportOptions || { url: config.signaling_url };
+    this.transport = null;
     this.onSignalingMessage = null;
     this.onRoomCreated = null;
     this.onRoomJoined = null;
     this.onRoomError = null;
     this.onParticipantJoined = null;
     this.onParticipantLeft = null;
+    this.onStateChange = null;
+    this.onRecordingStateChange = null;
     this.roomName = null;
     this.username = null;
-    this.pendingCandidates = new Map(); // Store candidates by peerId
+    this.participantId = null;
+
+    // Connection lifecycle: idle -> connecting -> open -> reconnecting -> closed
+    this.state = 'idle';
+    this.outboundQueue = [];
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 10;
+    this.reconnectBaseDelay = 1000; // Start with 1 second
+    this.reconnectMaxDelay = 30000;
+    this.reconnectTimer = null;
+    this.intentionalClose = false;
   }
 
   /**
-   * Initialize WebSocket connection for signaling
+   * Connect to the signaling channel for a room
    */
-  initializeWebSocket(roomName, username) {
+  connect(roomName, username) {
     this.roomName = roomName;
     this.username = username;
+    this.intentionalClose = false;
+    this.reconnectAttempts = 0;
+
+    // Keep the same identity for the whole session so a resumed
+    // connection replaces our old entry instead of adding a new one
+    if (!this.participantId) {
+      this.participantId = generateParticipantId();
+    }
+
+    this.setState('connecting');
+    this.openTransport();
+  }
+
+  /**
+   * Open a transport and wire up its event handlers
+   */
+  openTransport() {
+    const transport = createTransport(this.transportType, this.transportOptions);
+    this.transport = transport;
+
+    transport.setCallbacks({
+      onOpen: () => {
+        console.log('Signaling connection established');
+        this.reconnectAttempts = 0;
+
+        // Send join message, resuming our previous identity if we had one
+        transport.send({
+          type: 'join',
+          roomName: this.roomName,
+          username: this.username,
+          participantId: this.participantId
+        });
+
+        this.setState('open');
+        this.flushOutboundQueue();
+      },
+
+      onMessage: (message) => {
+        this.handleSignalingMessage(message);
+      },
+
+      onClose: () => {
+        console.log('Signaling connection closed');
+
+        // Ignore close events from a transport we have already replaced
+        if (this.transport !== transport) return;
+        this.transport = null;
+
+        if (this.intentionalClose) {
+          this.setState('closed');
+        } else {
+          this.scheduleReconnect();
+        }
+      },
+
+      onError: (error) => {
+        console.error('Signaling transport error:', error);
+
+        // Only surface errors when we are not going to retry
+        if (this.onRoomError && this.reconnectAttempts >= this.maxReconnectAttempts) {
+          this.onRoomError('Signaling connection error');
+        }
+      }
+    });
+
+    transport.connect(this.roomName);
+  }
+
+  /**
+   * Schedule a reconnect using exponential backoff with jitter
+   */
+  scheduleReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      console.error('Giving up on signaling reconnection');
+      this.setState('closed');
 
-    // Create WebSocket connection
-    const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${wsProtocol}//${window.location.hostname}:${window.location.port}/ws/signaling/${roomName}`;
-    
-    this.socket = new WebSocket(wsUrl);
-    
-    // Set up event handlers
-    this.socket.onopen = () => {
-      console.log('WebSocket connection established');
-      
-      // Send join message
-      this.sendSignalingMessage({
-        type: 'join',
-        roomName: this.roomName,
-        username: this.username
-      });
-    };
-    
-    this.socket.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-      this.handleSignalingMessage(message);
-    };
-    
-    this.socket.onclose = () => {
-      console.log('WebSocket connection closed');
-    };
-    
-    this.socket.onerror = (error) => {
-      console.error('WebSocket error:', error);
-      
       if (this.onRoomError) {
-        this.onRoomError('WebSocket connection error');
+        this.onRoomError('Lost connection to the signaling server');
       }
-    };
+      return;
+    }
+
+    const backoff = Math.min(
+      this.reconnectMaxDelay,
+      this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts)
+    );
+    // Jitter so clients dropped together do not reconnect together
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+    this.reconnectAttempts++;
+    this.setState('reconnecting');
+
+    console.log(`Reconnecting signaling in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openTransport();
+    }, delay);
+  }
+
+  /**
+   * Send every message queued while the transport was down
+   */
+  flushOutboundQueue() {
+    const queued = this.outboundQueue;
+    this.outboundQueue = [];
+
+    queued.forEach(message => this.sendSignalingMessage(message));
+  }
+
+  /**
+   * Update the connection state and notify listeners
+   */
+  setState(state) {
+    if (this.state === state) return;
+
+    this.state = state;
+
+    if (this.onStateChange) {
+      this.onStateChange(state);
+    }
   }
 
   /**
@@ -112,6 +212,12 @@ class SignalingService {
         }
         break;
         
+      case 'recording_state':
+        if (this.onRecordingStateChange) {
+          this.onRecordingStateChange(message.from, message.state);
+        }
+        break;
+        
       default:
         console.warn('Unknown message type:', message.type);
     }
@@ -121,10 +227,13 @@ class SignalingService {
    * Send a signaling message
    */
   sendSignalingMessage(message) {
-    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-      this.socket.send(JSON.stringify(message));
+    if (this.transport && this.transport.isOpen()) {
+      this.transport.send(message);
+    } else if (this.state === 'closed' || this.state === 'idle') {
+      console.error('Signaling connection is not open');
     } else {
-      console.error('WebSocket is not open');
+      // Hold on to it until the transport (re)opens
+      this.outboundQueue.push(message);
     }
   }
 
@@ -168,7 +277,7 @@ class SignalingService {
     this.sendSignalingMessage({
       type: 'offer',
       offer: offer,
-      from: this.username,
+      from: this.participantId,
       to: peerId
     });
   }
@@ -180,7 +289,7 @@ class SignalingService {
     this.sendSignalingMessage({
       type: 'answer',
       answer: answer,
-      from: this.username,
+      from: this.participantId,
       to: peerId
     });
   }
@@ -192,44 +301,46 @@ class SignalingService {
     this.sendSignalingMessage({
       type: 'ice_candidate',
       candidate: candidate,
-      from: this.username,
+      from: this.participantId,
       to: peerId
     });
   }
 
   /**
-   * Store a pending ICE candidate
-   */
-  storePendingCandidate(peerId, candidate) {
-    if (!this.pendingCandidates.has(peerId)) {
-      this.pendingCandidates.set(peerId, []);
-    }
-    
-    this.pendingCandidates.get(peerId).push(candidate);
-  }
-
-  /**
-   * Get pending ICE candidates for a peer
+   * Tell everyone in the room whether we are recording,
+   * `state` is a MediaRecorder state: 'recording', 'paused' or 'inactive'
    */
-  getPendingCandidates(peerId) {
-    return this.pendingCandidates.get(peerId) || [];
-  }
-
-  /**
-   * Clear pending ICE candidates for a peer
-   */
-  clearPendingCandidates(peerId) {
-    this.pendingCandidates.delete(peerId);
+  sendRecordingState(state) {
+    this.sendSignalingMessage({
+      type: 'recording_state',
+      state: state,
+      from: this.participantId
+    });
   }
 
   /**
    * Close the signaling connection
    */
   close() {
-    if (this.socket) {
-      this.socket.close();
-      this.socket = null;
+    this.intentionalClose = true;
+    this.outboundQueue = [];
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
     }
+
+    if (this.transport) {
+      if (this.transport.isOpen()) {
+        this.transport.send({ type: 'leave' });
+      }
+
+      this.transport.close();
+      this.transport = null;
+    }
+
+    this.participantId = null;
+    this.setState('closed');
   }
 
   /**
@@ -259,8 +370,27 @@ class SignalingService {
     if (callbacks.onParticipantLeft) {
       this.onParticipantLeft = callbacks.onParticipantLeft;
     }
+
+    if (callbacks.onStateChange) {
+      this.onStateChange = callbacks.onStateChange;
+    }
+
+    if (callbacks.onRecordingStateChange) {
+      this.onRecordingStateChange = callbacks.onRecordingStateChange;
+    }
   }
 }
 
+/**
+ * Generate a participant identity that survives reconnects
+ */
+const generateParticipantId = () => {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
 // Export a singleton instance
 export const signalingService = new SignalingService(); 
\ No newline at end of file
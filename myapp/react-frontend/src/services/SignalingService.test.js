@@ -0,0 +1,238 @@
+import { SignalingService } from './SignalingService';
+import { InMemoryHub, InMemoryTransport } from './transports';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Run pending promise callbacks without timers, for tests that fake them
+const settle = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+// The server can't be reached: every transport closes right after connecting
+const takeServerDown = () => jest.spyOn(InMemoryTransport.prototype, 'connect').mockImplementation(function () {
+  Promise.resolve().then(() => this.emitClose());
+});
+
+const createService = (hub) => new SignalingService({
+  transport: 'in-memory',
+  transportOptions: { hub }
+});
+
+test('relays joins and offers between two services over the in-memory transport', async () => {
+  const hub = new InMemoryHub();
+  const alice = createService(hub);
+  const bob = createService(hub);
+
+  const aliceJoined = jest.fn();
+  const bobMessages = jest.fn();
+  alice.setCallbacks({ onParticipantJoined: aliceJoined });
+  bob.setCallbacks({ onSignalingMessage: bobMessages });
+
+  alice.connect('room', 'Alice');
+  await flush();
+  bob.connect('room', 'Bob');
+  await flush();
+
+  expect(aliceJoined).toHaveBeenCalledWith({ id: bob.participantId, name: 'Bob' });
+
+  alice.sendOffer(bob.participantId, { type: 'offer', sdp: 'v=0' });
+  await flush();
+
+  expect(bobMessages).toHaveBeenCalledWith(expect.objectContaining({
+    type: 'offer',
+    from: alice.participantId,
+    to: bob.participantId
+  }));
+});
+
+test('queues outbound messages until the transport opens', async () => {
+  const hub = new InMemoryHub();
+  const alice = createService(hub);
+  const bob = createService(hub);
+
+  const bobMessages = jest.fn();
+  bob.setCallbacks({ onSignalingMessage: bobMessages });
+  bob.connect('room', 'Bob');
+  await flush();
+
+  alice.connect('room', 'Alice');
+  expect(alice.state).toBe('connecting');
+  alice.sendIceCandidate(bob.participantId, { candidate: 'candidate:1' });
+  await flush();
+
+  expect(bobMessages).toHaveBeenCalledWith(expect.objectContaining({ type: 'ice_candidate' }));
+});
+
+test('resumes the same participant without announcing it twice', async () => {
+  const hub = new InMemoryHub();
+  const alice = createService(hub);
+  const bob = createService(hub);
+
+  const aliceJoined = jest.fn();
+  alice.setCallbacks({ onParticipantJoined: aliceJoined });
+  alice.connect('room', 'Alice');
+  await flush();
+  bob.connect('room', 'Bob');
+  await flush();
+
+  // Reconnect with the same identity before the hub noticed the drop
+  bob.transport = null;
+  bob.openTransport();
+  await flush();
+
+  expect(aliceJoined).toHaveBeenCalledTimes(1);
+});
+
+test('broadcasts recording state to everyone else in the room', async () => {
+  const hub = new InMemoryHub();
+  const alice = createService(hub);
+  const bob = createService(hub);
+  const carol = createService(hub);
+
+  const aliceRecording = jest.fn();
+  const bobRecording = jest.fn();
+  const carolRecording = jest.fn();
+  alice.setCallbacks({ onRecordingStateChange: aliceRecording });
+  bob.setCallbacks({ onRecordingStateChange: bobRecording });
+  carol.setCallbacks({ onRecordingStateChange: carolRecording });
+
+  alice.connect('room', 'Alice');
+  bob.connect('room', 'Bob');
+  carol.connect('room', 'Carol');
+  await flush();
+
+  alice.sendRecordingState('recording');
+  await flush();
+
+  expect(bobRecording).toHaveBeenCalledWith(alice.participantId, 'recording');
+  expect(carolRecording).toHaveBeenCalledWith(alice.participantId, 'recording');
+  expect(aliceRecording).not.toHaveBeenCalled();
+});
+
+describe('reconnecting', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('backs off exponentially with jitter between attempts', async () => {
+    const alice = createService(new InMemoryHub());
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    alice.connect('room', 'Alice');
+    await settle();
+
+    const connect = takeServerDown();
+    alice.transport.close();
+    await settle();
+
+    // Jitter of 0 waits half the 1s base delay
+    jest.advanceTimersByTime(499);
+    expect(connect).toHaveBeenCalledTimes(0);
+    jest.advanceTimersByTime(1);
+    expect(connect).toHaveBeenCalledTimes(1);
+    await settle();
+
+    // Second attempt doubles the backoff
+    jest.advanceTimersByTime(999);
+    expect(connect).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(connect).toHaveBeenCalledTimes(2);
+
+    // Full jitter waits the whole backoff
+    random.mockReturnValue(1);
+    await settle();
+    jest.advanceTimersByTime(3999);
+    expect(connect).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1);
+    expect(connect).toHaveBeenCalledTimes(3);
+  });
+
+  test('caps the backoff at the maximum delay', async () => {
+    const alice = createService(new InMemoryHub());
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    alice.connect('room', 'Alice');
+    await settle();
+
+    const connect = takeServerDown();
+    alice.reconnectAttempts = 8;
+    alice.transport.close();
+    await settle();
+
+    jest.advanceTimersByTime(alice.reconnectMaxDelay - 1);
+    expect(connect).toHaveBeenCalledTimes(0);
+    jest.advanceTimersByTime(1);
+    expect(connect).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the maximum number of attempts', async () => {
+    const alice = createService(new InMemoryHub());
+    const roomError = jest.fn();
+    alice.maxReconnectAttempts = 2;
+    alice.setCallbacks({ onRoomError: roomError });
+
+    alice.connect('room', 'Alice');
+    await settle();
+
+    takeServerDown();
+    alice.transport.close();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await settle();
+      jest.runOnlyPendingTimers();
+    }
+
+    expect(alice.state).toBe('closed');
+    expect(roomError).toHaveBeenCalledWith('Lost connection to the signaling server');
+  });
+
+  test('replays queued messages in order once the transport is back', async () => {
+    const hub = new InMemoryHub();
+    const alice = createService(hub);
+    const bob = createService(hub);
+    const bobMessages = jest.fn();
+    bob.setCallbacks({ onSignalingMessage: bobMessages });
+
+    alice.connect('room', 'Alice');
+    bob.connect('room', 'Bob');
+    await settle();
+
+    alice.transport.close();
+    await settle();
+    expect(alice.state).toBe('reconnecting');
+
+    alice.sendOffer(bob.participantId, { type: 'offer', sdp: 'v=0' });
+    alice.sendIceCandidate(bob.participantId, { candidate: 'candidate:1' });
+    expect(alice.outboundQueue).toHaveLength(2);
+    expect(bobMessages).not.toHaveBeenCalled();
+
+    jest.runOnlyPendingTimers();
+    await settle();
+
+    expect(alice.outboundQueue).toHaveLength(0);
+    expect(bobMessages.mock.calls.map(([message]) => message.type)).toEqual(['offer', 'ice_candidate']);
+  });
+
+  test('reports each state of the connection lifecycle', async () => {
+    const alice = createService(new InMemoryHub());
+    const states = [];
+    alice.setCallbacks({ onStateChange: state => states.push(state) });
+
+    alice.connect('room', 'Alice');
+    await settle();
+    alice.transport.close();
+    await settle();
+    jest.runOnlyPendingTimers();
+    await settle();
+    alice.close();
+
+    expect(states).toEqual(['connecting', 'open', 'reconnecting', 'open', 'closed']);
+  });
+});
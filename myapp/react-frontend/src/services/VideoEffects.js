@@ -0,0 +1,150 @@
+import { segmenter } from './Segmenter';
+import { createScratchCanvas } from './VideoPipeline';
+import config from '../config';
+
+// Effects the meeting controls offer, 'none' sends the camera as it is
+export const VIDEO_EFFECTS = {
+  none: { label: 'No Effect' },
+  blur: { label: 'Blur Background' },
+  image: { label: 'Virtual Background' }
+};
+
+const BLUR_RADIUS = 12;
+
+// Without canvas filters the background is blurred by scaling it down and up again
+const DOWNSCALE_FACTOR = 16;
+
+// Softens the edge of the segmentation mask
+const MASK_BLUR_RADIUS = 2;
+
+const supportsCanvasFilter = (context) => 'filter' in context;
+
+/**
+ * Draw the person from `source` over what `drawBackground` paints
+ */
+const compositePerson = (context, source, mask, width, height, drawBackground) => {
+  context.save();
+  context.clearRect(0, 0, width, height);
+
+  if (supportsCanvasFilter(context)) {
+    context.filter = `blur(${MASK_BLUR_RADIUS}px)`;
+  }
+
+  context.drawImage(mask, 0, 0, width, height);
+  context.filter = 'none';
+
+  // Keep the frame only where the mask has the person
+  context.globalCompositeOperation = 'source-in';
+  context.drawImage(source, 0, 0, width, height);
+
+  // And fill in the background behind them
+  context.globalCompositeOperation = 'destination-over';
+  drawBackground();
+
+  context.restore();
+};
+
+/**
+ * Background Blur
+ * Keeps the person sharp and blurs everything behind them
+ */
+class BackgroundBlurEffect {
+  constructor(radius = BLUR_RADIUS) {
+    this.radius = radius;
+    this.scratch = null;
+  }
+
+  async init() {
+    await segmenter.load();
+    this.scratch = createScratchCanvas();
+  }
+
+  async process(source, context, width, height) {
+    const mask = await segmenter.segment(source);
+
+    compositePerson(context, source, mask, width, height, () => {
+      if (supportsCanvasFilter(context)) {
+        context.filter = `blur(${this.radius}px)`;
+        context.drawImage(source, 0, 0, width, height);
+        context.filter = 'none';
+        return;
+      }
+
+      const smallWidth = Math.max(1, Math.round(width / DOWNSCALE_FACTOR));
+      const smallHeight = Math.max(1, Math.round(height / DOWNSCALE_FACTOR));
+
+      this.scratch.width = smallWidth;
+      this.scratch.height = smallHeight;
+      this.scratch.getContext('2d').drawImage(source, 0, 0, smallWidth, smallHeight);
+
+      context.imageSmoothingEnabled = true;
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(this.scratch, 0, 0, width, height);
+    });
+  }
+
+  close() {
+    this.scratch = null;
+  }
+}
+
+/**
+ * Virtual Background
+ * Replaces everything behind the person with an image, scaled to cover the frame
+ */
+class VirtualBackgroundEffect {
+  constructor(imageUrl = config.virtual_background_url) {
+    this.imageUrl = imageUrl;
+    this.image = null;
+  }
+
+  async init() {
+    await segmenter.load();
+
+    if (this.imageUrl) {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.src = this.imageUrl;
+      await image.decode();
+      this.image = image;
+    }
+  }
+
+  async process(source, context, width, height) {
+    const mask = await segmenter.segment(source);
+
+    compositePerson(context, source, mask, width, height, () => this.drawBackground(context, width, height));
+  }
+
+  drawBackground(context, width, height) {
+    if (!this.image) {
+      const gradient = context.createLinearGradient(0, 0, width, height);
+      gradient.addColorStop(0, '#667eea');
+      gradient.addColorStop(1, '#7c3aed');
+      context.fillStyle = gradient;
+      context.fillRect(0, 0, width, height);
+      return;
+    }
+
+    const scale = Math.max(width / this.image.width, height / this.image.height);
+    const drawWidth = this.image.width * scale;
+    const drawHeight = this.image.height * scale;
+
+    context.drawImage(this.image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  }
+
+  close() {
+    this.image = null;
+  }
+}
+
+/**
+ * Video processor for an effect name, or null for 'none'
+ */
+export const createVideoEffect = (name, options = {}) => {
+  switch (name) {
+    case 'blur': return new BackgroundBlurEffect(options.radius);
+    case 'image': return new VirtualBackgroundEffect(options.imageUrl);
+    default: return null;
+  }
+};
@@ -0,0 +1,203 @@
+// Frame rate of the canvas fallback, insertable streams follow the camera
+const CANVAS_FRAME_RATE = 24;
+
+/**
+ * Whether frames can be processed with insertable streams
+ * (MediaStreamTrackProcessor and MediaStreamTrackGenerator)
+ */
+export const supportsInsertableStreams = () => (
+  typeof window.MediaStreamTrackProcessor !== 'undefined' &&
+  typeof window.MediaStreamTrackGenerator !== 'undefined' &&
+  typeof window.VideoFrame !== 'undefined'
+);
+
+/**
+ * Scratch canvas, offscreen where the browser has OffscreenCanvas
+ */
+export const createScratchCanvas = (width = 1, height = 1) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const resize = (canvas, width, height) => {
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+};
+
+/**
+ * Video Pipeline
+ * Runs a camera track through a video processor and returns the processed
+ * track, which goes to peers with replaceTrack in place of the camera.
+ * A processor is { init(), process(source, context, width, height), close() }:
+ * `source` is a canvas holding the current frame and `context` the 2D
+ * context of the output canvas, already sized to the frame.
+ */
+class VideoPipeline {
+  constructor() {
+    this.inputTrack = null;
+    this.outputTrack = null;
+    this.processor = null;
+    this.stopProcessing = null;
+    this.runId = 0;
+  }
+
+  /**
+   * Start processing a track, replacing whatever ran before
+   * Resolves with the processed track, or null when stopped in the meantime
+   */
+  async start(inputTrack, processor) {
+    this.stop();
+
+    const runId = this.runId;
+    await processor.init();
+
+    if (runId !== this.runId) {
+      processor.close();
+      return null;
+    }
+
+    this.inputTrack = inputTrack;
+    this.processor = processor;
+    this.outputTrack = supportsInsertableStreams()
+      ? this.startInsertableStreams(inputTrack, processor)
+      : this.startCanvas(inputTrack, processor);
+
+    return this.outputTrack;
+  }
+
+  /**
+   * Process each frame as a VideoFrame. Frames that arrive while one is
+   * being processed are dropped by the track processor, so a slow effect
+   * lowers the frame rate instead of adding delay.
+   */
+  startInsertableStreams(inputTrack, processor) {
+    const trackProcessor = new window.MediaStreamTrackProcessor({ track: inputTrack });
+    const generator = new window.MediaStreamTrackGenerator({ kind: 'video' });
+    // Segmentation models take regular canvases only, so frames go on one of those
+    const source = document.createElement('canvas');
+    const output = createScratchCanvas();
+    const sourceContext = source.getContext('2d');
+    const outputContext = output.getContext('2d');
+    const abort = new AbortController();
+
+    const transformer = new TransformStream({
+      transform: async (frame, controller) => {
+        const { displayWidth: width, displayHeight: height, timestamp } = frame;
+
+        resize(source, width, height);
+        resize(output, width, height);
+        sourceContext.drawImage(frame, 0, 0, width, height);
+        frame.close();
+
+        await this.processFrame(processor, source, outputContext, width, height);
+        controller.enqueue(new window.VideoFrame(output, { timestamp }));
+      }
+    });
+
+    trackProcessor.readable
+      .pipeThrough(transformer, { signal: abort.signal })
+      .pipeTo(generator.writable)
+      .catch(() => {}); // Aborted by stop()
+
+    this.stopProcessing = () => {
+      abort.abort();
+      generator.stop();
+    };
+
+    return generator;
+  }
+
+  /**
+   * Play the track in a hidden video element and draw it on a canvas at a
+   * fixed rate, sending the canvas as the processed track
+   */
+  startCanvas(inputTrack, processor) {
+    const video = document.createElement('video');
+    const source = document.createElement('canvas');
+    const output = document.createElement('canvas');
+    const sourceContext = source.getContext('2d');
+    const outputContext = output.getContext('2d');
+    const outputTrack = output.captureStream(CANVAS_FRAME_RATE).getVideoTracks()[0];
+    let running = true;
+    let timer = null;
+
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([inputTrack]);
+    video.play().catch(error => console.error('Error playing video for processing:', error));
+
+    const tick = async () => {
+      const startedAt = performance.now();
+
+      if (video.readyState >= 2 && video.videoWidth > 0) {
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+
+        resize(source, width, height);
+        resize(output, width, height);
+        sourceContext.drawImage(video, 0, 0, width, height);
+
+        await this.processFrame(processor, source, outputContext, width, height);
+      }
+
+      if (running) {
+        // setTimeout keeps going in background tabs, where animation frames stop
+        timer = setTimeout(tick, Math.max(0, 1000 / CANVAS_FRAME_RATE - (performance.now() - startedAt)));
+      }
+    };
+
+    tick();
+
+    this.stopProcessing = () => {
+      running = false;
+      clearTimeout(timer);
+      video.srcObject = null;
+      outputTrack.stop();
+    };
+
+    return outputTrack;
+  }
+
+  /**
+   * Run the processor on one frame, passing the frame through untouched if it fails
+   */
+  async processFrame(processor, source, context, width, height) {
+    try {
+      await processor.process(source, context, width, height);
+    } catch (error) {
+      console.error('Error processing video frame:', error);
+      context.drawImage(source, 0, 0, width, height);
+    }
+  }
+
+  /**
+   * Stop processing. The input track is left running, it belongs to the caller
+   */
+  stop() {
+    this.runId++;
+
+    if (this.stopProcessing) {
+      this.stopProcessing();
+      this.stopProcessing = null;
+    }
+
+    if (this.processor) {
+      this.processor.close();
+      this.processor = null;
+    }
+
+    this.inputTrack = null;
+    this.outputTrack = null;
+  }
+}
+
+// Export a singleton instance
+export const videoPipeline = new VideoPipeline();
@@ -0,0 +1,38 @@
+import { videoPipeline, supportsInsertableStreams } from './VideoPipeline';
+
+const createProcessor = (init = async () => {}) => ({
+  init: jest.fn(init),
+  process: jest.fn(),
+  close: jest.fn()
+});
+
+test('uses the canvas fallback without insertable streams', () => {
+  expect(supportsInsertableStreams()).toBe(false);
+});
+
+test('a processor that finishes loading after stop() is closed and not started', async () => {
+  let finishInit;
+  const processor = createProcessor(() => new Promise(resolve => { finishInit = resolve; }));
+  const starting = videoPipeline.start({ kind: 'video' }, processor);
+
+  videoPipeline.stop();
+  finishInit();
+
+  await expect(starting).resolves.toBeNull();
+  expect(processor.close).toHaveBeenCalled();
+  expect(videoPipeline.outputTrack).toBeNull();
+});
+
+test('a failing frame is passed through untouched', async () => {
+  const processor = createProcessor();
+  const context = { drawImage: jest.fn() };
+  const source = {};
+
+  processor.process.mockRejectedValue(new Error('model not ready'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  await videoPipeline.processFrame(processor, source, context, 640, 360);
+
+  expect(context.drawImage).toHaveBeenCalledWith(source, 0, 0, 640, 360);
+  console.error.mockRestore();
+});
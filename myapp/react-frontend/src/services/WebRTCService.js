@@ -3,41 +3,85 @@ import {
   ConnectionQualityMonitor, 
   ConnectionStateManager, 
   optimizeMediaNegotiation,
-  setupFallbackMechanism
+  setupFallbackMechanism,
+  getSimulcastEncodings,
+  selectSimulcastLayer,
+  applyCodecPreferences
 } from '../utils/signalingOptimizer';
+import {
+  getMediaDirections,
+  setBandwidth,
+  setOpusParameters,
+  removeCodecs,
+  reorderCodecs,
+  removeExtensions,
+  getFingerprint
+} from '../utils/sdp';
+import { AdaptiveBitrateController } from '../utils/bitrateAdaptation';
+import { getMediaProfile } from '../utils/mediaProfiles';
+import { parseCandidate, isCandidateAllowed, resolveIcePolicy, getIceTransportPolicy } from '../utils/ice';
+import config from '../config';
+
+// Cap on candidates held for a peer before its remote description arrives
+const MAX_PENDING_CANDIDATES = 100;
+
+// Every peer connection carries exactly one sending transceiver per kind
+const MEDIA_KINDS = ['audio', 'video'];
+
+// Data channel both sides open with the same id, so it needs no negotiation of its own
+const CONTROL_CHANNEL_ID = 0;
+
+// Layer request that pauses video instead of picking a layer
+const PAUSED_LAYER = 'off';
 
 /**
  * WebRTC Service
  * Handles WebRTC connections with optimized signaling
  */
-class WebRTCService {
+export class WebRTCService {
   constructor() {
     this.peerConnections = new Map();
     this.qualityMonitors = new Map();
+    this.bitrateControllers = new Map();
     this.stateManagers = new Map();
+    this.negotiationStates = new Map();
+    this.connectionOptions = new Map(); // What each connection was created with, for rebuilds
+    this.pendingCandidates = new Map(); // Candidates received before they can be applied, by peerId
+    this.candidateMetrics = new Map();
+    this.transceivers = new Map(); // peerId -> { audio, video }
+    this.remoteStreams = new Map();
+    this.controlChannels = new Map();
+    this.requestedLayers = new Map(); // Layer each peer asked us to send
+    this.desiredLayers = new Map(); // Layer we want to receive from each peer
+    this.localTracks = { audio: null, video: null };
+    this.localStream = null;
+    this.videoProfile = getMediaProfile(); // Media profile of the video track being sent
+    this.iceServers = null; // From an ICE server provider, STUN from config until then
     this.onConnectionStateChange = null;
+    this.onLocalDescription = null;
     this.onQualityChange = null;
     this.onIceCandidate = null;
     this.onTrack = null;
+    this.onCandidateMetrics = null;
+    this.onControlMessage = null;
+    this.onBitrateAdaptation = null;
   }
 
   /**
    * Initialize a new peer connection with optimized settings
+   * Exactly one side of each pair must be created with `polite: true`.
+   * `codecPreferences` lists preferred codec names per kind, for example
+   * { video: ['H264'], audio: ['opus'] }.
+   * `sdp` rewrites what we ask the peer to send us, see transformLocalDescription.
+   * `icePolicy` lists ICE policy names (see ICE_POLICIES), the configured ones by default
    */
-  createPeerConnection(peerId, config = {}) {
-    // Default ICE servers configuration
-    const iceServers = [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-      { urls: 'stun:stun2.l.google.com:19302' },
-      { urls: 'stun:stun3.l.google.com:19302' },
-      { urls: 'stun:stun4.l.google.com:19302' }
-    ];
+  createPeerConnection(peerId, options = {}) {
+    const icePolicy = resolveIcePolicy(options.icePolicy || config.ice_policy);
 
     // Create RTCPeerConnection with optimized configuration
     const peerConnection = new RTCPeerConnection({
-      iceServers: config.iceServers || iceServers,
-      iceTransportPolicy: 'all',
+      iceServers: options.iceServers || this.iceServers || config.stun_urls.map(urls => ({ urls })),
+      iceTransportPolicy: getIceTransportPolicy(icePolicy),
       bundlePolicy: 'max-bundle',
       rtcpMuxPolicy: 'require',
       iceCandidatePoolSize: 10
@@ -46,11 +90,29 @@ class WebRTCService {
     // Apply fallback mechanism
     setupFallbackMechanism(peerConnection);
 
+    // Perfect negotiation bookkeeping
+    this.negotiationStates.set(peerId, {
+      polite: !!options.polite,
+      makingOffer: false,
+      ignoreOffer: false,
+      isSettingRemoteAnswerPending: false,
+      codecPreferences: options.codecPreferences || {},
+      sdpCodecFallback: false, // Set when setCodecPreferences is unavailable
+      sdpOptions: options.sdp || {},
+      icePolicy
+    });
+
     // Set up event handlers
     this.setupPeerConnectionEvents(peerConnection, peerId);
 
     // Store the connection
     this.peerConnections.set(peerId, peerConnection);
+    this.connectionOptions.set(peerId, options);
+
+    // Both sides own their sending transceivers, which is the only way
+    // either of them can send simulcast
+    this.createControlChannel(peerId);
+    this.createTransceivers(peerId);
 
     return peerConnection;
   }
@@ -59,22 +121,47 @@ class WebRTCService {
    * Set up event handlers for a peer connection
    */
   setupPeerConnectionEvents(peerConnection, peerId) {
+    // Offers are only ever made here, whenever the browser asks for one
+    peerConnection.onnegotiationneeded = () => {
+      // Skip connections that were closed or replaced in the meantime
+      if (this.peerConnections.get(peerId) === peerConnection) {
+        this.makeOffer(peerId);
+      }
+    };
+
     // ICE candidate event
     peerConnection.onicecandidate = (event) => {
-      if (event.candidate) {
-        // Optimize ICE candidates
-        const optimizedCandidate = optimizeIceCandidates([event.candidate])[0];
+      if (event.candidate && event.candidate.candidate) {
+        // Keep candidates the policy rules out to ourselves
+        if (!isCandidateAllowed(parseCandidate(event.candidate), this.negotiationStates.get(peerId).icePolicy)) {
+          this.getCandidateMetrics(peerId).localFiltered++;
+          return;
+        }
         
         if (this.onIceCandidate) {
-          this.onIceCandidate(peerId, optimizedCandidate);
+          this.onIceCandidate(peerId, event.candidate);
         }
+      } else if (this.onIceCandidate) {
+        // A null candidate marks the end of gathering
+        this.onIceCandidate(peerId, null);
       }
     };
 
     // Track event
     peerConnection.ontrack = (event) => {
+      // Collect all of a peer's tracks into one stable stream
+      if (!this.remoteStreams.has(peerId)) {
+        this.remoteStreams.set(peerId, new MediaStream());
+      }
+
+      const remoteStream = this.remoteStreams.get(peerId);
+
+      if (!remoteStream.getTracks().includes(event.track)) {
+        remoteStream.addTrack(event.track);
+      }
+
       if (this.onTrack) {
-        this.onTrack(peerId, event);
+        this.onTrack(peerId, event, remoteStream);
       }
     };
 
@@ -117,12 +204,39 @@ class WebRTCService {
 
   /**
    * Start monitoring connection quality for a peer
+   * Reports go to onQualityChange, or to the service's onQualityChange callback.
+   * `options.thresholds` overrides the good/fair limits, see DEFAULT_QUALITY_THRESHOLDS.
+   * The same reports drive bitrate adaptation unless `options.adaptation` is false,
+   * an object there overrides DEFAULT_ADAPTATION_OPTIONS.
    */
-  startQualityMonitoring(peerId, onQualityChange) {
+  startQualityMonitoring(peerId, onQualityChange, options = {}) {
     const peerConnection = this.peerConnections.get(peerId);
     
     if (peerConnection) {
-      const monitor = new ConnectionQualityMonitor(peerConnection, onQualityChange);
+      const report = onQualityChange || ((quality, metrics) => {
+        if (this.onQualityChange) {
+          this.onQualityChange(peerId, quality, metrics);
+        }
+      });
+      
+      if (options.adaptation !== false) {
+        const controller = new AdaptiveBitrateController(
+          adaptation => this.handleBitrateAdaptation(peerId, adaptation),
+          options.adaptation
+        );
+        this.bitrateControllers.set(peerId, controller);
+      }
+      
+      const callback = (quality, metrics) => {
+        const controller = this.bitrateControllers.get(peerId);
+        
+        if (controller) {
+          controller.update(metrics);
+        }
+        
+        report(quality, metrics);
+      };
+      const monitor = new ConnectionQualityMonitor(peerConnection, callback, options);
       monitor.startMonitoring();
       this.qualityMonitors.set(peerId, monitor);
     }
@@ -138,16 +252,43 @@ class WebRTCService {
       monitor.stopMonitoring();
       this.qualityMonitors.delete(peerId);
     }
+    
+    this.bitrateControllers.delete(peerId);
+  }
+
+  /**
+   * Apply a bitrate adaptation step to a peer's video and report it
+   */
+  handleBitrateAdaptation(peerId, adaptation) {
+    this.updateVideoEncoding(peerId);
+    
+    if (this.onBitrateAdaptation) {
+      this.onBitrateAdaptation(peerId, adaptation);
+    }
+  }
+
+  /**
+   * Get the bitrate adaptation level for a peer, 'full' when not adapting
+   */
+  getAdaptationLevel(peerId) {
+    const controller = this.bitrateControllers.get(peerId);
+    return controller ? controller.getStep().level : 'full';
   }
 
   /**
    * Start monitoring connection state for a peer
+   * A dropped connection is brought back with ICE restarts and, when those
+   * fail, a new peer connection. onStateChange receives the manager's states.
    */
   startStateMonitoring(peerId, onStateChange) {
     const peerConnection = this.peerConnections.get(peerId);
     
     if (peerConnection) {
-      const manager = new ConnectionStateManager(peerConnection, onStateChange);
+      const manager = new ConnectionStateManager(peerConnection, onStateChange, {
+        polite: this.negotiationStates.get(peerId).polite,
+        restartIce: () => this.restartIce(peerId),
+        rebuild: () => this.rebuildConnection(peerId)
+      });
       manager.startMonitoring();
       this.stateManagers.set(peerId, manager);
     }
@@ -160,108 +301,605 @@ class WebRTCService {
     const manager = this.stateManagers.get(peerId);
     
     if (manager) {
+      manager.stopMonitoring();
       this.stateManagers.delete(peerId);
     }
   }
 
   /**
-   * Add a local media stream to a peer connection
+   * Restart ICE with an offer sent through signaling
    */
-  addLocalStream(peerId, stream) {
-    const peerConnection = this.peerConnections.get(peerId);
-    
-    if (peerConnection && stream) {
-      stream.getTracks().forEach(track => {
-        peerConnection.addTrack(track, stream);
-      });
-      
-      // Optimize media negotiation
-      optimizeMediaNegotiation(peerConnection, stream);
+  async restartIce(peerId) {
+    if (!this.peerConnections.has(peerId)) return;
+
+    await this.makeOffer(peerId, { iceRestart: true });
+  }
+
+  /**
+   * Replace a peer's connection with a new one created with the same options
+   * Monitoring, bitrate adaptation and our layer choice carry over. The peer
+   * notices the new DTLS fingerprint in our offer and rebuilds its side too.
+   */
+  rebuildConnection(peerId) {
+    const options = this.connectionOptions.get(peerId);
+
+    if (!options) return null;
+
+    const qualityMonitor = this.qualityMonitors.get(peerId);
+    const stateManager = this.stateManagers.get(peerId);
+    const bitrateController = this.bitrateControllers.get(peerId);
+    const desiredLayer = this.desiredLayers.get(peerId);
+
+    // Keep closeConnection from stopping what we carry over
+    this.qualityMonitors.delete(peerId);
+    this.stateManagers.delete(peerId);
+    this.closeConnection(peerId);
+
+    const peerConnection = this.createPeerConnection(peerId, options);
+
+    if (qualityMonitor) {
+      qualityMonitor.setPeerConnection(peerConnection);
+      this.qualityMonitors.set(peerId, qualityMonitor);
+    }
+
+    if (bitrateController) {
+      this.bitrateControllers.set(peerId, bitrateController);
+    }
+
+    if (stateManager) {
+      stateManager.setPeerConnection(peerConnection);
+      this.stateManagers.set(peerId, stateManager);
+    }
+
+    if (desiredLayer) {
+      this.desiredLayers.set(peerId, desiredLayer);
+    }
+
+    return peerConnection;
+  }
+
+  /**
+   * Get the stream local tracks are announced under
+   */
+  getLocalStream() {
+    if (!this.localStream) {
+      this.localStream = new MediaStream();
     }
+
+    return this.localStream;
   }
 
   /**
-   * Create and send an offer to a peer
+   * Get the track currently sent for a kind
    */
-  async createOffer(peerId, options = {}) {
-    const peerConnection = this.peerConnections.get(peerId);
-    
-    if (peerConnection) {
-      try {
-        const offer = await peerConnection.createOffer(options);
-        await peerConnection.setLocalDescription(offer);
-        return offer;
-      } catch (error) {
-        console.error('Error creating offer:', error);
-        throw error;
+  getLocalTrack(kind) {
+    return this.localTracks[kind];
+  }
+
+  /**
+   * Set the track sent to every peer for a kind, or null to stop sending
+   * Swaps tracks on the existing transceivers so no renegotiation is needed.
+   * `profileName` picks the media profile a video track is sent with.
+   */
+  async setLocalTrack(kind, track, profileName) {
+    this.localTracks[kind] = track || null;
+
+    const replacements = [];
+
+    this.transceivers.forEach((transceivers, peerId) => {
+      const transceiver = transceivers[kind];
+
+      if (transceiver) {
+        replacements.push(
+          transceiver.sender.replaceTrack(track || null)
+            .catch(e => console.error(`Error replacing ${kind} track for ${peerId}:`, e))
+        );
       }
+    });
+
+    await Promise.all(replacements);
+
+    if (kind === 'video' && track) {
+      await this.setVideoProfile(profileName || this.videoProfile);
     }
-    
-    throw new Error(`No peer connection found for peer ${peerId}`);
   }
 
   /**
-   * Create and send an answer to a peer
+   * Send video with another media profile, by name or as a profile object
+   * Applies its capture constraints to the current track and its encoding to every peer
    */
-  async createAnswer(peerId, options = {}) {
+  async setVideoProfile(profile) {
+    this.videoProfile = typeof profile === 'string' ? getMediaProfile(profile) : profile;
+
+    if (this.localTracks.video) {
+      optimizeMediaNegotiation(new MediaStream([this.localTracks.video]), this.videoProfile);
+    }
+
+    await Promise.all([...this.transceivers.keys()].map(peerId => this.updateVideoEncoding(peerId)));
+  }
+
+  /**
+   * Add the sending audio and video transceivers for a peer
+   * The peer sees them as receive-only transceivers of its own
+   */
+  createTransceivers(peerId) {
     const peerConnection = this.peerConnections.get(peerId);
-    
-    if (peerConnection) {
-      try {
-        const answer = await peerConnection.createAnswer(options);
-        await peerConnection.setLocalDescription(answer);
-        return answer;
-      } catch (error) {
-        console.error('Error creating answer:', error);
-        throw error;
+    const negotiation = this.negotiationStates.get(peerId);
+    const transceivers = {};
+
+    MEDIA_KINDS.forEach(kind => {
+      const init = {
+        direction: 'sendonly',
+        streams: [this.getLocalStream()]
+      };
+
+      if (kind === 'video') {
+        init.sendEncodings = getSimulcastEncodings();
       }
-    }
-    
-    throw new Error(`No peer connection found for peer ${peerId}`);
+
+      transceivers[kind] = peerConnection.addTransceiver(this.localTracks[kind] || kind, init);
+
+      if (!applyCodecPreferences(transceivers[kind], kind, negotiation.codecPreferences[kind])) {
+        negotiation.sdpCodecFallback = true;
+      }
+    });
+
+    this.transceivers.set(peerId, transceivers);
   }
 
   /**
-   * Set remote description for a peer
+   * Open the control data channel for a peer
    */
-  async setRemoteDescription(peerId, description) {
+  createControlChannel(peerId) {
     const peerConnection = this.peerConnections.get(peerId);
-    
-    if (peerConnection) {
-      try {
-        await peerConnection.setRemoteDescription(new RTCSessionDescription(description));
-      } catch (error) {
-        console.error('Error setting remote description:', error);
-        throw error;
+    const channel = peerConnection.createDataChannel('control', {
+      negotiated: true,
+      id: CONTROL_CHANNEL_ID
+    });
+
+    channel.onopen = () => {
+      // Repeat our layer choice in case it was made before the channel opened
+      if (this.desiredLayers.has(peerId)) {
+        this.sendControlMessage(peerId, { type: 'layer_request', layer: this.desiredLayers.get(peerId) });
       }
-    } else {
+    };
+
+    channel.onmessage = (event) => {
+      this.handleControlMessage(peerId, JSON.parse(event.data));
+    };
+
+    this.controlChannels.set(peerId, channel);
+  }
+
+  /**
+   * Send a message to a peer over the control channel
+   * Returns false when the channel is not open yet
+   */
+  sendControlMessage(peerId, message) {
+    const channel = this.controlChannels.get(peerId);
+
+    if (!channel || channel.readyState !== 'open') {
+      return false;
+    }
+
+    channel.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Handle a message from a peer's control channel
+   */
+  handleControlMessage(peerId, message) {
+    switch (message.type) {
+      case 'layer_request':
+        this.applyLayerRequest(peerId, message.layer);
+        break;
+
+      default:
+        if (this.onControlMessage) {
+          this.onControlMessage(peerId, message);
+        }
+    }
+  }
+
+  /**
+   * Ask a peer to send us a simulcast layer ('low', 'medium' or 'high'),
+   * or 'off' to pause its video while nobody can see it
+   */
+  requestLayer(peerId, layer) {
+    if (this.desiredLayers.get(peerId) === layer) return;
+
+    this.desiredLayers.set(peerId, layer);
+    this.sendControlMessage(peerId, { type: 'layer_request', layer });
+  }
+
+  /**
+   * Send a peer the simulcast layer it asked for
+   */
+  async applyLayerRequest(peerId, layer) {
+    this.requestedLayers.set(peerId, layer);
+    await this.updateVideoEncoding(peerId);
+  }
+
+  /**
+   * Set a peer's video encodings from its requested layer, the media profile
+   * and the current bitrate adaptation step. Until a layer is requested every
+   * layer is sent, or full quality when there is no simulcast.
+   */
+  async updateVideoEncoding(peerId) {
+    const transceivers = this.transceivers.get(peerId);
+
+    if (!transceivers) return;
+
+    const layer = this.requestedLayers.get(peerId) || null;
+    const controller = this.bitrateControllers.get(peerId);
+    const step = controller ? controller.getStep() : null;
+    // The peer has our video off screen, stop sending it
+    const paused = layer === PAUSED_LAYER;
+
+    try {
+      await selectSimulcastLayer(
+        transceivers.video.sender,
+        paused ? null : layer,
+        paused ? { ...step, active: false } : step,
+        this.videoProfile.encoding
+      );
+    } catch (error) {
+      console.error(`Error updating video encoding for ${peerId}:`, error);
+    }
+  }
+
+  /**
+   * Check whether a peer connection exists
+   */
+  hasConnection(peerId) {
+    return this.peerConnections.has(peerId);
+  }
+
+  /**
+   * Create an offer and hand it to signaling
+   */
+  async makeOffer(peerId, options = {}) {
+    const peerConnection = this.peerConnections.get(peerId);
+    const negotiation = this.negotiationStates.get(peerId);
+
+    if (!peerConnection) {
       throw new Error(`No peer connection found for peer ${peerId}`);
     }
+
+    try {
+      negotiation.makingOffer = true;
+
+      const offer = await peerConnection.createOffer(options);
+
+      // A remote offer may have arrived while we were creating ours.
+      // An ICE restart may also replace our own offer if its answer never came.
+      const replacesOwnOffer = options.iceRestart && peerConnection.signalingState === 'have-local-offer';
+
+      if (peerConnection.signalingState !== 'stable' && !replacesOwnOffer) return;
+
+      await this.setLocalDescription(peerId, offer);
+      this.emitLocalDescription(peerId, peerConnection.localDescription);
+    } catch (error) {
+      console.error('Error creating offer:', error);
+    } finally {
+      negotiation.makingOffer = false;
+    }
+  }
+
+  /**
+   * Apply an offer or answer from a peer using perfect negotiation
+   * Colliding offers are rolled back by the polite side and ignored by the
+   * impolite side, and answers we are no longer waiting for are dropped
+   */
+  async handleRemoteDescription(peerId, description) {
+    let peerConnection = this.peerConnections.get(peerId);
+
+    if (!peerConnection) {
+      throw new Error(`No peer connection found for peer ${peerId}`);
+    }
+
+    // A new fingerprint means the peer rebuilt its connection, so we rebuild ours
+    const remoteDescription = peerConnection.remoteDescription;
+
+    if (description.type === 'offer' && remoteDescription &&
+        getFingerprint(remoteDescription.sdp) !== getFingerprint(description.sdp)) {
+      console.log(`Peer ${peerId} started a new connection, rebuilding ours`);
+      peerConnection = this.rebuildConnection(peerId);
+    }
+
+    const negotiation = this.negotiationStates.get(peerId);
+
+    const readyForOffer = !negotiation.makingOffer &&
+      (peerConnection.signalingState === 'stable' || negotiation.isSettingRemoteAnswerPending);
+    const offerCollision = description.type === 'offer' && !readyForOffer;
+
+    negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+
+    if (negotiation.ignoreOffer) {
+      console.log(`Ignoring colliding offer from ${peerId}`);
+      return;
+    }
+
+    if (description.type === 'answer' && peerConnection.signalingState !== 'have-local-offer') {
+      console.log(`Ignoring stale answer from ${peerId}`);
+      return;
+    }
+
+    try {
+      if (offerCollision) {
+        // Polite side gives way to the remote offer
+        await peerConnection.setLocalDescription({ type: 'rollback' });
+      }
+
+      negotiation.isSettingRemoteAnswerPending = description.type === 'answer';
+      await peerConnection.setRemoteDescription(new RTCSessionDescription(description));
+      negotiation.isSettingRemoteAnswerPending = false;
+
+      // Candidates that beat the description here can be applied now
+      await this.flushPendingCandidates(peerId);
+
+      if (description.type === 'offer') {
+        const answer = await peerConnection.createAnswer();
+        await this.setLocalDescription(peerId, answer);
+        this.emitLocalDescription(peerId, peerConnection.localDescription);
+      } else {
+        // Our offer is answered, so the negotiated encodings are known
+        this.updateVideoEncoding(peerId);
+      }
+    } catch (error) {
+      negotiation.isSettingRemoteAnswerPending = false;
+      console.error('Error handling remote description:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a local description, rewritten by transformLocalDescription
+   * If the browser rejects the rewritten SDP, the original is used instead
+   */
+  async setLocalDescription(peerId, description) {
+    const peerConnection = this.peerConnections.get(peerId);
+    const transformed = this.transformLocalDescription(peerId, description);
+
+    try {
+      await peerConnection.setLocalDescription(transformed);
+    } catch (error) {
+      if (transformed.sdp === description.sdp) throw error;
+
+      console.warn('Rewritten SDP was rejected, using the original:', error);
+      await peerConnection.setLocalDescription(description);
+    }
+  }
+
+  /**
+   * Rewrite a local offer or answer according to the peer's options:
+   * - codec order, when setCodecPreferences was not available
+   * - sdp.maxBitrate: { audio, video } caps in kbps (b=AS / b=TIAS)
+   * - sdp.opus: Opus fmtp parameters such as stereo, useinbandfec, usedtx
+   *   and maxaveragebitrate
+   * - sdp.removeCodecs: { video: ['H264'] } codec names to strip per kind
+   * - sdp.removeExtensions: RTP header extension URIs to strip
+   */
+  transformLocalDescription(peerId, description) {
+    const { sdpCodecFallback, codecPreferences, sdpOptions } = this.negotiationStates.get(peerId);
+    let sdp = description.sdp;
+
+    if (sdpCodecFallback) {
+      Object.entries(codecPreferences).forEach(([kind, preferredNames]) => {
+        if (preferredNames && preferredNames.length > 0) {
+          sdp = reorderCodecs(sdp, kind, preferredNames);
+        }
+      });
+    }
+
+    Object.entries(sdpOptions.removeCodecs || {}).forEach(([kind, names]) => {
+      sdp = removeCodecs(sdp, kind, names);
+    });
+
+    if (sdpOptions.removeExtensions) {
+      sdp = removeExtensions(sdp, sdpOptions.removeExtensions);
+    }
+
+    if (sdpOptions.opus) {
+      sdp = setOpusParameters(sdp, sdpOptions.opus);
+    }
+
+    Object.entries(sdpOptions.maxBitrate || {}).forEach(([kind, kbps]) => {
+      sdp = setBandwidth(sdp, kind, kbps);
+    });
+
+    return { type: description.type, sdp };
+  }
+
+  /**
+   * Get the negotiated direction of every m-line for a peer
+   */
+  getNegotiatedDirections(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    const description = peerConnection && peerConnection.currentLocalDescription;
+
+    return description ? getMediaDirections(description.sdp) : [];
+  }
+
+  /**
+   * Pass a local offer or answer to the signaling layer
+   */
+  emitLocalDescription(peerId, description) {
+    if (this.onLocalDescription) {
+      this.onLocalDescription(peerId, { type: description.type, sdp: description.sdp });
+    }
   }
 
   /**
    * Add an ICE candidate for a peer
+   * Candidates that arrive before the peer connection or its remote
+   * description are buffered and applied once the description is set.
+   * A null or empty candidate signals end-of-candidates.
    */
   async addIceCandidate(peerId, candidate) {
     const peerConnection = this.peerConnections.get(peerId);
     
-    if (peerConnection) {
+    if (!peerConnection || !peerConnection.remoteDescription) {
+      this.bufferCandidate(peerId, candidate);
+      return;
+    }
+
+    await this.applyCandidate(peerId, peerConnection, candidate);
+  }
+
+  /**
+   * Hold a candidate until it can be applied
+   */
+  bufferCandidate(peerId, candidate) {
+    const metrics = this.getCandidateMetrics(peerId);
+
+    if (!this.pendingCandidates.has(peerId)) {
+      this.pendingCandidates.set(peerId, []);
+    }
+
+    const pending = this.pendingCandidates.get(peerId);
+
+    if (pending.length >= MAX_PENDING_CANDIDATES) {
+      console.warn(`Dropping ICE candidate for ${peerId}, buffer is full`);
+      metrics.dropped++;
+    } else {
+      pending.push(candidate);
+      metrics.buffered++;
+
+      if (!metrics.firstBufferedAt) {
+        metrics.firstBufferedAt = Date.now();
+      }
+    }
+
+    this.emitCandidateMetrics(peerId);
+  }
+
+  /**
+   * Apply every buffered candidate for a peer
+   */
+  async flushPendingCandidates(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    const pending = this.pendingCandidates.get(peerId);
+
+    if (!peerConnection || !pending || pending.length === 0) return;
+
+    const metrics = this.getCandidateMetrics(peerId);
+    const { icePolicy } = this.negotiationStates.get(peerId);
+    this.pendingCandidates.delete(peerId);
+
+    // Duplicates and candidates the policy rules out never reach the connection
+    const candidates = optimizeIceCandidates(pending, icePolicy);
+    metrics.filtered += pending.length - candidates.length;
+
+    for (const candidate of candidates) {
       try {
-        await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+        if (await this.applyCandidate(peerId, peerConnection, candidate)) {
+          metrics.flushed++;
+        }
       } catch (error) {
-        console.error('Error adding ICE candidate:', error);
-        throw error;
+        // Already counted as failed, keep going with the rest
       }
-    } else {
-      throw new Error(`No peer connection found for peer ${peerId}`);
+    }
+
+    // How long the earliest candidate waited for the description
+    metrics.bufferDelayMs = Date.now() - metrics.firstBufferedAt;
+    metrics.firstBufferedAt = null;
+
+    this.emitCandidateMetrics(peerId);
+  }
+
+  /**
+   * Add a single candidate to a peer connection
+   * Resolves with whether it reached the connection, not filtered or dropped
+   */
+  async applyCandidate(peerId, peerConnection, candidate) {
+    const metrics = this.getCandidateMetrics(peerId);
+
+    try {
+      if (!candidate || !candidate.candidate) {
+        // End-of-candidates for this generation
+        await peerConnection.addIceCandidate();
+        metrics.endOfCandidates = true;
+        this.emitCandidateMetrics(peerId);
+      } else if (!isCandidateAllowed(parseCandidate(candidate), this.negotiationStates.get(peerId).icePolicy)) {
+        metrics.filtered++;
+        return false;
+      } else {
+        await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+        metrics.applied++;
+      }
+
+      return true;
+    } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      if (this.negotiationStates.get(peerId)?.ignoreOffer) {
+        metrics.dropped++;
+        return false;
+      }
+
+      metrics.failed++;
+      this.emitCandidateMetrics(peerId);
+      console.error('Error adding ICE candidate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get candidate buffering metrics for a peer
+   */
+  getCandidateMetrics(peerId) {
+    if (!this.candidateMetrics.has(peerId)) {
+      this.candidateMetrics.set(peerId, {
+        buffered: 0,
+        flushed: 0,
+        applied: 0,
+        dropped: 0,
+        failed: 0,
+        filtered: 0, // Remote candidates rejected by the ICE policy or as duplicates
+        localFiltered: 0, // Local candidates not sent because of the ICE policy
+        endOfCandidates: false,
+        bufferDelayMs: null,
+        firstBufferedAt: null
+      });
+    }
+
+    return this.candidateMetrics.get(peerId);
+  }
+
+  /**
+   * Report candidate buffering metrics for a peer
+   */
+  emitCandidateMetrics(peerId) {
+    if (this.onCandidateMetrics) {
+      this.onCandidateMetrics(peerId, { ...this.getCandidateMetrics(peerId) });
     }
   }
 
+  /**
+   * Throw away buffered candidates for a peer, counting them as dropped
+   */
+  discardPendingCandidates(peerId) {
+    const pending = this.pendingCandidates.get(peerId);
+
+    if (pending && pending.length > 0) {
+      this.getCandidateMetrics(peerId).dropped += pending.length;
+      this.emitCandidateMetrics(peerId);
+    }
+
+    this.pendingCandidates.delete(peerId);
+    this.candidateMetrics.delete(peerId);
+  }
+
   /**
    * Close a peer connection
    */
   closeConnection(peerId) {
     const peerConnection = this.peerConnections.get(peerId);
     
+    // Candidates for a connection that is going away are useless
+    this.discardPendingCandidates(peerId);
+    
     if (peerConnection) {
       // Stop quality monitoring
       this.stopQualityMonitoring(peerId);
@@ -272,11 +910,47 @@ class WebRTCService {
       // Close the connection
       peerConnection.close();
       
-      // Remove from map
+      // Remove from maps
       this.peerConnections.delete(peerId);
+      this.negotiationStates.delete(peerId);
+      this.connectionOptions.delete(peerId);
+      this.transceivers.delete(peerId);
+      this.remoteStreams.delete(peerId);
+      this.controlChannels.delete(peerId);
+      this.requestedLayers.delete(peerId);
+      this.desiredLayers.delete(peerId);
     }
   }
 
+  /**
+   * Take ICE servers from a provider, now and whenever it refreshes credentials
+   * Resolves once the first set is in place, so call it before connecting
+   */
+  async useIceServerProvider(provider) {
+    provider.setCallbacks({
+      onIceServersChange: (iceServers) => this.setIceServers(iceServers)
+    });
+
+    this.iceServers = await provider.getIceServers();
+  }
+
+  /**
+   * Switch every connection to new ICE servers
+   * An ICE restart makes them gather candidates with the new credentials
+   */
+  setIceServers(iceServers) {
+    this.iceServers = iceServers;
+
+    this.peerConnections.forEach((peerConnection, peerId) => {
+      try {
+        peerConnection.setConfiguration({ ...peerConnection.getConfiguration(), iceServers });
+        peerConnection.restartIce();
+      } catch (error) {
+        console.error(`Error updating ICE servers for ${peerId}:`, error);
+      }
+    });
+  }
+
   /**
    * Close all peer connections
    */
@@ -284,6 +958,10 @@ class WebRTCService {
     for (const [peerId] of this.peerConnections) {
       this.closeConnection(peerId);
     }
+
+    // Forget local media along with the connections it was sent on
+    this.localTracks = { audio: null, video: null };
+    this.localStream = null;
   }
 
   /**
@@ -305,6 +983,22 @@ class WebRTCService {
     if (callbacks.onTrack) {
       this.onTrack = callbacks.onTrack;
     }
+
+    if (callbacks.onLocalDescription) {
+      this.onLocalDescription = callbacks.onLocalDescription;
+    }
+
+    if (callbacks.onCandidateMetrics) {
+      this.onCandidateMetrics = callbacks.onCandidateMetrics;
+    }
+
+    if (callbacks.onControlMessage) {
+      this.onControlMessage = callbacks.onControlMessage;
+    }
+
+    if (callbacks.onBitrateAdaptation) {
+      this.onBitrateAdaptation = callbacks.onBitrateAdaptation;
+    }
   }
 }
 
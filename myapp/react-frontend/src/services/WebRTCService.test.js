@@ -0,0 +1,488 @@
+import { WebRTCService } from './WebRTCService';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Offer or answer with a DTLS fingerprint and two video codecs, VP8 first
+ */
+const createSdp = (fingerprint) => [
+  'v=0',
+  'o=- 1 2 IN IP4 127.0.0.1',
+  's=-',
+  't=0 0',
+  'a=group:BUNDLE 0 1',
+  `a=fingerprint:sha-256 ${fingerprint}`,
+  'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+  'c=IN IP4 0.0.0.0',
+  'a=mid:0',
+  'a=rtpmap:111 opus/48000/2',
+  'm=video 9 UDP/TLS/RTP/SAVPF 96 102',
+  'c=IN IP4 0.0.0.0',
+  'a=mid:1',
+  'a=rtpmap:96 VP8/90000',
+  'a=rtpmap:102 H264/90000',
+  ''
+].join('\r\n');
+
+const remoteOffer = (fingerprint = 'AA:AA') => ({ type: 'offer', sdp: createSdp(fingerprint) });
+
+const hostCandidate = (port) => ({
+  candidate: `candidate:${port} 1 udp 2122260223 192.168.1.2 ${port} typ host`,
+  sdpMid: '0',
+  sdpMLineIndex: 0
+});
+
+class FakeSender {
+  constructor(track, encodings = [{}]) {
+    this.track = track;
+    this.encodings = encodings;
+    this.replaceTrack = jest.fn(async (newTrack) => {
+      this.track = newTrack;
+    });
+    this.setParameters = jest.fn(async (parameters) => {
+      this.encodings = parameters.encodings;
+    });
+  }
+
+  getParameters() {
+    return { encodings: this.encodings.map(encoding => ({ ...encoding })) };
+  }
+}
+
+let connectionCount = 0;
+
+/**
+ * Just enough of RTCPeerConnection for negotiation: signaling states,
+ * descriptions, candidates, transceivers and data channels. `log` lists
+ * the descriptions set, e.g. 'local:offer' or 'remote:answer'.
+ */
+class FakePeerConnection {
+  constructor(configuration) {
+    this.configuration = configuration;
+    this.fingerprint = `0${++connectionCount}:FF`;
+    this.signalingState = 'stable';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.currentLocalDescription = null;
+    this.transceivers = [];
+    this.channels = [];
+    this.candidates = [];
+    this.log = [];
+    this.closed = false;
+    this.rejectLocalDescription = null; // Predicate for SDP the "browser" refuses
+  }
+
+  async createOffer() {
+    return { type: 'offer', sdp: createSdp(this.fingerprint) };
+  }
+
+  async createAnswer() {
+    return { type: 'answer', sdp: createSdp(this.fingerprint) };
+  }
+
+  async setLocalDescription(description) {
+    if (this.rejectLocalDescription && this.rejectLocalDescription(description)) {
+      throw new Error('Invalid SDP');
+    }
+
+    this.log.push(`local:${description.type}`);
+
+    if (description.type === 'rollback') {
+      this.signalingState = 'stable';
+      this.localDescription = null;
+      return;
+    }
+
+    this.localDescription = description;
+    this.signalingState = description.type === 'offer' ? 'have-local-offer' : 'stable';
+
+    if (description.type === 'answer') {
+      this.currentLocalDescription = description;
+    }
+  }
+
+  async setRemoteDescription(description) {
+    this.log.push(`remote:${description.type}`);
+    this.remoteDescription = description;
+    this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+  }
+
+  async addIceCandidate(candidate) {
+    if (!this.remoteDescription) {
+      throw new Error('No remote description');
+    }
+
+    this.candidates.push(candidate || null);
+  }
+
+  addTransceiver(trackOrKind, init) {
+    const track = typeof trackOrKind === 'string' ? null : trackOrKind;
+    const transceiver = {
+      kind: track ? track.kind : trackOrKind,
+      direction: init.direction,
+      sender: new FakeSender(track, init.sendEncodings),
+      setCodecPreferences: jest.fn()
+    };
+
+    this.transceivers.push(transceiver);
+    return transceiver;
+  }
+
+  createDataChannel(label, options) {
+    const channel = { label, ...options, readyState: 'open', send: jest.fn() };
+    this.channels.push(channel);
+    return channel;
+  }
+
+  getConfiguration() {
+    return this.configuration;
+  }
+
+  setConfiguration(configuration) {
+    this.configuration = configuration;
+  }
+
+  restartIce() {}
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  close() {
+    this.closed = true;
+    this.signalingState = 'closed';
+  }
+}
+
+class FakeMediaStream {
+  constructor(tracks = []) {
+    this.tracks = [...tracks];
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter(track => track.kind === 'video');
+  }
+
+  addTrack(track) {
+    this.tracks.push(track);
+  }
+}
+
+const originals = {};
+
+beforeAll(() => {
+  ['RTCPeerConnection', 'RTCSessionDescription', 'RTCIceCandidate', 'MediaStream'].forEach(name => {
+    originals[name] = global[name];
+  });
+
+  global.RTCPeerConnection = FakePeerConnection;
+  global.RTCSessionDescription = class { constructor(init) { Object.assign(this, init); } };
+  global.RTCIceCandidate = class { constructor(init) { Object.assign(this, init); } };
+  global.MediaStream = FakeMediaStream;
+});
+
+afterAll(() => {
+  Object.assign(global, originals);
+});
+
+afterEach(() => {
+  delete window.RTCRtpReceiver;
+});
+
+const createService = () => {
+  const service = new WebRTCService();
+  const descriptions = [];
+  service.setCallbacks({ onLocalDescription: (peerId, description) => descriptions.push(description) });
+  return { service, descriptions };
+};
+
+describe('perfect negotiation', () => {
+  test('the polite side rolls back its own offer when offers collide', async () => {
+    const { service, descriptions } = createService();
+    const peerConnection = service.createPeerConnection('peer', { polite: true });
+
+    await service.makeOffer('peer');
+    expect(peerConnection.signalingState).toBe('have-local-offer');
+
+    await service.handleRemoteDescription('peer', remoteOffer());
+
+    expect(peerConnection.log).toEqual(['local:offer', 'local:rollback', 'remote:offer', 'local:answer']);
+    expect(descriptions.map(description => description.type)).toEqual(['offer', 'answer']);
+  });
+
+  test('the impolite side ignores a colliding offer and keeps its own', async () => {
+    const { service, descriptions } = createService();
+    const peerConnection = service.createPeerConnection('peer', { polite: false });
+
+    await service.makeOffer('peer');
+    await service.handleRemoteDescription('peer', remoteOffer());
+
+    expect(peerConnection.log).toEqual(['local:offer']);
+    expect(peerConnection.signalingState).toBe('have-local-offer');
+    expect(service.negotiationStates.get('peer').ignoreOffer).toBe(true);
+    expect(descriptions.map(description => description.type)).toEqual(['offer']);
+  });
+
+  test('drops an answer it is not waiting for', async () => {
+    const { service } = createService();
+    const peerConnection = service.createPeerConnection('peer');
+
+    await service.handleRemoteDescription('peer', { type: 'answer', sdp: createSdp('AA:AA') });
+
+    expect(peerConnection.log).toEqual([]);
+    expect(peerConnection.signalingState).toBe('stable');
+  });
+
+  test('applies the answer to its own offer', async () => {
+    const { service } = createService();
+    const peerConnection = service.createPeerConnection('peer');
+
+    await service.makeOffer('peer');
+    await service.handleRemoteDescription('peer', { type: 'answer', sdp: createSdp('AA:AA') });
+
+    expect(peerConnection.log).toEqual(['local:offer', 'remote:answer']);
+    expect(peerConnection.signalingState).toBe('stable');
+  });
+
+  test('rebuilds the connection when the peer offers with a new fingerprint', async () => {
+    const { service, descriptions } = createService();
+    const original = service.createPeerConnection('peer', { polite: true });
+
+    await service.handleRemoteDescription('peer', remoteOffer('AA:AA'));
+
+    // Same fingerprint is a renegotiation on the same connection
+    await service.handleRemoteDescription('peer', remoteOffer('AA:AA'));
+    expect(service.peerConnections.get('peer')).toBe(original);
+
+    await service.handleRemoteDescription('peer', remoteOffer('BB:BB'));
+
+    const rebuilt = service.peerConnections.get('peer');
+    expect(rebuilt).not.toBe(original);
+    expect(original.closed).toBe(true);
+    expect(rebuilt.log).toEqual(['remote:offer', 'local:answer']);
+    expect(descriptions[descriptions.length - 1].sdp).toContain(rebuilt.fingerprint);
+  });
+});
+
+describe('ICE candidate buffering', () => {
+  test('holds candidates until the remote description is set, then applies them', async () => {
+    const { service } = createService();
+    const metrics = jest.fn();
+    service.setCallbacks({ onCandidateMetrics: (peerId, candidateMetrics) => metrics(candidateMetrics) });
+
+    // Before the connection even exists
+    await service.addIceCandidate('peer', hostCandidate(5000));
+
+    const peerConnection = service.createPeerConnection('peer');
+    await service.addIceCandidate('peer', hostCandidate(5001));
+    await service.addIceCandidate('peer', hostCandidate(5001));
+
+    expect(peerConnection.candidates).toEqual([]);
+    expect(service.pendingCandidates.get('peer')).toHaveLength(3);
+
+    await service.handleRemoteDescription('peer', remoteOffer());
+
+    expect(peerConnection.candidates.map(candidate => candidate.candidate)).toEqual([
+      hostCandidate(5000).candidate,
+      hostCandidate(5001).candidate
+    ]);
+    expect(service.pendingCandidates.has('peer')).toBe(false);
+    expect(metrics).toHaveBeenLastCalledWith(expect.objectContaining({
+      buffered: 3,
+      flushed: 2,
+      filtered: 1, // The duplicate
+      bufferDelayMs: expect.any(Number),
+      firstBufferedAt: null
+    }));
+
+    // Once the description is in place candidates go straight through
+    await service.addIceCandidate('peer', hostCandidate(5002));
+    expect(peerConnection.candidates).toHaveLength(3);
+    expect(service.getCandidateMetrics('peer').applied).toBe(3);
+  });
+
+  test('drops candidates beyond the buffer limit', async () => {
+    const { service } = createService();
+
+    for (let port = 5000; port < 5105; port++) {
+      await service.addIceCandidate('peer', hostCandidate(port));
+    }
+
+    expect(service.pendingCandidates.get('peer')).toHaveLength(100);
+    expect(service.getCandidateMetrics('peer')).toEqual(expect.objectContaining({ buffered: 100, dropped: 5 }));
+  });
+
+  test('passes end-of-candidates on to the connection', async () => {
+    const { service } = createService();
+    const peerConnection = service.createPeerConnection('peer');
+
+    await service.handleRemoteDescription('peer', remoteOffer());
+    await service.addIceCandidate('peer', null);
+
+    expect(peerConnection.candidates).toEqual([null]);
+    expect(service.getCandidateMetrics('peer').endOfCandidates).toBe(true);
+  });
+
+  test('does not count candidates for an ignored offer as flushed', async () => {
+    const { service } = createService();
+    const peerConnection = service.createPeerConnection('peer');
+
+    await service.addIceCandidate('peer', hostCandidate(5000));
+    await service.addIceCandidate('peer', hostCandidate(5001));
+
+    // They belong to an offer we ignored, the connection rejects them
+    peerConnection.remoteDescription = remoteOffer();
+    service.negotiationStates.get('peer').ignoreOffer = true;
+    peerConnection.addIceCandidate = jest.fn().mockRejectedValue(new Error('Unknown ufrag'));
+
+    await service.flushPendingCandidates('peer');
+
+    expect(service.getCandidateMetrics('peer')).toEqual(expect.objectContaining({ flushed: 0, dropped: 2, failed: 0 }));
+  });
+
+  test('counts buffered candidates as dropped when the connection closes', async () => {
+    const { service } = createService();
+    const metrics = jest.fn();
+    service.setCallbacks({ onCandidateMetrics: (peerId, candidateMetrics) => metrics(candidateMetrics) });
+
+    service.createPeerConnection('peer');
+    await service.addIceCandidate('peer', hostCandidate(5000));
+    service.closeConnection('peer');
+
+    expect(metrics).toHaveBeenLastCalledWith(expect.objectContaining({ dropped: 1 }));
+    expect(service.pendingCandidates.has('peer')).toBe(false);
+  });
+});
+
+describe('local media', () => {
+  test('swaps tracks on every peer without renegotiating', async () => {
+    const { service, descriptions } = createService();
+    const first = service.createPeerConnection('first');
+    const second = service.createPeerConnection('second');
+    const track = { id: 'mic', kind: 'audio' };
+
+    await service.setLocalTrack('audio', track);
+
+    [first, second].forEach(peerConnection => {
+      const audio = peerConnection.transceivers.find(transceiver => transceiver.kind === 'audio');
+      expect(audio.sender.replaceTrack).toHaveBeenCalledWith(track);
+      expect(peerConnection.log).toEqual([]);
+    });
+    expect(descriptions).toEqual([]);
+
+    await service.setLocalTrack('audio', null);
+    expect(first.transceivers[0].sender.replaceTrack).toHaveBeenLastCalledWith(null);
+  });
+
+  test('starts new connections with the current tracks on send-only transceivers', async () => {
+    const { service } = createService();
+    const track = { id: 'mic', kind: 'audio' };
+
+    await service.setLocalTrack('audio', track);
+    const peerConnection = service.createPeerConnection('peer');
+
+    expect(peerConnection.transceivers.map(transceiver => [transceiver.kind, transceiver.direction])).toEqual([
+      ['audio', 'sendonly'],
+      ['video', 'sendonly']
+    ]);
+    expect(peerConnection.transceivers[0].sender.track).toBe(track);
+  });
+});
+
+describe('simulcast layers', () => {
+  const activeRids = (peerConnection) => peerConnection.transceivers
+    .find(transceiver => transceiver.kind === 'video')
+    .sender.encodings.filter(encoding => encoding.active)
+    .map(encoding => encoding.rid);
+
+  test('sends video with every simulcast layer until one is requested', () => {
+    const { service } = createService();
+    const peerConnection = service.createPeerConnection('peer');
+
+    expect(activeRids(peerConnection)).toEqual(['q', 'h', 'f']);
+  });
+
+  test('asks a peer for a layer once over the control channel', () => {
+    const { service } = createService();
+    const peerConnection = service.createPeerConnection('peer');
+    const [channel] = peerConnection.channels;
+
+    service.requestLayer('peer', 'low');
+    service.requestLayer('peer', 'low');
+
+    expect(channel.negotiated).toBe(true);
+    expect(channel.send).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(channel.send.mock.calls[0][0])).toEqual({ type: 'layer_request', layer: 'low' });
+  });
+
+  test('sends only the layer a peer asked for, and nothing for off', async () => {
+    const { service } = createService();
+    const peerConnection = service.createPeerConnection('peer');
+    const [channel] = peerConnection.channels;
+
+    channel.onmessage({ data: JSON.stringify({ type: 'layer_request', layer: 'low' }) });
+    await flush();
+    expect(activeRids(peerConnection)).toEqual(['q']);
+
+    channel.onmessage({ data: JSON.stringify({ type: 'layer_request', layer: 'off' }) });
+    await flush();
+    expect(activeRids(peerConnection)).toEqual([]);
+  });
+
+  test('passes other control messages on', () => {
+    const { service } = createService();
+    const controlMessage = jest.fn();
+    service.setCallbacks({ onControlMessage: controlMessage });
+    const peerConnection = service.createPeerConnection('peer');
+
+    peerConnection.channels[0].onmessage({ data: JSON.stringify({ type: 'hello' }) });
+
+    expect(controlMessage).toHaveBeenCalledWith('peer', { type: 'hello' });
+  });
+});
+
+describe('codec preferences', () => {
+  const videoFormats = (sdp) => sdp.split('\r\n').find(line => line.startsWith('m=video')).split(' ').slice(3);
+
+  test('uses setCodecPreferences when the browser has it', async () => {
+    window.RTCRtpReceiver = {
+      getCapabilities: () => ({ codecs: [{ mimeType: 'video/VP8' }, { mimeType: 'video/H264' }] })
+    };
+    const { service, descriptions } = createService();
+    const peerConnection = service.createPeerConnection('peer', { codecPreferences: { video: ['H264'] } });
+
+    const video = peerConnection.transceivers.find(transceiver => transceiver.kind === 'video');
+    expect(video.setCodecPreferences).toHaveBeenCalledWith([{ mimeType: 'video/H264' }, { mimeType: 'video/VP8' }]);
+    expect(service.negotiationStates.get('peer').sdpCodecFallback).toBe(false);
+
+    // The browser orders the SDP itself, it is sent untouched
+    await service.makeOffer('peer');
+    expect(videoFormats(descriptions[0].sdp)).toEqual(['96', '102']);
+  });
+
+  test('falls back to reordering codecs in the SDP', async () => {
+    const { service, descriptions } = createService();
+    const peerConnection = service.createPeerConnection('peer', { codecPreferences: { video: ['H264'] } });
+
+    expect(service.negotiationStates.get('peer').sdpCodecFallback).toBe(true);
+
+    await service.makeOffer('peer');
+
+    expect(videoFormats(peerConnection.localDescription.sdp)).toEqual(['102', '96']);
+    expect(videoFormats(descriptions[0].sdp)).toEqual(['102', '96']);
+  });
+
+  test('uses the original SDP when the rewritten one is rejected', async () => {
+    const { service, descriptions } = createService();
+    const peerConnection = service.createPeerConnection('peer', { codecPreferences: { video: ['H264'] } });
+    peerConnection.rejectLocalDescription = (description) => videoFormats(description.sdp)[0] === '102';
+
+    await service.makeOffer('peer');
+
+    expect(videoFormats(descriptions[0].sdp)).toEqual(['96', '102']);
+  });
+});
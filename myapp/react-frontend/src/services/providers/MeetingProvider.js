@@ -0,0 +1,378 @@
+import { deviceManager } from '../DeviceManager';
+import { ActiveSpeakerDetector } from '../../utils/activeSpeaker';
+import { AudioLevelMeter } from '../../utils/audioLevel';
+
+// How often remote audio levels are fed to speaker detection
+const SPEAKER_DETECTION_INTERVAL = 250;
+
+/**
+ * Meeting Provider
+ * Base class for the backends a meeting runs on, so the UI is written once.
+ *
+ * Implementations provide createRoom(), validateRoom(roomName),
+ * join(roomName, username, media), leave(), toggleAudio(), toggleVideo()
+ * and toggleScreenShare(), and report back through:
+ * - onParticipantsChange(participants) with [{ id, name }], not counting us
+ * - onRemoteTrackStarted(trackItem) and onRemoteTrackStopped(trackItem)
+ *   with { id, participantId, kind, track }
+ * - onLocalMediaChange(localMedia), see `localMedia` below
+ * - onConnectionQualityChange(participantId, { quality, codecs }) and
+ *   onPeerStateChange(participantId, state), where the provider can tell
+ * - onConnectionStateChange(state), onAdaptationChange(participantId, level)
+ *   and onRecordingStateChange(participantId, state), where the provider can tell
+ * - onActiveSpeakerChange(participantId), picked here from the remote audio
+ *   tracks, so implementations only have to stop it when they leave
+ * - onError(message)
+ *
+ * The optional settings are listed in `features`, the UI only offers
+ * those a provider turns on.
+ */
+export class MeetingProvider {
+  constructor() {
+    this.participantId = null;
+    this.participants = [];
+    // What we share and how. Tracks, profiles, effect and audio
+    // settings are null where the provider doesn't expose them.
+    this.localMedia = {
+      audio: false,
+      video: false,
+      screen: false,
+      videoStream: null,
+      audioTrack: null,
+      screenTrack: null,
+      mediaProfiles: null,
+      videoEffect: null,
+      audioSettings: null
+    };
+    this.features = {
+      mediaProfiles: false, // setMediaProfile()
+      videoEffects: false, // setVideoEffect()
+      audioSettings: false, // setAudioSetting() and setTalking() for push-to-talk
+      recordingState: false // sendRecordingState() reaches the others
+    };
+    this.onParticipantsChange = null;
+    this.onRemoteTrackStarted = null;
+    this.onRemoteTrackStopped = null;
+    this.onLocalMediaChange = null;
+    this.onConnectionQualityChange = null;
+    this.onPeerStateChange = null;
+    this.onConnectionStateChange = null;
+    this.onAdaptationChange = null;
+    this.onRecordingStateChange = null;
+    this.onActiveSpeakerChange = null;
+    this.onError = null;
+
+    this.speakerDetector = new ActiveSpeakerDetector();
+    this.speakerMeters = new Map(); // track id -> { meter, participantId }
+    this.speakerLevels = {}; // participantId -> latest audio level
+    this.speakerInterval = null;
+    this.speakerDetector.subscribe(({ speakerId }) => this.emitActiveSpeakerChange(speakerId));
+  }
+
+  /**
+   * Create a room, resolves with its name
+   */
+  async createRoom() {
+    throw new Error('createRoom() is not implemented');
+  }
+
+  /**
+   * Whether a room exists
+   */
+  async validateRoom(roomName) {
+    throw new Error('validateRoom() is not implemented');
+  }
+
+  /**
+   * Join a room, sending the tracks left on in the lobby, { audioTrack, videoTrack }
+   */
+  async join(roomName, username, media) {
+    throw new Error('join() is not implemented');
+  }
+
+  /**
+   * Leave the room and release local media
+   */
+  async leave() {}
+
+  /**
+   * Start or mute the microphone
+   */
+  async toggleAudio() {
+    throw new Error('toggleAudio() is not implemented');
+  }
+
+  /**
+   * Start or stop the camera
+   */
+  async toggleVideo() {
+    throw new Error('toggleVideo() is not implemented');
+  }
+
+  /**
+   * Start or stop sharing the screen
+   */
+  async toggleScreenShare() {
+    throw new Error('toggleScreenShare() is not implemented');
+  }
+
+  /**
+   * Told about every new tile layout, see utils/layout.js.
+   * Providers that can pick what they receive use it to save bandwidth.
+   */
+  applyLayout(layout) {}
+
+  /**
+   * Pick another microphone, camera or speaker. Providers switch a device
+   * in use on top of saving the choice; the UI plays through the speaker.
+   */
+  async switchDevice(kind, deviceId) {
+    deviceManager.setPreferredDevice(kind, deviceId);
+  }
+
+  /**
+   * Pick another camera or screen profile, see utils/mediaProfiles.js
+   */
+  async setMediaProfile(source, profileName) {
+    throw new Error('setMediaProfile() is not supported');
+  }
+
+  /**
+   * Turn a background effect on or off, see services/VideoEffects.js
+   */
+  async setVideoEffect(name) {
+    throw new Error('setVideoEffect() is not supported');
+  }
+
+  /**
+   * Change a microphone processing setting or push-to-talk, see utils/audioSettings.js
+   */
+  async setAudioSetting(name, value) {
+    throw new Error('setAudioSetting() is not supported');
+  }
+
+  /**
+   * Open or close the microphone while the push-to-talk key is held
+   */
+  setTalking(talking) {}
+
+  /**
+   * Tell the others we started, paused or stopped recording
+   */
+  sendRecordingState(state) {}
+
+  /**
+   * Replace the participant list and notify the callback
+   */
+  setParticipants(participants) {
+    this.participants = participants;
+
+    if (this.onParticipantsChange) {
+      this.onParticipantsChange(participants);
+    }
+  }
+
+  /**
+   * Merge changes into the local media state and notify the callback
+   */
+  updateLocalMedia(changes) {
+    this.localMedia = { ...this.localMedia, ...changes };
+
+    if (this.onLocalMediaChange) {
+      this.onLocalMediaChange(this.localMedia);
+    }
+  }
+
+  /**
+   * Notify the track started callback, audio is measured for the active speaker
+   */
+  emitRemoteTrackStarted(trackItem) {
+    if (trackItem.kind === 'audio' && trackItem.track) {
+      this.watchSpeaker(trackItem);
+    }
+
+    if (this.onRemoteTrackStarted) {
+      this.onRemoteTrackStarted(trackItem);
+    }
+  }
+
+  /**
+   * Notify the track stopped callback
+   */
+  emitRemoteTrackStopped(trackItem) {
+    this.unwatchSpeaker(trackItem);
+
+    if (this.onRemoteTrackStopped) {
+      this.onRemoteTrackStopped(trackItem);
+    }
+  }
+
+  /**
+   * Measure a remote audio track, sampling starts with the first one
+   */
+  watchSpeaker(trackItem) {
+    const { id, participantId, track } = trackItem;
+    const meter = new AudioLevelMeter(track);
+
+    this.unwatchSpeaker(trackItem);
+
+    // Without Web Audio there is no active speaker
+    if (!meter.start(level => { this.speakerLevels[participantId] = level; })) return;
+
+    this.speakerLevels[participantId] = 0;
+    this.speakerMeters.set(id, { meter, participantId });
+
+    if (!this.speakerInterval) {
+      this.speakerInterval = setInterval(() => {
+        this.speakerDetector.update(this.speakerLevels);
+      }, SPEAKER_DETECTION_INTERVAL);
+    }
+  }
+
+  /**
+   * Stop measuring a remote audio track, sampling stops with the last one
+   */
+  unwatchSpeaker(trackItem) {
+    const entry = this.speakerMeters.get(trackItem.id);
+
+    if (!entry) return;
+
+    entry.meter.stop();
+    this.speakerMeters.delete(trackItem.id);
+    delete this.speakerLevels[entry.participantId];
+
+    if (this.speakerMeters.size === 0) {
+      this.stopSpeakerDetection();
+    }
+  }
+
+  /**
+   * Stop measuring every remote audio track and forget the speaker
+   */
+  stopSpeakerDetection() {
+    const hadSpeaker = this.speakerDetector.speakerId !== null;
+
+    this.speakerMeters.forEach(({ meter }) => meter.stop());
+    this.speakerMeters.clear();
+    this.speakerLevels = {};
+    clearInterval(this.speakerInterval);
+    this.speakerInterval = null;
+    this.speakerDetector.reset();
+
+    if (hadSpeaker) {
+      this.emitActiveSpeakerChange(null);
+    }
+  }
+
+  /**
+   * Notify the connection quality callback
+   */
+  emitConnectionQualityChange(participantId, quality) {
+    if (this.onConnectionQualityChange) {
+      this.onConnectionQualityChange(participantId, quality);
+    }
+  }
+
+  /**
+   * Notify the peer state callback
+   */
+  emitPeerStateChange(participantId, state) {
+    if (this.onPeerStateChange) {
+      this.onPeerStateChange(participantId, state);
+    }
+  }
+
+  /**
+   * Notify the connection state callback
+   */
+  emitConnectionStateChange(state) {
+    if (this.onConnectionStateChange) {
+      this.onConnectionStateChange(state);
+    }
+  }
+
+  /**
+   * Notify the adaptation callback
+   */
+  emitAdaptationChange(participantId, level) {
+    if (this.onAdaptationChange) {
+      this.onAdaptationChange(participantId, level);
+    }
+  }
+
+  /**
+   * Notify the recording state callback
+   */
+  emitRecordingStateChange(participantId, state) {
+    if (this.onRecordingStateChange) {
+      this.onRecordingStateChange(participantId, state);
+    }
+  }
+
+  /**
+   * Notify the active speaker callback
+   */
+  emitActiveSpeakerChange(participantId) {
+    if (this.onActiveSpeakerChange) {
+      this.onActiveSpeakerChange(participantId);
+    }
+  }
+
+  /**
+   * Notify the error callback
+   */
+  emitError(message) {
+    if (this.onError) {
+      this.onError(message);
+    }
+  }
+
+  /**
+   * Set callbacks for meeting events
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.onParticipantsChange) {
+      this.onParticipantsChange = callbacks.onParticipantsChange;
+    }
+
+    if (callbacks.onRemoteTrackStarted) {
+      this.onRemoteTrackStarted = callbacks.onRemoteTrackStarted;
+    }
+
+    if (callbacks.onRemoteTrackStopped) {
+      this.onRemoteTrackStopped = callbacks.onRemoteTrackStopped;
+    }
+
+    if (callbacks.onLocalMediaChange) {
+      this.onLocalMediaChange = callbacks.onLocalMediaChange;
+    }
+
+    if (callbacks.onConnectionQualityChange) {
+      this.onConnectionQualityChange = callbacks.onConnectionQualityChange;
+    }
+
+    if (callbacks.onPeerStateChange) {
+      this.onPeerStateChange = callbacks.onPeerStateChange;
+    }
+
+    if (callbacks.onConnectionStateChange) {
+      this.onConnectionStateChange = callbacks.onConnectionStateChange;
+    }
+
+    if (callbacks.onAdaptationChange) {
+      this.onAdaptationChange = callbacks.onAdaptationChange;
+    }
+
+    if (callbacks.onRecordingStateChange) {
+      this.onRecordingStateChange = callbacks.onRecordingStateChange;
+    }
+
+    if (callbacks.onActiveSpeakerChange) {
+      this.onActiveSpeakerChange = callbacks.onActiveSpeakerChange;
+    }
+
+    if (callbacks.onError) {
+      this.onError = callbacks.onError;
+    }
+  }
+}
@@ -0,0 +1,167 @@
+import axios from 'axios';
+import config from '../../config';
+import { MeetingProvider } from './MeetingProvider';
+
+// Events of the Metered SDK this provider listens to
+const SDK_EVENTS = ['remoteTrackStarted', 'remoteTrackStopped', 'onlineParticipants', 'localTrackUpdated'];
+
+/**
+ * Track item in the provider's shape from a Metered one
+ */
+const toTrackItem = (trackItem) => ({
+  id: trackItem.streamId,
+  participantId: trackItem.participantSessionId,
+  kind: trackItem.type,
+  track: trackItem.track
+});
+
+/**
+ * Metered Provider
+ * Runs meetings on the Metered SDK, loaded as `window.Metered` by
+ * public/index.html. The backend creates the rooms in the Metered domain.
+ */
+export class MeteredProvider extends MeetingProvider {
+  constructor({ apiLocation = config.api_location } = {}) {
+    super();
+    this.apiLocation = apiLocation;
+    this.meeting = new window.Metered.Meeting();
+  }
+
+  /**
+   * Create a room through the backend
+   */
+  async createRoom() {
+    const { data } = await axios.post(`${this.apiLocation}/api/create/room`);
+    return data.roomName;
+  }
+
+  /**
+   * Check a room through the backend
+   */
+  async validateRoom(roomName) {
+    const { data } = await axios.get(`${this.apiLocation}/api/validate-meeting?roomName=${roomName}`);
+    return !!data.roomFound;
+  }
+
+  /**
+   * Join a room in the Metered domain
+   */
+  async join(roomName, username, media) {
+    const { data } = await axios.get(`${this.apiLocation}/api/metered-domain`);
+
+    this.listen();
+
+    const joinResponse = await this.meeting.join({
+      name: username,
+      roomURL: `${data.METERED_DOMAIN}/${roomName}`
+    });
+
+    this.participantId = joinResponse.participantSessionId;
+
+    await this.startLobbyMedia(media);
+  }
+
+  /**
+   * Forward SDK events to the provider callbacks
+   */
+  listen() {
+    this.meeting.on('remoteTrackStarted', (trackItem) => {
+      this.emitRemoteTrackStarted(toTrackItem(trackItem));
+    });
+
+    this.meeting.on('remoteTrackStopped', (trackItem) => {
+      this.emitRemoteTrackStopped(toTrackItem(trackItem));
+    });
+
+    this.meeting.on('onlineParticipants', (onlineParticipants) => {
+      this.setParticipants(onlineParticipants
+        .filter(participant => participant._id !== this.participantId)
+        .map(participant => ({ id: participant._id, name: participant.name })));
+    });
+
+    this.meeting.on('localTrackUpdated', (item) => {
+      this.updateLocalMedia({ videoStream: new MediaStream(item.track) });
+    });
+  }
+
+  // Start sharing what was left on in the lobby. The Metered SDK
+  // captures its own tracks, so point it at the same devices and
+  // release the preview; access is already granted, so no new prompt.
+  async startLobbyMedia(media) {
+    if (!media) return;
+
+    const { audioTrack, videoTrack } = media;
+
+    if (videoTrack) {
+      const { deviceId } = videoTrack.getSettings();
+      videoTrack.stop();
+
+      await this.meeting.chooseVideoInputDevice(deviceId);
+      await this.startVideo();
+    }
+
+    if (audioTrack) {
+      const { deviceId } = audioTrack.getSettings();
+      const muted = !audioTrack.enabled;
+      audioTrack.stop();
+
+      if (!muted) {
+        await this.meeting.chooseAudioInputDevice(deviceId);
+        await this.meeting.startAudio();
+        this.updateLocalMedia({ audio: true });
+      }
+    }
+  }
+
+  async startVideo() {
+    await this.meeting.startVideo();
+    this.updateLocalMedia({ video: true, videoStream: await this.meeting.getLocalVideoStream() });
+  }
+
+  async toggleAudio() {
+    if (this.localMedia.audio) {
+      await this.meeting.stopAudio();
+    } else {
+      await this.meeting.startAudio();
+    }
+
+    this.updateLocalMedia({ audio: !this.localMedia.audio });
+  }
+
+  async toggleVideo() {
+    if (this.localMedia.video) {
+      await this.meeting.stopVideo();
+      this.updateLocalMedia({ video: false, videoStream: null });
+    } else {
+      await this.startVideo();
+    }
+  }
+
+  // The SDK sends the screen in place of the camera, stopVideo ends either
+  async toggleScreenShare() {
+    if (this.localMedia.screen) {
+      await this.meeting.stopVideo();
+      this.updateLocalMedia({ screen: false, video: false, videoStream: null });
+    } else {
+      await this.meeting.startScreenShare();
+      this.updateLocalMedia({ screen: true, video: false });
+    }
+  }
+
+  // The SDK switches devices in use itself
+  async switchDevice(kind, deviceId) {
+    await super.switchDevice(kind, deviceId);
+
+    if (kind === 'audioinput' && this.localMedia.audio) {
+      await this.meeting.chooseAudioInputDevice(deviceId);
+    } else if (kind === 'videoinput' && this.localMedia.video) {
+      await this.meeting.chooseVideoInputDevice(deviceId);
+    }
+  }
+
+  async leave() {
+    SDK_EVENTS.forEach(event => this.meeting.removeListener(event));
+    this.stopSpeakerDetection();
+    await this.meeting.leaveMeeting();
+  }
+}
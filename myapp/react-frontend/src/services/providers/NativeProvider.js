@@ -0,0 +1,543 @@
+import config from '../../config';
+import { webRTCService } from '../WebRTCService';
+import { signalingService } from '../SignalingService';
+import { iceServerProvider } from '../IceServerProvider';
+import { deviceManager } from '../DeviceManager';
+import { videoPipeline } from '../VideoPipeline';
+import { createVideoEffect } from '../VideoEffects';
+import { getMediaProfile, loadMediaProfiles, saveMediaProfile } from '../../utils/mediaProfiles';
+import { getAudioConstraints, loadAudioSettings, saveAudioSettings } from '../../utils/audioSettings';
+import { getLayerForTile } from '../../utils/layout';
+import { optimizeMediaNegotiation } from '../../utils/signalingOptimizer';
+import { MeetingProvider } from './MeetingProvider';
+
+/**
+ * Native Provider
+ * Runs meetings on our own signaling server and browser-to-browser
+ * connections through SignalingService and WebRTCService.
+ */
+export class NativeProvider extends MeetingProvider {
+  constructor({
+    codecPreferences = { video: config.video_codecs, audio: config.audio_codecs },
+    icePolicy = config.ice_policy
+  } = {}) {
+    super();
+    this.codecPreferences = codecPreferences;
+    this.icePolicy = icePolicy;
+    this.micTrack = null;
+    this.cameraTrack = null;
+    this.screenStream = null;
+    this.remoteTracks = new Map(); // participantId -> Map(kind -> track item)
+    this.recordingState = 'inactive';
+    this.joined = false;
+    this.features = { mediaProfiles: true, videoEffects: true, audioSettings: true, recordingState: true };
+  }
+
+  /**
+   * Create a room on the signaling server
+   */
+  async createRoom() {
+    const { roomName } = await signalingService.createRoom();
+    return roomName;
+  }
+
+  /**
+   * Check a room on the signaling server
+   */
+  validateRoom(roomName) {
+    return signalingService.joinRoom(roomName);
+  }
+
+  /**
+   * Connect to the room and start sending the lobby tracks
+   */
+  async join(roomName, username, media) {
+    this.joined = true;
+
+    // Settings can change on the join screen, so they are read now
+    this.updateLocalMedia({
+      mediaProfiles: loadMediaProfiles(),
+      videoEffect: 'none',
+      audioSettings: loadAudioSettings()
+    });
+
+    signalingService.setCallbacks({
+      onSignalingMessage: (message) => this.handleSignalingMessage(message),
+      onRoomJoined: (participants) => this.handleRoomJoined(participants),
+      onParticipantJoined: (participant) => this.handleParticipantJoined(participant),
+      onParticipantLeft: (participantId) => this.handleParticipantLeft(participantId),
+      onRoomError: (error) => this.emitError(error),
+      onStateChange: (state) => this.emitConnectionStateChange(state),
+      onRecordingStateChange: (participantId, state) => this.emitRecordingStateChange(participantId, state)
+    });
+
+    webRTCService.setCallbacks({
+      onIceCandidate: (peerId, candidate) => signalingService.sendIceCandidate(peerId, candidate),
+      onLocalDescription: (peerId, description) => this.handleLocalDescription(peerId, description),
+      onTrack: (peerId, event) => this.handleTrack(peerId, event.track),
+      onQualityChange: (peerId, quality, metrics) => {
+        this.emitConnectionQualityChange(peerId, { quality, codecs: metrics.codecs });
+      },
+      // Our video was reduced or restored for a peer's network
+      onBitrateAdaptation: (peerId, adaptation) => this.emitAdaptationChange(peerId, adaptation.level)
+    });
+
+    deviceManager.setCallbacks({
+      onDeviceLost: (kind) => this.handleDeviceLost(kind)
+    });
+
+    deviceManager.start().catch(error => console.error('Error listing devices:', error));
+
+    if (media) {
+      await this.adoptLobbyMedia(media);
+    }
+
+    // TURN credentials have to be in place before the first peer connection
+    await webRTCService.useIceServerProvider(iceServerProvider);
+
+    if (this.joined) {
+      signalingService.connect(roomName, username);
+      this.participantId = signalingService.participantId;
+    }
+  }
+
+  async leave() {
+    this.joined = false;
+
+    iceServerProvider.stop();
+    this.stopSpeakerDetection();
+    deviceManager.unwatchTrack('audioinput');
+    deviceManager.unwatchTrack('videoinput');
+    deviceManager.stop();
+    signalingService.close();
+    webRTCService.closeAllConnections();
+    videoPipeline.stop();
+
+    [this.micTrack, this.cameraTrack].forEach(track => {
+      if (track) {
+        track.stop();
+      }
+    });
+
+    if (this.screenStream) {
+      this.screenStream.getTracks().forEach(track => track.stop());
+    }
+
+    this.micTrack = null;
+    this.cameraTrack = null;
+    this.screenStream = null;
+    this.recordingState = 'inactive';
+    this.remoteTracks.clear();
+    this.setParticipants([]);
+  }
+
+  /**
+   * Route offers, answers and candidates addressed to us
+   */
+  async handleSignalingMessage(message) {
+    const { type, from, to } = message;
+
+    if (to !== signalingService.participantId) return;
+
+    // Create peer connection if it doesn't exist
+    if (!webRTCService.hasConnection(from)) {
+      this.connectToPeer(from);
+    }
+
+    // A bad description or a late candidate only affects that peer
+    switch (type) {
+      case 'offer':
+      case 'answer':
+        try {
+          await webRTCService.handleRemoteDescription(from, message.offer || message.answer);
+        } catch (error) {
+          console.error(`Error handling ${type} from ${from}:`, error);
+        }
+        break;
+
+      case 'ice_candidate':
+        try {
+          await webRTCService.addIceCandidate(from, message.candidate);
+        } catch (error) {
+          console.error(`Error adding ICE candidate from ${from}:`, error);
+        }
+        break;
+
+      default:
+        console.warn('Unknown message type:', type);
+    }
+  }
+
+  handleLocalDescription(peerId, description) {
+    if (description.type === 'offer') {
+      signalingService.sendOffer(peerId, description);
+    } else {
+      signalingService.sendAnswer(peerId, description);
+    }
+  }
+
+  /**
+   * Create a fresh peer connection for a participant
+   */
+  connectToPeer(peerId) {
+    // Replace an old connection, but keep candidates that arrived early
+    if (webRTCService.hasConnection(peerId)) {
+      webRTCService.closeConnection(peerId);
+    }
+
+    // Both sides derive the same roles from the participant ids,
+    // and current local media is attached automatically
+    webRTCService.createPeerConnection(peerId, {
+      polite: signalingService.participantId > peerId,
+      codecPreferences: this.codecPreferences,
+      icePolicy: this.icePolicy
+    });
+
+    webRTCService.startQualityMonitoring(peerId);
+
+    // Restarts ICE and rebuilds the connection when it drops
+    webRTCService.startStateMonitoring(peerId, (state) => this.emitPeerStateChange(peerId, state));
+  }
+
+  handleRoomJoined(participants) {
+    this.setParticipants(participants);
+
+    // After a signaling resume, existing connections keep going
+    participants.forEach(participant => {
+      if (!webRTCService.hasConnection(participant.id)) {
+        this.connectToPeer(participant.id);
+      }
+    });
+  }
+
+  handleParticipantJoined(participant) {
+    // Replace any stale entry from a resumed session
+    this.setParticipants([...this.participants.filter(p => p.id !== participant.id), participant]);
+
+    // A participant that rejoined after a signaling drop starts from scratch
+    this.connectToPeer(participant.id);
+
+    // Newcomers haven't heard that we are recording
+    if (this.recordingState !== 'inactive') {
+      signalingService.sendRecordingState(this.recordingState);
+    }
+  }
+
+  handleParticipantLeft(participantId) {
+    this.setParticipants(this.participants.filter(p => p.id !== participantId));
+
+    const tracks = this.remoteTracks.get(participantId);
+
+    if (tracks) {
+      tracks.forEach(trackItem => this.emitRemoteTrackStopped(trackItem));
+      this.remoteTracks.delete(participantId);
+    }
+
+    webRTCService.closeConnection(participantId);
+  }
+
+  /**
+   * A peer sends one audio and one video track. A rebuilt connection
+   * brings new ones, which take the place of the old.
+   */
+  handleTrack(peerId, track) {
+    if (!this.remoteTracks.has(peerId)) {
+      this.remoteTracks.set(peerId, new Map());
+    }
+
+    const tracks = this.remoteTracks.get(peerId);
+    const previous = tracks.get(track.kind);
+
+    if (previous) {
+      if (previous.track === track) return;
+      this.emitRemoteTrackStopped(previous);
+    }
+
+    const trackItem = { id: track.id, participantId: peerId, kind: track.kind, track };
+
+    tracks.set(track.kind, trackItem);
+    this.emitRemoteTrackStarted(trackItem);
+  }
+
+  /**
+   * Ask each peer for the simulcast layer that fits its tile, and pause video that is off the page
+   */
+  applyLayout(layout) {
+    layout.tiles.forEach(tile => webRTCService.requestLayer(tile.id, getLayerForTile(tile)));
+    layout.hidden.forEach(peerId => webRTCService.requestLayer(peerId, 'off'));
+  }
+
+  /**
+   * Capture the preferred device of a kind and watch it for being unplugged
+   */
+  async captureDevice(kind) {
+    const { mediaProfiles, audioSettings } = this.localMedia;
+    const constraints = kind === 'audioinput'
+      ? { audio: deviceManager.getConstraints(kind, getAudioConstraints(audioSettings)) }
+      : { video: deviceManager.getConstraints(kind, getMediaProfile(mediaProfiles.camera).constraints) };
+    const stream = await navigator.mediaDevices.getUserMedia(constraints);
+    const track = stream.getTracks()[0];
+
+    deviceManager.watchTrack(kind, track);
+
+    // Device labels are only revealed once access was granted
+    deviceManager.refresh().catch(error => console.error('Error listing devices:', error));
+
+    return track;
+  }
+
+  /**
+   * Capture the microphone in place of the current one, keeping it muted if it was
+   */
+  async replaceMicrophone() {
+    const track = await this.captureDevice('audioinput');
+
+    // With push-to-talk a new microphone waits for the key
+    track.enabled = this.micTrack ? this.micTrack.enabled : !this.localMedia.audioSettings.pushToTalk;
+    await this.setMicrophone(track);
+  }
+
+  /**
+   * Take over the tracks from the lobby instead of asking for the devices again
+   */
+  async adoptLobbyMedia({ audioTrack, videoTrack }) {
+    const isLive = (track) => track && track.readyState === 'live';
+
+    if (isLive(audioTrack)) {
+      deviceManager.watchTrack('audioinput', audioTrack);
+
+      if (this.localMedia.audioSettings.pushToTalk) {
+        audioTrack.enabled = false;
+      }
+
+      await this.setMicrophone(audioTrack);
+    }
+
+    if (isLive(videoTrack)) {
+      deviceManager.watchTrack('videoinput', videoTrack);
+      await this.setCamera(videoTrack);
+    }
+  }
+
+  /**
+   * Send a microphone track in place of the current one
+   */
+  async setMicrophone(track) {
+    const previousTrack = this.micTrack;
+
+    this.micTrack = track;
+    this.updateLocalMedia({ audio: !!track && track.enabled, audioTrack: track });
+    await webRTCService.setLocalTrack('audio', track);
+
+    if (previousTrack && previousTrack !== track) {
+      previousTrack.stop();
+    }
+  }
+
+  /**
+   * Send a camera track in place of the current one, through the
+   * background effect if one is on, unless the screen is shared
+   */
+  async setCamera(track) {
+    const previousTrack = this.cameraTrack;
+
+    this.cameraTrack = track;
+    await this.sendCamera();
+
+    if (previousTrack && previousTrack !== track) {
+      previousTrack.stop();
+    }
+  }
+
+  /**
+   * Process the current camera and send it. The processed track replaces
+   * the camera without renegotiation.
+   */
+  async sendCamera() {
+    const outgoingTrack = this.cameraTrack && await this.processCamera(this.cameraTrack);
+
+    if (!outgoingTrack) {
+      videoPipeline.stop();
+    }
+
+    this.updateLocalMedia({
+      video: !!outgoingTrack,
+      videoStream: outgoingTrack ? new MediaStream([outgoingTrack]) : null
+    });
+
+    if (!this.screenStream) {
+      await webRTCService.setLocalTrack('video', outgoingTrack, this.localMedia.mediaProfiles.camera);
+    }
+  }
+
+  /**
+   * Run the camera through the chosen background effect, or send it as it is
+   */
+  async processCamera(track) {
+    const effect = createVideoEffect(this.localMedia.videoEffect);
+
+    if (!effect) {
+      videoPipeline.stop();
+      return track;
+    }
+
+    try {
+      return (await videoPipeline.start(track, effect)) || track;
+    } catch (error) {
+      console.error('Error starting video effect:', error);
+      this.updateLocalMedia({ videoEffect: 'none' });
+      this.emitError('Failed to start the background effect.');
+      return track;
+    }
+  }
+
+  async toggleAudio() {
+    if (!this.micTrack) {
+      await this.replaceMicrophone();
+      return;
+    }
+
+    this.micTrack.enabled = !this.micTrack.enabled;
+    this.updateLocalMedia({ audio: this.micTrack.enabled });
+  }
+
+  async toggleVideo() {
+    if (this.cameraTrack) {
+      deviceManager.unwatchTrack('videoinput');
+      await this.setCamera(null);
+    } else {
+      await this.setCamera(await this.captureDevice('videoinput'));
+    }
+  }
+
+  async toggleScreenShare() {
+    if (this.screenStream) {
+      await this.stopScreenShare();
+      return;
+    }
+
+    const profileName = this.localMedia.mediaProfiles.screen;
+    const stream = await navigator.mediaDevices.getDisplayMedia({
+      video: getMediaProfile(profileName).constraints
+    });
+    const screenTrack = stream.getVideoTracks()[0];
+
+    this.screenStream = stream;
+    this.updateLocalMedia({ screen: true, screenTrack });
+
+    // Swap the screen in for the camera on every peer
+    await webRTCService.setLocalTrack('video', screenTrack, profileName);
+
+    // Handle the browser's own "stop sharing" button
+    screenTrack.onended = () => this.stopScreenShare();
+  }
+
+  /**
+   * Stop screen sharing and go back to the camera, if it is on
+   */
+  async stopScreenShare() {
+    if (!this.screenStream) return;
+
+    this.screenStream.getTracks().forEach(track => track.stop());
+    this.screenStream = null;
+    this.updateLocalMedia({ screen: false, screenTrack: null });
+
+    // The processed camera, when a background effect is on
+    const cameraTrack = videoPipeline.outputTrack || this.cameraTrack;
+    await webRTCService.setLocalTrack('video', cameraTrack, this.localMedia.mediaProfiles.camera);
+  }
+
+  /**
+   * Switch at once if the device kind is in use
+   */
+  async switchDevice(kind, deviceId) {
+    await super.switchDevice(kind, deviceId);
+
+    if (kind === 'audioinput' && this.micTrack) {
+      await this.replaceMicrophone();
+    } else if (kind === 'videoinput' && this.cameraTrack) {
+      await this.setCamera(await this.captureDevice('videoinput'));
+    }
+  }
+
+  /**
+   * Applied at once if that source is being sent
+   */
+  async setMediaProfile(source, profileName) {
+    this.updateLocalMedia({ mediaProfiles: saveMediaProfile(source, profileName) });
+
+    const sending = this.screenStream ? 'screen' : (this.cameraTrack ? 'camera' : null);
+
+    if (sending === source) {
+      await webRTCService.setVideoProfile(profileName);
+    }
+
+    // A processed track can't be constrained, the camera behind it can
+    if (source === 'camera' && this.cameraTrack && videoPipeline.outputTrack) {
+      optimizeMediaNegotiation(new MediaStream([this.cameraTrack]), getMediaProfile(profileName));
+    }
+  }
+
+  async setVideoEffect(name) {
+    this.updateLocalMedia({ videoEffect: name });
+
+    if (this.cameraTrack) {
+      await this.sendCamera();
+    }
+  }
+
+  /**
+   * Processing applies to the live microphone, push-to-talk mutes it until the key is held
+   */
+  async setAudioSetting(name, value) {
+    const audioSettings = saveAudioSettings({ [name]: value });
+    this.updateLocalMedia({ audioSettings });
+
+    const track = this.micTrack;
+    if (!track) return;
+
+    if (name === 'pushToTalk') {
+      if (value) {
+        this.setTalking(false);
+      }
+      return;
+    }
+
+    try {
+      await track.applyConstraints(getAudioConstraints(audioSettings));
+    } catch (error) {
+      // Some browsers only apply processing at capture time
+      console.warn('Could not change audio processing on the live track, capturing again:', error);
+      await this.replaceMicrophone();
+    }
+  }
+
+  setTalking(talking) {
+    if (!this.micTrack) return;
+
+    this.micTrack.enabled = talking;
+    this.updateLocalMedia({ audio: talking });
+  }
+
+  sendRecordingState(state) {
+    this.recordingState = state;
+    signalingService.sendRecordingState(state);
+  }
+
+  /**
+   * A device in use was unplugged: fall back to another one, or turn it off if there is none
+   */
+  async handleDeviceLost(kind) {
+    try {
+      if (kind === 'audioinput') {
+        await this.replaceMicrophone();
+      } else {
+        await this.setCamera(await this.captureDevice(kind));
+      }
+    } catch (error) {
+      console.warn('No other device to fall back to:', error);
+      deviceManager.unwatchTrack(kind);
+      await (kind === 'audioinput' ? this.setMicrophone(null) : this.setCamera(null));
+    }
+  }
+}
@@ -0,0 +1,158 @@
+import { createMeetingProvider, MeteredProvider, NativeProvider } from './index';
+import { signalingService } from '../SignalingService';
+import { webRTCService } from '../WebRTCService';
+import { AudioLevelMeter } from '../../utils/audioLevel';
+
+const createTrack = (id, kind) => ({ id, kind });
+
+test('creates providers by name', () => {
+  expect(createMeetingProvider('native')).toBeInstanceOf(NativeProvider);
+  expect(() => createMeetingProvider('carrier-pigeon')).toThrow('Unknown meeting provider');
+
+  // The Metered SDK isn't loaded in tests
+  expect(MeteredProvider).toBeDefined();
+});
+
+test('reports one track per kind for each participant', () => {
+  const provider = new NativeProvider();
+  const started = jest.fn();
+  const stopped = jest.fn();
+  provider.setCallbacks({ onRemoteTrackStarted: started, onRemoteTrackStopped: stopped });
+
+  const audio = createTrack('a1', 'audio');
+  const video = createTrack('v1', 'video');
+  provider.handleTrack('peer', audio);
+  provider.handleTrack('peer', video);
+  provider.handleTrack('peer', video);
+
+  expect(started).toHaveBeenCalledTimes(2);
+  expect(started).toHaveBeenCalledWith({ id: 'v1', participantId: 'peer', kind: 'video', track: video });
+
+  // A rebuilt connection brings a new video track in place of the old one
+  provider.handleTrack('peer', createTrack('v2', 'video'));
+
+  expect(stopped).toHaveBeenCalledWith(expect.objectContaining({ id: 'v1' }));
+  expect(started).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'v2' }));
+});
+
+test('a participant leaving takes their tracks along', () => {
+  const provider = new NativeProvider();
+  const participantsChange = jest.fn();
+  const stopped = jest.fn();
+  provider.setCallbacks({ onParticipantsChange: participantsChange, onRemoteTrackStopped: stopped });
+
+  provider.setParticipants([{ id: 'peer', name: 'Bob' }, { id: 'other', name: 'Carol' }]);
+  provider.handleTrack('peer', createTrack('a1', 'audio'));
+  provider.handleTrack('peer', createTrack('v1', 'video'));
+  provider.handleParticipantLeft('peer');
+
+  expect(participantsChange).toHaveBeenLastCalledWith([{ id: 'other', name: 'Carol' }]);
+  expect(stopped.mock.calls.map(([trackItem]) => trackItem.id)).toEqual(['a1', 'v1']);
+});
+
+describe('signaling, recording and push-to-talk', () => {
+  beforeEach(() => {
+    jest.spyOn(signalingService, 'sendRecordingState').mockImplementation(() => {});
+    jest.spyOn(webRTCService, 'setLocalTrack').mockResolvedValue();
+    jest.spyOn(webRTCService, 'createPeerConnection').mockImplementation(() => {});
+    jest.spyOn(webRTCService, 'startQualityMonitoring').mockImplementation(() => {});
+    jest.spyOn(webRTCService, 'startStateMonitoring').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    signalingService.participantId = null;
+  });
+
+  test('a description or candidate that fails is logged, not thrown', async () => {
+    const provider = new NativeProvider();
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(webRTCService, 'hasConnection').mockReturnValue(true);
+    jest.spyOn(webRTCService, 'handleRemoteDescription').mockRejectedValue(new Error('bad sdp'));
+    jest.spyOn(webRTCService, 'addIceCandidate').mockRejectedValue(new Error('late candidate'));
+    signalingService.participantId = 'me';
+
+    await expect(provider.handleSignalingMessage({
+      type: 'offer', from: 'peer', to: 'me', offer: { type: 'offer', sdp: '' }
+    })).resolves.toBeUndefined();
+    await expect(provider.handleSignalingMessage({
+      type: 'ice_candidate', from: 'peer', to: 'me', candidate: {}
+    })).resolves.toBeUndefined();
+
+    expect(error).toHaveBeenCalledTimes(2);
+  });
+
+  test('tells newcomers that we are recording', () => {
+    const provider = new NativeProvider();
+
+    provider.handleParticipantJoined({ id: 'early', name: 'Bob' });
+    expect(signalingService.sendRecordingState).not.toHaveBeenCalled();
+
+    provider.sendRecordingState('paused');
+    provider.handleParticipantJoined({ id: 'late', name: 'Carol' });
+
+    expect(signalingService.sendRecordingState.mock.calls).toEqual([['paused'], ['paused']]);
+  });
+
+  test('push-to-talk mutes the microphone until the key is held', async () => {
+    const provider = new NativeProvider();
+    const localMediaChange = jest.fn();
+    const micTrack = { kind: 'audio', enabled: true, stop: jest.fn() };
+    provider.setCallbacks({ onLocalMediaChange: localMediaChange });
+
+    await provider.setMicrophone(micTrack);
+    await provider.setAudioSetting('pushToTalk', true);
+
+    expect(micTrack.enabled).toBe(false);
+    expect(localMediaChange).toHaveBeenLastCalledWith(expect.objectContaining({
+      audio: false,
+      audioSettings: expect.objectContaining({ pushToTalk: true })
+    }));
+
+    provider.setTalking(true);
+
+    expect(micTrack.enabled).toBe(true);
+    expect(provider.localMedia.audio).toBe(true);
+  });
+});
+
+describe('active speaker', () => {
+  let levelCallbacks;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    levelCallbacks = {};
+    jest.spyOn(AudioLevelMeter.prototype, 'start').mockImplementation(function (onLevel) {
+      levelCallbacks[this.track.id] = onLevel;
+      return true;
+    });
+    jest.spyOn(AudioLevelMeter.prototype, 'stop').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('is picked from the remote audio and cleared when it stops', () => {
+    const provider = new NativeProvider();
+    const speakerChange = jest.fn();
+    provider.setCallbacks({ onActiveSpeakerChange: speakerChange });
+
+    provider.handleTrack('quiet', createTrack('a1', 'audio'));
+    provider.handleTrack('loud', createTrack('a2', 'audio'));
+    provider.handleTrack('loud', createTrack('v2', 'video'));
+    levelCallbacks.a1(0);
+    levelCallbacks.a2(0.2);
+    jest.advanceTimersByTime(250);
+
+    expect(speakerChange).toHaveBeenLastCalledWith('loud');
+
+    provider.handleParticipantLeft('quiet');
+    provider.handleParticipantLeft('loud');
+
+    expect(speakerChange).toHaveBeenLastCalledWith(null);
+    expect(provider.speakerInterval).toBeNull();
+  });
+});
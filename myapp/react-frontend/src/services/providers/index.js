@@ -0,0 +1,21 @@
+import { MeteredProvider } from './MeteredProvider';
+import { NativeProvider } from './NativeProvider';
+
+export { MeetingProvider } from './MeetingProvider';
+export { MeteredProvider, NativeProvider };
+
+/**
+ * Create a meeting provider by name
+ */
+export const createMeetingProvider = (type, options = {}) => {
+  switch (type) {
+    case 'metered':
+      return new MeteredProvider(options);
+
+    case 'native':
+      return new NativeProvider(options);
+
+    default:
+      throw new Error(`Unknown meeting provider: ${type}`);
+  }
+};
@@ -0,0 +1,146 @@
+import { SignalingTransport } from './SignalingTransport';
+
+// How long a joining tab waits for the others to announce themselves
+const PRESENCE_WINDOW_MS = 150;
+
+/**
+ * BroadcastChannel Transport
+ * Lets tabs of the same origin call each other without a server.
+ * There is no hub, so every tab answers a join with its own presence
+ * and the joining tab assembles the room list itself.
+ */
+export class BroadcastChannelTransport extends SignalingTransport {
+  constructor({ channelPrefix = 'webrtc-signaling' } = {}) {
+    super();
+    this.channelPrefix = channelPrefix;
+    this.channel = null;
+    this.self = null; // { id, name } once joined
+    this.presence = null; // participants collected while joining
+    this.handlePageHide = () => this.announceLeave();
+  }
+
+  /**
+   * Open the channel for a room
+   */
+  connect(roomName) {
+    this.channel = new BroadcastChannel(`${this.channelPrefix}:${roomName}`);
+    this.channel.onmessage = (event) => this.handleChannelMessage(event.data);
+
+    // Let the others know when this tab goes away without leaving
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    Promise.resolve().then(() => this.emitOpen());
+  }
+
+  /**
+   * Whether messages can be sent right now
+   */
+  isOpen() {
+    return !!this.channel;
+  }
+
+  /**
+   * Send a signaling message
+   */
+  send(message) {
+    switch (message.type) {
+      case 'join':
+        this.join(message);
+        break;
+
+      case 'leave':
+        this.announceLeave();
+        break;
+
+      default:
+        this.channel.postMessage(message);
+    }
+  }
+
+  /**
+   * Announce ourselves and collect everyone already in the room
+   */
+  join(message) {
+    this.self = {
+      id: message.participantId,
+      name: message.username || `User-${message.participantId}`
+    };
+    this.presence = new Map();
+
+    this.channel.postMessage({ type: 'join', participant: this.self });
+
+    setTimeout(() => {
+      if (!this.presence) return;
+
+      const participants = [...this.presence.values()];
+      this.presence = null;
+
+      this.emitMessage({ type: 'room_joined', resumed: false, participants });
+    }, PRESENCE_WINDOW_MS);
+  }
+
+  /**
+   * Tell the other tabs we are gone
+   */
+  announceLeave() {
+    if (this.channel && this.self) {
+      this.channel.postMessage({ type: 'participant_left', participantId: this.self.id });
+      this.self = null;
+    }
+  }
+
+  /**
+   * Handle a message posted by another tab
+   */
+  handleChannelMessage(message) {
+    // Nothing is addressed to us until we have joined
+    if (!this.self) return;
+
+    switch (message.type) {
+      case 'join':
+        if (message.participant.id === this.self.id) return;
+
+        this.emitMessage({ type: 'participant_joined', participant: message.participant });
+        this.channel.postMessage({ type: 'presence', participant: this.self, to: message.participant.id });
+        break;
+
+      case 'presence':
+        if (message.to === this.self.id && this.presence) {
+          this.presence.set(message.participant.id, message.participant);
+        }
+        break;
+
+      case 'participant_left':
+      case 'recording_state':
+        this.emitMessage(message);
+        break;
+
+      case 'offer':
+      case 'answer':
+      case 'ice_candidate':
+        if (message.to === this.self.id) {
+          this.emitMessage(message);
+        }
+        break;
+
+      default:
+        console.warn('BroadcastChannel transport ignoring message type:', message.type);
+    }
+  }
+
+  /**
+   * Close the channel
+   */
+  close() {
+    if (!this.channel) return;
+
+    this.announceLeave();
+    window.removeEventListener('pagehide', this.handlePageHide);
+
+    this.channel.close();
+    this.channel = null;
+    this.presence = null;
+
+    Promise.resolve().then(() => this.emitClose());
+  }
+}
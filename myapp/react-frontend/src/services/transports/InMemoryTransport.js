@@ -0,0 +1,182 @@
+import { SignalingTransport } from './SignalingTransport';
+
+/**
+ * In-Memory Hub
+ * Plays the part of the signaling server for transports in the same
+ * JavaScript context. Follows the same room rules as the server.
+ */
+export class InMemoryHub {
+  constructor() {
+    this.rooms = new Map(); // roomName -> Map(participantId -> { name, transport })
+  }
+
+  /**
+   * Handle a message sent by a transport
+   */
+  receive(transport, message) {
+    const roomName = transport.roomName;
+    const participants = this.rooms.get(roomName) || new Map();
+
+    switch (message.type) {
+      case 'join': {
+        this.rooms.set(roomName, participants);
+
+        const participantId = message.participantId || String(participants.size);
+        const name = message.username || `User-${participantId}`;
+        const resumed = participants.has(participantId);
+
+        transport.participantId = participantId;
+        participants.set(participantId, { name, transport });
+
+        if (!resumed) {
+          this.broadcast(roomName, participantId, {
+            type: 'participant_joined',
+            participant: { id: participantId, name }
+          });
+        }
+
+        transport.deliver({
+          type: 'room_joined',
+          resumed,
+          participants: [...participants]
+            .filter(([id]) => id !== participantId)
+            .map(([id, p]) => ({ id, name: p.name }))
+        });
+        break;
+      }
+
+      case 'offer':
+      case 'answer':
+      case 'ice_candidate': {
+        const target = participants.get(message.to);
+
+        if (target) {
+          target.transport.deliver(message);
+        }
+        break;
+      }
+
+      case 'recording_state':
+        if (participants.get(transport.participantId)?.transport === transport) {
+          this.broadcast(roomName, transport.participantId, { ...message, from: transport.participantId });
+        }
+        break;
+
+      case 'leave':
+        this.disconnect(transport);
+        break;
+
+      default:
+        console.warn('In-memory hub ignoring message type:', message.type);
+    }
+  }
+
+  /**
+   * Remove a transport's participant and tell everyone else
+   */
+  disconnect(transport) {
+    const participants = this.rooms.get(transport.roomName);
+    const participantId = transport.participantId;
+
+    // Only the transport that currently owns the entry may remove it
+    if (!participants || participants.get(participantId)?.transport !== transport) {
+      return;
+    }
+
+    participants.delete(participantId);
+
+    this.broadcast(transport.roomName, participantId, {
+      type: 'participant_left',
+      participantId
+    });
+
+    if (participants.size === 0) {
+      this.rooms.delete(transport.roomName);
+    }
+  }
+
+  /**
+   * Send a message to everyone in a room except one participant
+   */
+  broadcast(roomName, exceptId, message) {
+    const participants = this.rooms.get(roomName);
+
+    if (!participants) return;
+
+    participants.forEach((participant, id) => {
+      if (id !== exceptId) {
+        participant.transport.deliver(message);
+      }
+    });
+  }
+}
+
+// Shared hub used when no hub is passed in
+export const defaultHub = new InMemoryHub();
+
+/**
+ * In-Memory Transport
+ * Connects to an InMemoryHub. Intended for tests and local experiments.
+ */
+export class InMemoryTransport extends SignalingTransport {
+  constructor({ hub = defaultHub } = {}) {
+    super();
+    this.hub = hub;
+    this.roomName = null;
+    this.participantId = null;
+    this.open = false;
+  }
+
+  /**
+   * Connect to a room on the hub
+   */
+  connect(roomName) {
+    this.roomName = roomName;
+
+    // Stay asynchronous like a real network transport
+    Promise.resolve().then(() => {
+      this.open = true;
+      this.emitOpen();
+    });
+  }
+
+  /**
+   * Whether messages can be sent right now
+   */
+  isOpen() {
+    return this.open;
+  }
+
+  /**
+   * Send a signaling message to the hub
+   */
+  send(message) {
+    // Copy so neither side can mutate the other's message
+    const copy = JSON.parse(JSON.stringify(message));
+    Promise.resolve().then(() => this.hub.receive(this, copy));
+  }
+
+  /**
+   * Receive a message from the hub
+   */
+  deliver(message) {
+    const copy = JSON.parse(JSON.stringify(message));
+
+    Promise.resolve().then(() => {
+      if (this.open) {
+        this.emitMessage(copy);
+      }
+    });
+  }
+
+  /**
+   * Disconnect from the hub
+   */
+  close() {
+    if (!this.open) return;
+
+    this.open = false;
+    this.hub.disconnect(this);
+    Promise.resolve().then(() => this.emitClose());
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Signaling Transport
+ * Base class for the channels SignalingService sends messages over.
+ *
+ * Implementations provide connect(roomName), isOpen(), send(message) and
+ * close(), and report back through onOpen, onMessage, onClose and onError.
+ * Messages are plain objects; any encoding is up to the transport.
+ */
+export class SignalingTransport {
+  constructor() {
+    this.onOpen = null;
+    this.onMessage = null;
+    this.onClose = null;
+    this.onError = null;
+  }
+
+  /**
+   * Start connecting to a room
+   */
+  connect(roomName) {
+    throw new Error('connect() is not implemented');
+  }
+
+  /**
+   * Whether messages can be sent right now
+   */
+  isOpen() {
+    return false;
+  }
+
+  /**
+   * Send a signaling message
+   */
+  send(message) {
+    throw new Error('send() is not implemented');
+  }
+
+  /**
+   * Close the transport
+   */
+  close() {}
+
+  /**
+   * Notify the open callback
+   */
+  emitOpen() {
+    if (this.onOpen) {
+      this.onOpen();
+    }
+  }
+
+  /**
+   * Notify the message callback
+   */
+  emitMessage(message) {
+    if (this.onMessage) {
+      this.onMessage(message);
+    }
+  }
+
+  /**
+   * Notify the close callback
+   */
+  emitClose() {
+    if (this.onClose) {
+      this.onClose();
+    }
+  }
+
+  /**
+   * Notify the error callback
+   */
+  emitError(error) {
+    if (this.onError) {
+      this.onError(error);
+    }
+  }
+
+  /**
+   * Set callbacks for transport events
+   */
+  setCallbacks(callbacks) {
+    if (callbacks.onOpen) {
+      this.onOpen = callbacks.onOpen;
+    }
+
+    if (callbacks.onMessage) {
+      this.onMessage = callbacks.onMessage;
+    }
+
+    if (callbacks.onClose) {
+      this.onClose = callbacks.onClose;
+    }
+
+    if (callbacks.onError) {
+      this.onError = callbacks.onError;
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { SignalingTransport } from './SignalingTransport';
+
+/**
+ * WebSocket Transport
+ * Talks to a signaling server at <url>/<roomName>
+ */
+export class WebSocketTransport extends SignalingTransport {
+  constructor({ url }) {
+    super();
+    this.url = url;
+    this.socket = null;
+  }
+
+  /**
+   * Open the socket for a room
+   */
+  connect(roomName) {
+    const socket = new WebSocket(`${this.url}/${roomName}`);
+    this.socket = socket;
+
+    socket.onopen = () => this.emitOpen();
+    socket.onmessage = (event) => this.emitMessage(JSON.parse(event.data));
+    socket.onclose = () => this.emitClose();
+    socket.onerror = (error) => this.emitError(error);
+  }
+
+  /**
+   * Whether messages can be sent right now
+   */
+  isOpen() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Send a signaling message
+   */
+  send(message) {
+    this.socket.send(JSON.stringify(message));
+  }
+
+  /**
+   * Close the socket
+   */
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
@@ -0,0 +1,26 @@
+import { WebSocketTransport } from './WebSocketTransport';
+import { BroadcastChannelTransport } from './BroadcastChannelTransport';
+import { InMemoryTransport } from './InMemoryTransport';
+
+export { SignalingTransport } from './SignalingTransport';
+export { WebSocketTransport, BroadcastChannelTransport, InMemoryTransport };
+export { InMemoryHub, defaultHub } from './InMemoryTransport';
+
+/**
+ * Create a signaling transport by name
+ */
+export const createTransport = (type, options = {}) => {
+  switch (type) {
+    case 'websocket':
+      return new WebSocketTransport(options);
+
+    case 'broadcast-channel':
+      return new BroadcastChannelTransport(options);
+
+    case 'in-memory':
+      return new InMemoryTransport(options);
+
+    default:
+      throw new Error(`Unknown signaling transport: ${type}`);
+  }
+};
@@ -0,0 +1,203 @@
+import { createContext, useContext, useEffect, useMemo, useReducer } from 'react';
+import { initialMeetingState, meetingActions, meetingReducer } from './meetingReducer';
+
+const MeetingStateContext = createContext(null);
+const MeetingControlsContext = createContext(null);
+
+/**
+ * Meeting actions bound to a provider, they report failures to the user.
+ * Creating and joining resolve with whether we are in the meeting.
+ */
+const createControls = (provider, dispatch) => {
+  const join = async (roomName, username, media) => {
+    await provider.join(roomName, username, media);
+    dispatch(meetingActions.joined(roomName, username));
+    return true;
+  };
+
+  // Only a denied device or screen is down to the user's permissions
+  const withAlert = (action, message) => async (...args) => {
+    try {
+      await action(...args);
+    } catch (error) {
+      console.error(message, error);
+      alert(error.name === 'NotAllowedError' ? `${message}. Please check your permissions.` : `${message}.`);
+    }
+  };
+
+  return {
+    // Create a new room and join it
+    createMeeting: async (username, media) => {
+      try {
+        const roomName = await provider.createRoom();
+        return await join(roomName, username, media);
+      } catch (error) {
+        console.error('Failed to create the meeting', error);
+        alert('Failed to create the meeting. Please try again.');
+        return false;
+      }
+    },
+
+    // Join an existing room, if it exists
+    joinMeeting: async (roomName, username, media) => {
+      roomName = roomName.trim();
+
+      try {
+        if (await provider.validateRoom(roomName)) {
+          return await join(roomName, username, media);
+        }
+
+        alert("Invalid roomName");
+      } catch (error) {
+        console.error('Failed to join the meeting', error);
+        alert('Failed to join the meeting. Please try again.');
+      }
+
+      return false;
+    },
+
+    toggleAudio: withAlert(() => provider.toggleAudio(), 'Failed to access microphone'),
+    toggleVideo: withAlert(() => provider.toggleVideo(), 'Failed to access camera'),
+    toggleScreenShare: withAlert(() => provider.toggleScreenShare(), 'Failed to share screen'),
+    applyLayout: (layout) => provider.applyLayout(layout),
+    switchDevice: withAlert((kind, deviceId) => provider.switchDevice(kind, deviceId), 'Failed to switch to the selected device'),
+    setMediaProfile: withAlert((source, profileName) => provider.setMediaProfile(source, profileName), 'Failed to change the video quality'),
+    setVideoEffect: withAlert((name) => provider.setVideoEffect(name), 'Failed to change the background'),
+    setAudioSetting: withAlert((name, value) => provider.setAudioSetting(name, value), 'Failed to apply the audio settings'),
+    setTalking: (talking) => provider.setTalking(talking),
+    sendRecordingState: (state) => provider.sendRecordingState(state),
+    features: provider.features,
+
+    // The meeting ends for the user even if the provider fails to clean up
+    leave: async () => {
+      try {
+        await provider.leave();
+      } catch (error) {
+        console.error('Error leaving the meeting', error);
+      } finally {
+        dispatch(meetingActions.ended());
+      }
+    }
+  };
+};
+
+/**
+ * Keeps the meeting state for everything below it, fed by the events of
+ * a MeetingProvider. Read it with the hooks below.
+ */
+export function MeetingStoreProvider({ provider, children }) {
+  const [state, dispatch] = useReducer(meetingReducer, initialMeetingState);
+
+  // Provider events become actions, registered once per provider
+  useEffect(() => {
+    provider.setCallbacks({
+      onParticipantsChange: (participants) => dispatch(meetingActions.participantsChanged(participants)),
+      onRemoteTrackStarted: (trackItem) => dispatch(meetingActions.remoteTrackStarted(trackItem)),
+      onRemoteTrackStopped: (trackItem) => dispatch(meetingActions.remoteTrackStopped(trackItem)),
+      onLocalMediaChange: (localMedia) => dispatch(meetingActions.localMediaChanged(localMedia)),
+      onConnectionQualityChange: (participantId, quality) => {
+        dispatch(meetingActions.connectionQualityChanged(participantId, quality));
+      },
+      onPeerStateChange: (participantId, peerState) => dispatch(meetingActions.peerStateChanged(participantId, peerState)),
+      onConnectionStateChange: (connectionState) => dispatch(meetingActions.connectionStateChanged(connectionState)),
+      onAdaptationChange: (participantId, level) => dispatch(meetingActions.adaptationChanged(participantId, level)),
+      onRecordingStateChange: (participantId, recordingState) => {
+        dispatch(meetingActions.recordingStateChanged(participantId, recordingState));
+      },
+      onActiveSpeakerChange: (participantId) => dispatch(meetingActions.activeSpeakerChanged(participantId)),
+      onError: (error) => alert(`Error: ${error}`)
+    });
+  }, [provider]);
+
+  const controls = useMemo(() => createControls(provider, dispatch), [provider]);
+
+  return (
+    <MeetingStateContext.Provider value={state}>
+      <MeetingControlsContext.Provider value={controls}>
+        {children}
+      </MeetingControlsContext.Provider>
+    </MeetingStateContext.Provider>
+  );
+}
+
+const useMeetingState = () => {
+  const state = useContext(MeetingStateContext);
+
+  if (!state) {
+    throw new Error('Meeting hooks must be used inside a MeetingStoreProvider');
+  }
+
+  return state;
+};
+
+/**
+ * Status of the meeting, 'idle', 'joined' or 'ended', with the room and our name
+ */
+export const useMeeting = () => {
+  const { status, roomName, username } = useMeetingState();
+  return { status, roomName, username };
+};
+
+/**
+ * Everyone else in the meeting, [{ id, name }]
+ */
+export const useParticipants = () => useMeetingState().participants;
+
+/**
+ * Tracks received from the others, [{ id, participantId, kind, track }]
+ */
+export const useRemoteTracks = () => useMeetingState().remoteTracks;
+
+/**
+ * What we share and how, see MeetingProvider
+ */
+export const useLocalMedia = () => useMeetingState().localMedia;
+
+/**
+ * Connection quality to one participant, { quality, codecs }, or to everyone by id
+ */
+export const useConnectionQuality = (participantId) => {
+  const { connectionQuality } = useMeetingState();
+  return participantId === undefined ? connectionQuality : connectionQuality[participantId];
+};
+
+/**
+ * Connection state to each participant by id, e.g. 'reconnecting'
+ */
+export const usePeerStates = () => useMeetingState().peerStates;
+
+/**
+ * State of our link to the meeting server, e.g. 'reconnecting', or null
+ */
+export const useConnectionState = () => useMeetingState().connectionState;
+
+/**
+ * Level our video is sent at to each participant by id, when the network forced it down
+ */
+export const useAdaptationLevels = () => useMeetingState().adaptationLevels;
+
+/**
+ * Participant id of whoever is talking, or null
+ */
+export const useActiveSpeaker = () => useMeetingState().activeSpeaker;
+
+/**
+ * Everyone else who records, 'recording' or 'paused' by participant id
+ */
+export const useRemoteRecordings = () => useMeetingState().remoteRecordings;
+
+/**
+ * Actions on the meeting: createMeeting, joinMeeting, toggleAudio,
+ * toggleVideo, toggleScreenShare, applyLayout, switchDevice,
+ * setMediaProfile, setVideoEffect, setAudioSetting, setTalking,
+ * sendRecordingState and leave, and the provider's `features`
+ */
+export const useMeetingControls = () => {
+  const controls = useContext(MeetingControlsContext);
+
+  if (!controls) {
+    throw new Error('Meeting hooks must be used inside a MeetingStoreProvider');
+  }
+
+  return controls;
+};
@@ -0,0 +1,127 @@
+// Meeting state shared by the UI, changed only through actions
+
+export const initialMeetingState = {
+  status: 'idle', // idle -> joined -> ended
+  roomName: null,
+  username: '',
+  participants: [], // [{ id, name }], not counting us
+  remoteTracks: [], // [{ id, participantId, kind, track }]
+  localMedia: {
+    audio: false,
+    video: false,
+    screen: false,
+    videoStream: null,
+    audioTrack: null,
+    screenTrack: null,
+    mediaProfiles: null,
+    videoEffect: null,
+    audioSettings: null
+  },
+  connectionState: null, // our link to the meeting server, e.g. 'reconnecting'
+  connectionQuality: {}, // participantId -> { quality, codecs }
+  adaptationLevels: {}, // participantId -> level our video is sent at
+  peerStates: {}, // participantId -> connection state
+  activeSpeaker: null, // participantId of whoever is talking
+  remoteRecordings: {} // participantId -> 'recording' or 'paused', for everyone else who records
+};
+
+/**
+ * Meeting Actions
+ * Creators for every action the reducer handles. Service events are
+ * dispatched as these, so handlers never close over component state.
+ */
+export const meetingActions = {
+  joined: (roomName, username) => ({ type: 'joined', roomName, username }),
+  ended: () => ({ type: 'ended' }),
+  participantsChanged: (participants) => ({ type: 'participantsChanged', participants }),
+  remoteTrackStarted: (trackItem) => ({ type: 'remoteTrackStarted', trackItem }),
+  remoteTrackStopped: (trackItem) => ({ type: 'remoteTrackStopped', trackItem }),
+  localMediaChanged: (localMedia) => ({ type: 'localMediaChanged', localMedia }),
+  connectionStateChanged: (state) => ({ type: 'connectionStateChanged', state }),
+  connectionQualityChanged: (participantId, quality) => ({ type: 'connectionQualityChanged', participantId, quality }),
+  adaptationChanged: (participantId, level) => ({ type: 'adaptationChanged', participantId, level }),
+  peerStateChanged: (participantId, state) => ({ type: 'peerStateChanged', participantId, state }),
+  recordingStateChanged: (participantId, state) => ({ type: 'recordingStateChanged', participantId, state }),
+  activeSpeakerChanged: (participantId) => ({ type: 'activeSpeakerChanged', participantId })
+};
+
+/**
+ * Copy of a map keyed by participant id without one participant
+ */
+const without = (map, participantId) => {
+  const { [participantId]: removed, ...rest } = map;
+  return rest;
+};
+
+/**
+ * Copy of a map keyed by participant id with only the given participants
+ */
+const only = (map, participants) => participants.reduce((result, participant) => {
+  if (participant.id in map) {
+    result[participant.id] = map[participant.id];
+  }
+  return result;
+}, {});
+
+export const meetingReducer = (state, action) => {
+  switch (action.type) {
+    case 'joined':
+      return { ...state, status: 'joined', roomName: action.roomName, username: action.username };
+
+    case 'ended':
+      return { ...initialMeetingState, status: 'ended', roomName: state.roomName, username: state.username };
+
+    case 'participantsChanged':
+      // Forget what we knew about those who left. Their tracks are
+      // stopped by the provider, which may report new ones first.
+      return {
+        ...state,
+        participants: action.participants,
+        connectionQuality: only(state.connectionQuality, action.participants),
+        adaptationLevels: only(state.adaptationLevels, action.participants),
+        peerStates: only(state.peerStates, action.participants),
+        remoteRecordings: only(state.remoteRecordings, action.participants),
+        activeSpeaker: action.participants.some(p => p.id === state.activeSpeaker) ? state.activeSpeaker : null
+      };
+
+    case 'remoteTrackStarted':
+      return {
+        ...state,
+        remoteTracks: [...state.remoteTracks.filter(item => item.id !== action.trackItem.id), action.trackItem]
+      };
+
+    case 'remoteTrackStopped':
+      return { ...state, remoteTracks: state.remoteTracks.filter(item => item.id !== action.trackItem.id) };
+
+    case 'localMediaChanged':
+      return { ...state, localMedia: { ...state.localMedia, ...action.localMedia } };
+
+    case 'connectionStateChanged':
+      return { ...state, connectionState: action.state };
+
+    case 'connectionQualityChanged':
+      return { ...state, connectionQuality: { ...state.connectionQuality, [action.participantId]: action.quality } };
+
+    case 'adaptationChanged':
+      return { ...state, adaptationLevels: { ...state.adaptationLevels, [action.participantId]: action.level } };
+
+    case 'peerStateChanged':
+      return { ...state, peerStates: { ...state.peerStates, [action.participantId]: action.state } };
+
+    case 'recordingStateChanged':
+      // Stopping, 'inactive', takes them off the list
+      return {
+        ...state,
+        remoteRecordings: ['recording', 'paused'].includes(action.state)
+          ? { ...state.remoteRecordings, [action.participantId]: action.state }
+          : without(state.remoteRecordings, action.participantId)
+      };
+
+    case 'activeSpeakerChanged':
+      return { ...state, activeSpeaker: action.participantId };
+
+    default:
+      console.warn('Unknown meeting action:', action.type);
+      return state;
+  }
+};
@@ -0,0 +1,59 @@
+import { initialMeetingState, meetingActions, meetingReducer } from './meetingReducer';
+
+const reduce = (...actions) => actions.reduce(meetingReducer, initialMeetingState);
+
+test('tracks come and go without touching the previous state', () => {
+  const audio = { id: 't1', participantId: 'a', kind: 'audio', track: {} };
+  const video = { id: 't2', participantId: 'a', kind: 'video', track: {} };
+  const started = reduce(meetingActions.remoteTrackStarted(audio), meetingActions.remoteTrackStarted(video));
+  const stopped = meetingReducer(started, meetingActions.remoteTrackStopped(audio));
+
+  expect(started.remoteTracks).toEqual([audio, video]);
+  expect(stopped.remoteTracks).toEqual([video]);
+});
+
+test('a participant leaving takes their connection state along', () => {
+  const state = reduce(
+    meetingActions.participantsChanged([{ id: 'a', name: 'Alice' }, { id: 'b', name: 'Bob' }]),
+    meetingActions.connectionQualityChanged('a', { quality: 'good' }),
+    meetingActions.adaptationChanged('a', 'reduced'),
+    meetingActions.peerStateChanged('a', 'connected'),
+    meetingActions.recordingStateChanged('a', 'recording'),
+    meetingActions.connectionQualityChanged('b', { quality: 'poor' }),
+    meetingActions.peerStateChanged('b', 'connected'),
+    meetingActions.activeSpeakerChanged('a'),
+    meetingActions.participantsChanged([{ id: 'b', name: 'Bob' }])
+  );
+
+  expect(state.participants).toEqual([{ id: 'b', name: 'Bob' }]);
+  expect(state.connectionQuality).toEqual({ b: { quality: 'poor' } });
+  expect(state.adaptationLevels).toEqual({});
+  expect(state.peerStates).toEqual({ b: 'connected' });
+  expect(state.remoteRecordings).toEqual({});
+  expect(state.activeSpeaker).toBeNull();
+});
+
+test('participants drop off the recording list when they stop', () => {
+  const recording = reduce(
+    meetingActions.recordingStateChanged('a', 'recording'),
+    meetingActions.recordingStateChanged('b', 'recording'),
+    meetingActions.recordingStateChanged('b', 'paused')
+  );
+  const stopped = meetingReducer(recording, meetingActions.recordingStateChanged('a', 'inactive'));
+
+  expect(recording.remoteRecordings).toEqual({ a: 'recording', b: 'paused' });
+  expect(stopped.remoteRecordings).toEqual({ b: 'paused' });
+});
+
+test('local media changes merge, and ending keeps only who and where', () => {
+  const joined = reduce(
+    meetingActions.joined('room', 'Alice'),
+    meetingActions.localMediaChanged({ audio: true }),
+    meetingActions.localMediaChanged({ video: true })
+  );
+
+  expect(joined.localMedia).toMatchObject({ audio: true, video: true, screen: false });
+
+  const ended = meetingReducer(joined, meetingActions.ended());
+  expect(ended).toEqual({ ...initialMeetingState, status: 'ended', roomName: 'room', username: 'Alice' });
+});
@@ -0,0 +1,126 @@
+// Dominant speaker detection from per-participant audio levels
+
+/**
+ * Speaker Detection Options
+ * Levels run from 0 (silence) to 1 (full scale), times are in milliseconds.
+ * - speakingLevel: smoothed level above which someone counts as speaking
+ * - smoothing: weight of each new sample in the moving average
+ * - holdTime: how long a new speaker keeps the floor before anyone can take over
+ * - switchAfter: how long someone else has to be loudest to take over
+ */
+export const DEFAULT_SPEAKER_OPTIONS = {
+  speakingLevel: 0.02,
+  smoothing: 0.4,
+  holdTime: 1500,
+  switchAfter: 600
+};
+
+/**
+ * Active Speaker Detector
+ * Fed audio levels by participant, picks the dominant speaker. Levels are
+ * smoothed, and the speaker only changes once someone else has been loudest
+ * for a while, so short noises and crosstalk don't make the view jump around.
+ * The last speaker stays dominant through silence.
+ */
+export class ActiveSpeakerDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SPEAKER_OPTIONS, ...options };
+    this.levels = new Map(); // Smoothed level by participant
+    this.speakerId = null;
+    this.speakerSince = 0;
+    this.challenger = null; // { id, since } of someone louder than the speaker
+    this.listeners = new Set();
+  }
+
+  /**
+   * Listen for speaker changes, returns a function that stops listening
+   * Listeners get { speakerId, previousSpeakerId, levels }
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Take one sample of levels by participant id and return the dominant speaker
+   */
+  update(levels, now = Date.now()) {
+    const { smoothing, holdTime, switchAfter } = this.options;
+
+    // Participants that are gone take their history with them
+    [...this.levels.keys()]
+      .filter(id => !(id in levels))
+      .forEach(id => this.levels.delete(id));
+
+    Object.entries(levels).forEach(([id, level]) => {
+      const previous = this.levels.get(id);
+      this.levels.set(id, previous === undefined ? level : previous + (level - previous) * smoothing);
+    });
+
+    const loudest = this.getLoudest();
+
+    if (this.speakerId !== null && !this.levels.has(this.speakerId)) {
+      // The speaker left, hand over at once
+      this.setSpeaker(loudest, now);
+    } else if (loudest === null || loudest === this.speakerId) {
+      this.challenger = null;
+    } else if (this.speakerId === null) {
+      this.setSpeaker(loudest, now);
+    } else {
+      if (!this.challenger || this.challenger.id !== loudest) {
+        this.challenger = { id: loudest, since: now };
+      }
+
+      if (now - this.challenger.since >= switchAfter && now - this.speakerSince >= holdTime) {
+        this.setSpeaker(loudest, now);
+      }
+    }
+
+    return this.speakerId;
+  }
+
+  /**
+   * Whether a participant is speaking right now
+   */
+  isSpeaking(id) {
+    return (this.levels.get(id) || 0) >= this.options.speakingLevel;
+  }
+
+  /**
+   * Loudest participant that is speaking, or null
+   */
+  getLoudest() {
+    let loudest = null;
+
+    this.levels.forEach((level, id) => {
+      if (this.isSpeaking(id) && (loudest === null || level > this.levels.get(loudest))) {
+        loudest = id;
+      }
+    });
+
+    return loudest;
+  }
+
+  setSpeaker(speakerId, now) {
+    const previousSpeakerId = this.speakerId;
+
+    this.speakerId = speakerId;
+    this.speakerSince = now;
+    this.challenger = null;
+
+    if (speakerId !== previousSpeakerId) {
+      const event = { speakerId, previousSpeakerId, levels: Object.fromEntries(this.levels) };
+      this.listeners.forEach(listener => listener(event));
+    }
+  }
+
+  /**
+   * Forget every participant and the current speaker
+   */
+  reset() {
+    this.levels.clear();
+    this.speakerId = null;
+    this.speakerSince = 0;
+    this.challenger = null;
+  }
+}
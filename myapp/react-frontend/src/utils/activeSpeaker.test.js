@@ -0,0 +1,70 @@
+import { ActiveSpeakerDetector } from './activeSpeaker';
+
+// Feed the same levels every 100 ms from `start` until `end`
+const feed = (detector, levels, start, end) => {
+  for (let now = start; now < end; now += 100) {
+    detector.update(levels, now);
+  }
+};
+
+test('the first speaker takes the floor at once and keeps it through silence', () => {
+  const detector = new ActiveSpeakerDetector();
+  const listener = jest.fn();
+  detector.subscribe(listener);
+
+  expect(detector.update({ alice: 0.2, bob: 0 }, 0)).toBe('alice');
+  expect(listener).toHaveBeenCalledWith(expect.objectContaining({ speakerId: 'alice', previousSpeakerId: null }));
+
+  feed(detector, { alice: 0, bob: 0 }, 100, 5000);
+  expect(detector.speakerId).toBe('alice');
+  expect(detector.isSpeaking('alice')).toBe(false);
+});
+
+test('a short interruption does not change the speaker', () => {
+  const detector = new ActiveSpeakerDetector();
+
+  feed(detector, { alice: 0.2, bob: 0 }, 0, 2000);
+  feed(detector, { alice: 0, bob: 0.3 }, 2000, 2300);
+  expect(detector.speakerId).toBe('alice');
+
+  feed(detector, { alice: 0.2, bob: 0 }, 2300, 3000);
+  expect(detector.speakerId).toBe('alice');
+});
+
+test('someone who keeps talking takes over after the hold time', () => {
+  const detector = new ActiveSpeakerDetector({ holdTime: 1500, switchAfter: 600 });
+  const listener = jest.fn();
+  detector.subscribe(listener);
+
+  feed(detector, { alice: 0.2, bob: 0 }, 0, 500);
+  // Bob is loudest from 500 ms, but alice holds the floor until 1500 ms
+  feed(detector, { alice: 0, bob: 0.3 }, 500, 1400);
+  expect(detector.speakerId).toBe('alice');
+
+  feed(detector, { alice: 0, bob: 0.3 }, 1400, 1700);
+  expect(detector.speakerId).toBe('bob');
+  expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ speakerId: 'bob', previousSpeakerId: 'alice' }));
+});
+
+test('hands over at once when the speaker leaves', () => {
+  const detector = new ActiveSpeakerDetector();
+
+  feed(detector, { alice: 0.2, bob: 0.05 }, 0, 1000);
+  detector.update({ bob: 0.05 }, 1000);
+
+  expect(detector.speakerId).toBe('bob');
+
+  detector.update({}, 1100);
+  expect(detector.speakerId).toBeNull();
+});
+
+test('unsubscribed listeners are not called', () => {
+  const detector = new ActiveSpeakerDetector();
+  const listener = jest.fn();
+  const unsubscribe = detector.subscribe(listener);
+
+  unsubscribe();
+  detector.update({ alice: 0.2 }, 0);
+
+  expect(listener).not.toHaveBeenCalled();
+});
@@ -0,0 +1,98 @@
+// Microphone level metering with Web Audio
+
+/**
+ * Root mean square of time domain samples, 0 for silence up to 1 at full scale
+ */
+export const getRms = (samples) => {
+  if (samples.length === 0) return 0;
+
+  const sum = samples.reduce((total, value) => total + value * value, 0);
+  return Math.sqrt(sum / samples.length);
+};
+
+/**
+ * Speech Detector
+ * Turns a stream of levels into speaking or not. Speech has to last
+ * `minSpeechTime` to count, so a cough or a door doesn't, and it ends
+ * after `hangoverTime` of quiet, so pauses between words don't.
+ */
+export class SpeechDetector {
+  constructor({ threshold = 0.04, minSpeechTime = 400, hangoverTime = 1500 } = {}) {
+    this.threshold = threshold;
+    this.minSpeechTime = minSpeechTime;
+    this.hangoverTime = hangoverTime;
+    this.loudSince = null;
+    this.lastLoudAt = null;
+    this.speaking = false;
+  }
+
+  /**
+   * Take one level sample and return whether there is speech
+   */
+  update(level, now = Date.now()) {
+    if (level >= this.threshold) {
+      if (this.loudSince === null) {
+        this.loudSince = now;
+      }
+
+      this.lastLoudAt = now;
+
+      if (now - this.loudSince >= this.minSpeechTime) {
+        this.speaking = true;
+      }
+    } else if (this.lastLoudAt === null || now - this.lastLoudAt >= this.hangoverTime) {
+      this.loudSince = null;
+      this.speaking = false;
+    } else if (!this.speaking) {
+      // A short sound that never became speech
+      this.loudSince = null;
+    }
+
+    return this.speaking;
+  }
+}
+
+/**
+ * Audio Level Meter
+ * Samples the level of an audio track at a fixed interval
+ */
+export class AudioLevelMeter {
+  constructor(track) {
+    this.track = track;
+    this.context = null;
+    this.interval = null;
+  }
+
+  /**
+   * Start reporting the RMS level, returns false where Web Audio is missing
+   */
+  start(onLevel, intervalMs = 100) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+    if (!AudioContext) return false;
+
+    this.context = new AudioContext();
+
+    const analyser = this.context.createAnalyser();
+    const samples = new Float32Array(analyser.fftSize);
+
+    this.context.createMediaStreamSource(new MediaStream([this.track])).connect(analyser);
+
+    this.interval = setInterval(() => {
+      analyser.getFloatTimeDomainData(samples);
+      onLevel(getRms(samples));
+    }, intervalMs);
+
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+
+    if (this.context) {
+      this.context.close().catch(() => {});
+      this.context = null;
+    }
+  }
+}
@@ -0,0 +1,39 @@
+import { getRms, SpeechDetector } from './audioLevel';
+
+test('silence has no level', () => {
+  expect(getRms(new Float32Array(128))).toBe(0);
+  expect(getRms([])).toBe(0);
+});
+
+test('a full scale square wave has level 1', () => {
+  const samples = Float32Array.from({ length: 128 }, (_, i) => (i % 2 ? 1 : -1));
+  expect(getRms(samples)).toBeCloseTo(1);
+});
+
+test('level follows amplitude', () => {
+  const quiet = Float32Array.from({ length: 128 }, (_, i) => 0.1 * Math.sin(i / 4));
+  const loud = Float32Array.from({ length: 128 }, (_, i) => 0.5 * Math.sin(i / 4));
+  expect(getRms(loud)).toBeCloseTo(getRms(quiet) * 5);
+});
+
+test('speech has to last a moment to count', () => {
+  const detector = new SpeechDetector({ threshold: 0.1, minSpeechTime: 400, hangoverTime: 1000 });
+
+  expect(detector.update(0.3, 0)).toBe(false);
+  expect(detector.update(0.3, 200)).toBe(false);
+  expect(detector.update(0, 300)).toBe(false);
+
+  // A new sound starts the clock again
+  expect(detector.update(0.3, 400)).toBe(false);
+  expect(detector.update(0.3, 800)).toBe(true);
+});
+
+test('speech carries on through short pauses', () => {
+  const detector = new SpeechDetector({ threshold: 0.1, minSpeechTime: 0, hangoverTime: 1000 });
+
+  expect(detector.update(0.3, 0)).toBe(true);
+  expect(detector.update(0, 900)).toBe(true);
+  expect(detector.update(0.3, 950)).toBe(true);
+  expect(detector.update(0, 1900)).toBe(true);
+  expect(detector.update(0, 1950)).toBe(false);
+});
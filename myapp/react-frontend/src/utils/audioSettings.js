@@ -0,0 +1,74 @@
+// Microphone processing and push-to-talk settings
+
+// localStorage key the settings are kept under
+const STORAGE_KEY = 'audioSettings';
+
+/**
+ * Audio Processing
+ * Browser processing that can be switched on and off per microphone track.
+ * These are MediaTrackConstraints names.
+ */
+export const AUDIO_PROCESSING = {
+  echoCancellation: 'Echo cancellation',
+  noiseSuppression: 'Noise suppression',
+  autoGainControl: 'Automatic gain control'
+};
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+  // Microphone stays muted unless the push-to-talk key is held
+  pushToTalk: false
+};
+
+/**
+ * Processing the browser lets us control, some don't offer all of it
+ */
+export const getSupportedAudioProcessing = () => {
+  const supported = navigator.mediaDevices?.getSupportedConstraints
+    ? navigator.mediaDevices.getSupportedConstraints()
+    : {};
+
+  return Object.keys(AUDIO_PROCESSING).filter(name => supported[name]);
+};
+
+/**
+ * Track constraints for the processing settings
+ */
+export const getAudioConstraints = (settings) => Object.keys(AUDIO_PROCESSING).reduce(
+  (constraints, name) => ({ ...constraints, [name]: settings[name] }),
+  {}
+);
+
+/**
+ * Settings saved in an earlier session, defaults for anything missing
+ */
+export const loadAudioSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+
+    return Object.keys(DEFAULT_AUDIO_SETTINGS).reduce((settings, name) => ({
+      ...settings,
+      [name]: typeof saved[name] === 'boolean' ? saved[name] : DEFAULT_AUDIO_SETTINGS[name]
+    }), {});
+  } catch (error) {
+    // Storage can be disabled or hold something unreadable
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+};
+
+/**
+ * Remember changed settings across sessions
+ */
+export const saveAudioSettings = (changes) => {
+  const settings = { ...loadAudioSettings(), ...changes };
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not save audio settings:', error);
+  }
+
+  return settings;
+};
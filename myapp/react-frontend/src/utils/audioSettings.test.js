@@ -0,0 +1,33 @@
+import { DEFAULT_AUDIO_SETTINGS, getAudioConstraints, loadAudioSettings, saveAudioSettings } from './audioSettings';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('defaults to full processing without push-to-talk', () => {
+  expect(loadAudioSettings()).toEqual(DEFAULT_AUDIO_SETTINGS);
+});
+
+test('remembers changed settings', () => {
+  saveAudioSettings({ noiseSuppression: false });
+  const settings = saveAudioSettings({ pushToTalk: true });
+
+  expect(settings).toEqual({ ...DEFAULT_AUDIO_SETTINGS, noiseSuppression: false, pushToTalk: true });
+  expect(loadAudioSettings()).toEqual(settings);
+});
+
+test('ignores unreadable or unknown stored values', () => {
+  window.localStorage.setItem('audioSettings', JSON.stringify({ echoCancellation: 'off', volume: 3 }));
+  expect(loadAudioSettings()).toEqual(DEFAULT_AUDIO_SETTINGS);
+
+  window.localStorage.setItem('audioSettings', '{');
+  expect(loadAudioSettings()).toEqual(DEFAULT_AUDIO_SETTINGS);
+});
+
+test('constraints only carry the processing settings', () => {
+  expect(getAudioConstraints({ ...DEFAULT_AUDIO_SETTINGS, autoGainControl: false, pushToTalk: true })).toEqual({
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: false
+  });
+});
@@ -0,0 +1,169 @@
+// Sender-side bitrate adaptation driven by connection quality metrics
+
+/**
+ * Adaptation Steps
+ * Limits applied on top of the simulcast layer a peer asked for, from full
+ * quality down to audio-only. Bitrate and frame rate are fractions of what
+ * the media profile allows, resolution a minimum downscale factor.
+ */
+export const ADAPTATION_STEPS = [
+  { level: 'full' },
+  { level: 'reduced', bitrateFactor: 0.6, scaleResolutionDownBy: 1.5 },
+  { level: 'low', bitrateFactor: 0.3, scaleResolutionDownBy: 2, framerateFactor: 0.8 },
+  { level: 'minimal', bitrateFactor: 0.15, scaleResolutionDownBy: 4, framerateFactor: 0.5 },
+  { level: 'audio-only', active: false }
+];
+
+/**
+ * Adaptation Options
+ * Step down after `downgradeAfter` congested samples in a row and up after
+ * `upgradeAfter` clear ones. The gap between the two is the hysteresis.
+ * Video is only dropped after `audioOnlyAfter` samples at the lowest video
+ * step with loss above `audioOnlyLoss`, and returns after `recoverAfter` clear ones.
+ */
+export const DEFAULT_ADAPTATION_OPTIONS = {
+  congestedLoss: 0.05,
+  clearLoss: 0.02,
+  congestedRoundTripTime: 0.4,
+  clearRoundTripTime: 0.25,
+  audioOnlyLoss: 0.15,
+  downgradeAfter: 3,
+  upgradeAfter: 8,
+  audioOnlyAfter: 5,
+  recoverAfter: 15
+};
+
+const AUDIO_ONLY_STEP = ADAPTATION_STEPS.length - 1;
+
+/**
+ * Loss the receiver reports for what we send, or our own inbound loss
+ * when no receiver reports arrived yet. Only streams that sent packets in
+ * the interval count: paused video keeps its last, stale report.
+ */
+const getSendLoss = (metrics) => {
+  const reported = metrics.streams
+    .filter(stream => (
+      stream.direction === 'outbound' &&
+      stream.intervalPacketsSent > 0 &&
+      stream.remotePacketLossRate !== null
+    ))
+    .map(stream => stream.remotePacketLossRate);
+
+  return reported.length > 0 ? Math.max(...reported) : metrics.packetLossRate;
+};
+
+/**
+ * Adaptive Bitrate Controller
+ * Turns a stream of quality metrics for one peer into step changes.
+ * Every change is passed to onAdaptation as
+ * { step, level, previousLevel, direction: 'down' | 'up', reason }.
+ */
+export class AdaptiveBitrateController {
+  constructor(onAdaptation, options = {}) {
+    this.onAdaptation = onAdaptation;
+    this.options = { ...DEFAULT_ADAPTATION_OPTIONS, ...options };
+    this.stepIndex = 0;
+    this.congestedSamples = 0;
+    this.clearSamples = 0;
+    this.heavyLossSamples = 0;
+  }
+
+  /**
+   * Current limits
+   */
+  getStep() {
+    return ADAPTATION_STEPS[this.stepIndex];
+  }
+
+  /**
+   * Classify one sample as 'congested', 'clear' or 'stable', with the cause
+   */
+  assess(metrics) {
+    const { options } = this;
+    const loss = getSendLoss(metrics);
+    const roundTripTime = metrics.roundTripTime;
+    const bandwidthLimited = metrics.streams.some(stream => (
+      stream.direction === 'outbound' &&
+      stream.kind === 'video' &&
+      stream.qualityLimitationReason === 'bandwidth'
+    ));
+
+    if (loss > options.congestedLoss) {
+      return { state: 'congested', reason: 'packet-loss', loss };
+    }
+
+    if (roundTripTime !== null && roundTripTime > options.congestedRoundTripTime) {
+      return { state: 'congested', reason: 'round-trip-time', loss };
+    }
+
+    if (bandwidthLimited) {
+      return { state: 'congested', reason: 'bandwidth', loss };
+    }
+
+    if (loss < options.clearLoss && (roundTripTime === null || roundTripTime < options.clearRoundTripTime)) {
+      return { state: 'clear', reason: 'recovered', loss };
+    }
+
+    return { state: 'stable', reason: null, loss };
+  }
+
+  /**
+   * Feed one metrics sample, returning the adaptation made or null
+   */
+  update(metrics) {
+    const { options } = this;
+    const { state, reason, loss } = this.assess(metrics);
+
+    this.congestedSamples = state === 'congested' ? this.congestedSamples + 1 : 0;
+    this.clearSamples = state === 'clear' ? this.clearSamples + 1 : 0;
+    this.heavyLossSamples = loss > options.audioOnlyLoss ? this.heavyLossSamples + 1 : 0;
+
+    if (this.stepIndex === AUDIO_ONLY_STEP) {
+      return this.clearSamples >= options.recoverAfter ? this.moveTo(this.stepIndex - 1, reason) : null;
+    }
+
+    if (this.stepIndex === AUDIO_ONLY_STEP - 1) {
+      // Already at the lowest video step, only sustained heavy loss turns video off
+      if (this.heavyLossSamples >= options.audioOnlyAfter) {
+        return this.moveTo(AUDIO_ONLY_STEP, 'packet-loss');
+      }
+    } else if (this.congestedSamples >= options.downgradeAfter) {
+      return this.moveTo(this.stepIndex + 1, reason);
+    }
+
+    if (this.stepIndex > 0 && this.clearSamples >= options.upgradeAfter) {
+      return this.moveTo(this.stepIndex - 1, reason);
+    }
+
+    return null;
+  }
+
+  /**
+   * Go to another step and report it
+   */
+  moveTo(stepIndex, reason) {
+    const previousLevel = this.getStep().level;
+    const direction = stepIndex > this.stepIndex ? 'down' : 'up';
+
+    this.stepIndex = stepIndex;
+
+    // Every step has to earn its own evidence
+    this.congestedSamples = 0;
+    this.clearSamples = 0;
+    this.heavyLossSamples = 0;
+
+    const adaptation = {
+      step: this.getStep(),
+      level: this.getStep().level,
+      previousLevel,
+      direction,
+      reason
+    };
+
+    if (this.onAdaptation) {
+      this.onAdaptation(adaptation);
+    }
+
+    return adaptation;
+  }
+}
@@ -0,0 +1,84 @@
+import { AdaptiveBitrateController } from './bitrateAdaptation';
+
+const sample = ({ loss = 0, roundTripTime = 0.05, limitation = 'none' } = {}) => ({
+  packetLossRate: loss,
+  roundTripTime,
+  streams: [
+    { direction: 'outbound', kind: 'video', intervalPacketsSent: 50, remotePacketLossRate: loss, qualityLimitationReason: limitation }
+  ]
+});
+
+const feed = (controller, metrics, count) => {
+  for (let i = 0; i < count; i++) {
+    controller.update(metrics);
+  }
+};
+
+test('steps down only after several congested samples in a row', () => {
+  const controller = new AdaptiveBitrateController(() => {}, { downgradeAfter: 3 });
+
+  feed(controller, sample({ loss: 0.1 }), 2);
+  controller.update(sample());
+  feed(controller, sample({ loss: 0.1 }), 2);
+  expect(controller.getStep().level).toBe('full');
+
+  controller.update(sample({ loss: 0.1 }));
+  expect(controller.getStep().level).toBe('reduced');
+});
+
+test('needs more clear samples to step up than congested ones to step down', () => {
+  const adaptations = [];
+  const controller = new AdaptiveBitrateController(a => adaptations.push(a), { downgradeAfter: 2, upgradeAfter: 5 });
+
+  feed(controller, sample({ limitation: 'bandwidth' }), 2);
+  feed(controller, sample(), 4);
+  expect(controller.getStep().level).toBe('reduced');
+
+  controller.update(sample());
+  expect(controller.getStep().level).toBe('full');
+  expect(adaptations.map(({ direction, reason }) => [direction, reason])).toEqual([
+    ['down', 'bandwidth'],
+    ['up', 'recovered']
+  ]);
+});
+
+test('drops to audio-only under sustained heavy loss and recovers', () => {
+  const controller = new AdaptiveBitrateController(() => {}, {
+    downgradeAfter: 1, audioOnlyAfter: 3, recoverAfter: 4
+  });
+
+  feed(controller, sample({ loss: 0.3 }), 3);
+  expect(controller.getStep().level).toBe('minimal');
+
+  // High RTT alone never turns video off
+  feed(controller, sample({ roundTripTime: 1 }), 10);
+  expect(controller.getStep().level).toBe('minimal');
+
+  feed(controller, sample({ loss: 0.3 }), 3);
+  expect(controller.getStep().level).toBe('audio-only');
+
+  feed(controller, sample(), 4);
+  expect(controller.getStep().level).toBe('minimal');
+});
+
+test('recovers from audio-only although paused video keeps its last loss report', () => {
+  const controller = new AdaptiveBitrateController(() => {}, {
+    downgradeAfter: 1, audioOnlyAfter: 1, recoverAfter: 4
+  });
+
+  feed(controller, sample({ loss: 0.3 }), 4);
+  expect(controller.getStep().level).toBe('audio-only');
+
+  // Video sends nothing, its receiver report is from before the pause
+  const paused = {
+    packetLossRate: 0,
+    roundTripTime: 0.05,
+    streams: [
+      { direction: 'outbound', kind: 'video', intervalPacketsSent: 0, remotePacketLossRate: 0.3, qualityLimitationReason: 'none' },
+      { direction: 'outbound', kind: 'audio', intervalPacketsSent: 50, remotePacketLossRate: 0, qualityLimitationReason: 'none' }
+    ]
+  };
+
+  feed(controller, paused, 4);
+  expect(controller.getStep().level).toBe('minimal');
+});
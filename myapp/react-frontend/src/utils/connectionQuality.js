@@ -0,0 +1,292 @@
+// Connection quality statistics for WebRTC peer connections
+
+/**
+ * Quality Thresholds
+ * A peer is 'good' when it meets every `good` limit, 'fair' when it meets
+ * every `fair` limit and 'poor' otherwise. Bitrates in bps, times in seconds,
+ * loss as a fraction of packets.
+ */
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  good: {
+    minVideoBitrate: 500000,
+    maxPacketLoss: 0.01,
+    maxRoundTripTime: 0.15,
+    maxJitter: 0.03,
+    minMos: 4.0
+  },
+  fair: {
+    minVideoBitrate: 100000,
+    maxPacketLoss: 0.05,
+    maxRoundTripTime: 0.4,
+    maxJitter: 0.1,
+    minMos: 3.0
+  }
+};
+
+/**
+ * Negotiated Codecs
+ * Reads the codec in use per kind and direction from a stats report,
+ * e.g. { video: { send: 'video/VP9', receive: 'video/H264' } }
+ */
+export const getNegotiatedCodecs = (stats) => {
+  const codecs = {};
+
+  stats.forEach(report => {
+    if ((report.type === 'inbound-rtp' || report.type === 'outbound-rtp') && report.codecId) {
+      const codec = stats.get(report.codecId);
+
+      if (codec) {
+        const direction = report.type === 'inbound-rtp' ? 'receive' : 'send';
+        codecs[report.kind] = { ...codecs[report.kind], [direction]: codec.mimeType };
+      }
+    }
+  });
+
+  return codecs;
+};
+
+/**
+ * Round Trip Time
+ * Current RTT in seconds of the candidate pair ICE selected, or null
+ */
+export const getSelectedRoundTripTime = (stats) => {
+  let selectedPairId = null;
+
+  stats.forEach(report => {
+    if (report.type === 'transport' && report.selectedCandidatePairId) {
+      selectedPairId = report.selectedCandidatePairId;
+    }
+  });
+
+  let roundTripTime = null;
+
+  stats.forEach(report => {
+    if (report.type !== 'candidate-pair' || report.currentRoundTripTime === undefined) return;
+
+    // Firefox has no transport stats and flags the pair instead
+    const selected = selectedPairId ? report.id === selectedPairId : (report.selected || report.nominated);
+
+    if (selected && report.state === 'succeeded') {
+      roundTripTime = report.currentRoundTripTime;
+    }
+  });
+
+  return roundTripTime;
+};
+
+/**
+ * Mean Opinion Score
+ * Simplified ITU-T G.107 E-model estimate (1 to 4.5) from network conditions
+ */
+export const estimateMos = ({ roundTripTime = 0, jitter = 0, packetLossRate = 0 }) => {
+  // Latency one way, with jitter buffer delay and a fixed codec delay
+  const effectiveLatency = (roundTripTime / 2 + jitter * 2) * 1000 + 10;
+  let rFactor = 93.2 - (effectiveLatency < 160 ? effectiveLatency / 40 : (effectiveLatency - 120) / 10);
+
+  rFactor -= packetLossRate * 100 * 2.5;
+
+  if (rFactor < 0) return 1;
+
+  const mos = 1 + 0.035 * rFactor + 0.000007 * rFactor * (rFactor - 60) * (100 - rFactor);
+  return Math.min(4.5, Math.max(1, mos));
+};
+
+/**
+ * Difference between two counters, treating a reset as a fresh start
+ */
+const delta = (current = 0, previous = 0) => (current >= previous ? current - previous : current);
+
+/**
+ * Connection Quality Monitor
+ * Tracks every inbound and outbound RTP stream of a peer connection by SSRC
+ * and rates the connection from interval loss, jitter, RTT and bitrate
+ */
+export class ConnectionQualityMonitor {
+  constructor(peerConnection, onQualityChange, options = {}) {
+    this.peerConnection = peerConnection;
+    this.onQualityChange = onQualityChange;
+    this.thresholds = {
+      good: { ...DEFAULT_QUALITY_THRESHOLDS.good, ...options.thresholds?.good },
+      fair: { ...DEFAULT_QUALITY_THRESHOLDS.fair, ...options.thresholds?.fair }
+    };
+    this.statsInterval = null;
+    this.previousReports = new Map(); // Last report per stats id
+  }
+  
+  startMonitoring(intervalMs = 1000) {
+    this.statsInterval = setInterval(() => {
+      this.peerConnection.getStats()
+        .then(stats => {
+          const { quality, metrics } = this.processStats(stats);
+          this.onQualityChange(quality, metrics);
+        })
+        .catch(e => console.error('Error reading connection stats:', e));
+    }, intervalMs);
+  }
+  
+  stopMonitoring() {
+    if (this.statsInterval) {
+      clearInterval(this.statsInterval);
+      this.statsInterval = null;
+    }
+  }
+
+  /**
+   * Read stats from a new peer connection for the same peer after a rebuild
+   */
+  setPeerConnection(peerConnection) {
+    this.peerConnection = peerConnection;
+    this.previousReports.clear();
+  }
+
+  /**
+   * Turn a stats report into per-stream metrics and an overall rating
+   */
+  processStats(stats) {
+    const streams = [];
+    const remoteInbound = new Map(); // Receiver reports about our outbound streams, by ssrc
+
+    stats.forEach(report => {
+      if (report.type === 'remote-inbound-rtp') {
+        remoteInbound.set(report.ssrc, report);
+      }
+    });
+
+    stats.forEach(report => {
+      if (report.type === 'inbound-rtp') {
+        streams.push(this.processInbound(report, stats));
+      } else if (report.type === 'outbound-rtp') {
+        streams.push(this.processOutbound(report, stats, remoteInbound.get(report.ssrc)));
+      }
+    });
+
+    // Forget streams that went away
+    const currentIds = new Set(streams.map(stream => stream.id));
+    [...this.previousReports.keys()]
+      .filter(id => !currentIds.has(id))
+      .forEach(id => this.previousReports.delete(id));
+
+    const inbound = streams.filter(stream => stream.direction === 'inbound');
+    const inboundAudio = inbound.filter(stream => stream.kind === 'audio');
+    const inboundVideo = inbound.filter(stream => stream.kind === 'video');
+
+    // Video that was flowing through the whole interval. A first sample has
+    // nothing to compare with, and paused video (camera off, the 'off' layer)
+    // decodes no frames, neither says anything about the connection.
+    const flowingVideo = inboundVideo.filter(stream => (
+      stream.interval > 0 && (stream.framesDecoded === undefined || stream.intervalFramesDecoded > 0)
+    ));
+
+    // Loss over all inbound packets in this interval
+    const packetsLost = inbound.reduce((sum, stream) => sum + stream.intervalPacketsLost, 0);
+    const packetsExpected = inbound.reduce((sum, stream) => sum + stream.intervalPacketsLost + stream.intervalPacketsReceived, 0);
+    const packetLossRate = packetsExpected > 0 ? packetsLost / packetsExpected : 0;
+
+    const jitterStreams = inboundAudio.length > 0 ? inboundAudio : inbound;
+    const jitter = jitterStreams.length > 0 ? Math.max(...jitterStreams.map(stream => stream.jitter || 0)) : 0;
+    const roundTripTime = getSelectedRoundTripTime(stats);
+    const mos = estimateMos({ roundTripTime: roundTripTime || 0, jitter, packetLossRate });
+
+    const metrics = {
+      bitrate: inbound.reduce((sum, stream) => sum + stream.bitrate, 0),
+      outboundBitrate: streams
+        .filter(stream => stream.direction === 'outbound')
+        .reduce((sum, stream) => sum + stream.bitrate, 0),
+      videoBitrate: flowingVideo.length > 0 ? flowingVideo.reduce((sum, stream) => sum + stream.bitrate, 0) : null,
+      packetLossRate,
+      jitter,
+      roundTripTime,
+      mos,
+      freezeCount: inboundVideo.reduce((sum, stream) => sum + (stream.intervalFreezeCount || 0), 0),
+      streams,
+      codecs: getNegotiatedCodecs(stats),
+      timestamp: Date.now()
+    };
+
+    return { quality: this.rateQuality(metrics), metrics };
+  }
+
+  /**
+   * Metrics for one inbound stream since the previous sample
+   */
+  processInbound(report, stats) {
+    const previous = this.previousReports.get(report.id);
+    this.previousReports.set(report.id, report);
+
+    const elapsed = previous ? (report.timestamp - previous.timestamp) / 1000 : 0;
+    const bytes = previous ? delta(report.bytesReceived, previous.bytesReceived) : 0;
+    const codec = report.codecId ? stats.get(report.codecId) : null;
+
+    return {
+      id: report.id,
+      ssrc: report.ssrc,
+      kind: report.kind,
+      direction: 'inbound',
+      codec: codec ? codec.mimeType : null,
+      interval: elapsed,
+      bitrate: elapsed > 0 ? (8 * bytes) / elapsed : 0,
+      intervalPacketsReceived: previous ? delta(report.packetsReceived, previous.packetsReceived) : 0,
+      intervalPacketsLost: previous ? Math.max(0, (report.packetsLost || 0) - (previous.packetsLost || 0)) : 0,
+      jitter: report.jitter,
+      audioLevel: report.audioLevel,
+      framesPerSecond: report.framesPerSecond,
+      frameWidth: report.frameWidth,
+      frameHeight: report.frameHeight,
+      framesDecoded: report.framesDecoded,
+      framesDropped: report.framesDropped,
+      intervalFramesDecoded: previous ? delta(report.framesDecoded, previous.framesDecoded) : 0,
+      intervalFramesDropped: previous ? delta(report.framesDropped, previous.framesDropped) : 0,
+      freezeCount: report.freezeCount,
+      intervalFreezeCount: previous ? delta(report.freezeCount, previous.freezeCount) : 0
+    };
+  }
+
+  /**
+   * Metrics for one outbound stream since the previous sample
+   */
+  processOutbound(report, stats, remoteReport) {
+    const previous = this.previousReports.get(report.id);
+    this.previousReports.set(report.id, report);
+
+    const elapsed = previous ? (report.timestamp - previous.timestamp) / 1000 : 0;
+    const bytes = previous ? delta(report.bytesSent, previous.bytesSent) : 0;
+    const codec = report.codecId ? stats.get(report.codecId) : null;
+
+    return {
+      id: report.id,
+      ssrc: report.ssrc,
+      kind: report.kind,
+      direction: 'outbound',
+      rid: report.rid,
+      codec: codec ? codec.mimeType : null,
+      bitrate: elapsed > 0 ? (8 * bytes) / elapsed : 0,
+      intervalPacketsSent: previous ? delta(report.packetsSent, previous.packetsSent) : 0,
+      framesPerSecond: report.framesPerSecond,
+      frameWidth: report.frameWidth,
+      frameHeight: report.frameHeight,
+      qualityLimitationReason: report.qualityLimitationReason,
+      // What the receiver reports back about this stream
+      remotePacketLossRate: remoteReport ? remoteReport.fractionLost : null,
+      remoteJitter: remoteReport ? remoteReport.jitter : null,
+      remoteRoundTripTime: remoteReport ? remoteReport.roundTripTime : null
+    };
+  }
+
+  /**
+   * Rate metrics against the configured thresholds
+   */
+  rateQuality(metrics) {
+    const meets = (limits) => (
+      metrics.packetLossRate <= limits.maxPacketLoss &&
+      metrics.jitter <= limits.maxJitter &&
+      metrics.mos >= limits.minMos &&
+      (metrics.roundTripTime === null || metrics.roundTripTime <= limits.maxRoundTripTime) &&
+      // Only judge bitrate when video is actually being received
+      (metrics.videoBitrate === null || metrics.videoBitrate >= limits.minVideoBitrate)
+    );
+
+    if (meets(this.thresholds.good)) return 'good';
+    if (meets(this.thresholds.fair)) return 'fair';
+    return 'poor';
+  }
+}
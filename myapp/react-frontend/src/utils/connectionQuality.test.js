@@ -0,0 +1,84 @@
+import { ConnectionQualityMonitor, estimateMos } from './connectionQuality';
+
+const report = (fields) => ({ timestamp: 0, ...fields });
+
+const statsAt = (timestamp, reports) => new Map(
+  reports.map(r => [r.id, { ...r, timestamp }])
+);
+
+const inboundVideo = (id, ssrc, bytesReceived, packetsReceived, packetsLost) => report({
+  id, ssrc, type: 'inbound-rtp', kind: 'video', bytesReceived, packetsReceived, packetsLost, jitter: 0.005
+});
+
+test('computes bitrate per stream when several videos are received', () => {
+  const monitor = new ConnectionQualityMonitor(null, () => {});
+
+  monitor.processStats(statsAt(1000, [
+    inboundVideo('a', 1, 0, 0, 0),
+    inboundVideo('b', 2, 0, 0, 0)
+  ]));
+  const { metrics } = monitor.processStats(statsAt(2000, [
+    inboundVideo('a', 1, 125000, 100, 0),
+    inboundVideo('b', 2, 25000, 100, 0)
+  ]));
+
+  expect(metrics.streams.map(s => s.bitrate)).toEqual([1000000, 200000]);
+  expect(metrics.bitrate).toBe(1200000);
+});
+
+test('measures packet loss over the interval, not since the call started', () => {
+  const monitor = new ConnectionQualityMonitor(null, () => {});
+
+  monitor.processStats(statsAt(1000, [inboundVideo('a', 1, 0, 900, 100)]));
+  const { metrics } = monitor.processStats(statsAt(2000, [inboundVideo('a', 1, 125000, 1000, 100)]));
+
+  expect(metrics.packetLossRate).toBe(0);
+});
+
+test('reads round trip time from the selected candidate pair', () => {
+  const monitor = new ConnectionQualityMonitor(null, () => {});
+  const { metrics } = monitor.processStats(statsAt(1000, [
+    report({ id: 't', type: 'transport', selectedCandidatePairId: 'p2' }),
+    report({ id: 'p1', type: 'candidate-pair', state: 'succeeded', currentRoundTripTime: 0.5 }),
+    report({ id: 'p2', type: 'candidate-pair', state: 'succeeded', currentRoundTripTime: 0.05 })
+  ]));
+
+  expect(metrics.roundTripTime).toBe(0.05);
+});
+
+test('uses configurable thresholds', () => {
+  const strict = new ConnectionQualityMonitor(null, () => {}, {
+    thresholds: { good: { minVideoBitrate: 2000000 } }
+  });
+
+  strict.processStats(statsAt(1000, [inboundVideo('a', 1, 0, 0, 0)]));
+  const { quality } = strict.processStats(statsAt(2000, [inboundVideo('a', 1, 125000, 100, 0)]));
+
+  expect(quality).toBe('fair');
+});
+
+test('leaves video out of the bitrate rating until it has an interval with decoded frames', () => {
+  const monitor = new ConnectionQualityMonitor(null, () => {});
+  const pausedVideo = (bytesReceived, framesDecoded) => ({ ...inboundVideo('a', 1, bytesReceived, 100, 0), framesDecoded });
+
+  const first = monitor.processStats(statsAt(1000, [pausedVideo(0, 50)]));
+  expect(first.metrics.videoBitrate).toBeNull();
+  expect(first.quality).toBe('good');
+
+  // Paused by the sender, nothing decoded since the last sample
+  const paused = monitor.processStats(statsAt(2000, [pausedVideo(0, 50)]));
+  expect(paused.metrics.videoBitrate).toBeNull();
+  expect(paused.quality).toBe('good');
+
+  const flowing = monitor.processStats(statsAt(3000, [pausedVideo(12500, 80)]));
+  expect(flowing.metrics.videoBitrate).toBe(100000);
+  expect(flowing.quality).toBe('fair');
+});
+
+test('estimates a lower MOS as loss and latency grow', () => {
+  const clean = estimateMos({ roundTripTime: 0.05, jitter: 0.005, packetLossRate: 0 });
+  const lossy = estimateMos({ roundTripTime: 0.3, jitter: 0.05, packetLossRate: 0.1 });
+
+  expect(clean).toBeGreaterThan(4);
+  expect(lossy).toBeLessThan(clean);
+});
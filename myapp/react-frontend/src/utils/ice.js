@@ -0,0 +1,127 @@
+// ICE candidate parsing and candidate policies
+
+// Candidate types in the order we prefer them
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay'];
+
+/**
+ * ICE Candidate Parsing
+ * Splits a candidate attribute (RFC 8839) into its fields, e.g.
+ * "candidate:1 1 udp 2122260223 192.168.1.2 54400 typ srflx raddr 10.0.0.1 rport 9 generation 0"
+ * Returns null for an empty candidate, which marks end-of-candidates.
+ */
+export const parseCandidate = (candidate) => {
+  const line = (typeof candidate === 'string' ? candidate : candidate?.candidate || '')
+    .trim()
+    .replace(/^a=/, '');
+
+  if (!line) return null;
+
+  const [foundation, component, protocol, priority, address, port, ...rest] = line.replace(/^candidate:/, '').split(/\s+/);
+
+  const parsed = {
+    foundation,
+    component: Number(component),
+    protocol: (protocol || '').toLowerCase(),
+    priority: Number(priority),
+    address,
+    port: Number(port),
+    type: null,
+    relatedAddress: null,
+    relatedPort: null,
+    tcpType: null,
+    networkId: null,
+    networkCost: null
+  };
+
+  // The rest are name/value pairs
+  for (let i = 0; i + 1 < rest.length; i += 2) {
+    const value = rest[i + 1];
+
+    switch (rest[i]) {
+      case 'typ': parsed.type = value; break;
+      case 'raddr': parsed.relatedAddress = value; break;
+      case 'rport': parsed.relatedPort = Number(value); break;
+      case 'tcptype': parsed.tcpType = value; break;
+      case 'network-id': parsed.networkId = Number(value); break;
+      case 'network-cost': parsed.networkCost = Number(value); break;
+      default: break;
+    }
+  }
+
+  parsed.addressFamily = getAddressFamily(address);
+
+  return parsed;
+};
+
+/**
+ * 'ipv4', 'ipv6' or 'mdns' for a candidate address that hides a host IP
+ */
+const getAddressFamily = (address = '') => {
+  if (address.endsWith('.local')) return 'mdns';
+  return address.includes(':') ? 'ipv6' : 'ipv4';
+};
+
+/**
+ * ICE Policies
+ * Named restrictions on which candidates are gathered, sent and accepted.
+ * Several can be combined, see resolveIcePolicy.
+ * - relay-only: only TURN relays, so peers never learn each other's addresses
+ * - no-host: no local interface addresses, server reflexive and relay still allowed
+ * - udp-only: no ICE-TCP candidates
+ * - tcp-allowed: ICE-TCP candidates are fine (the default)
+ */
+export const ICE_POLICIES = {
+  all: {},
+  'relay-only': { relayOnly: true },
+  'no-host': { allowHost: false },
+  'udp-only': { allowTcp: false },
+  'tcp-allowed': { allowTcp: true }
+};
+
+/**
+ * Combine policy names (or a comma separated string) into one policy.
+ * Restrictions add up: a candidate has to pass every named policy.
+ */
+export const resolveIcePolicy = (names = []) => {
+  const list = typeof names === 'string' ? names.split(',') : names;
+  const policy = { relayOnly: false, allowHost: true, allowTcp: true };
+
+  list.map(name => name.trim()).filter(Boolean).forEach(name => {
+    const restrictions = ICE_POLICIES[name];
+
+    if (!restrictions) {
+      console.warn(`Unknown ICE policy: ${name}`);
+      return;
+    }
+
+    policy.relayOnly = policy.relayOnly || !!restrictions.relayOnly;
+    policy.allowHost = policy.allowHost && restrictions.allowHost !== false;
+    policy.allowTcp = policy.allowTcp && restrictions.allowTcp !== false;
+  });
+
+  return policy;
+};
+
+/**
+ * iceTransportPolicy for RTCPeerConnection under a policy
+ */
+export const getIceTransportPolicy = (policy) => (policy.relayOnly ? 'relay' : 'all');
+
+/**
+ * Check a parsed candidate against a policy
+ */
+export const isCandidateAllowed = (parsed, policy) => {
+  if (!parsed) return true;
+  if (policy.relayOnly && parsed.type !== 'relay') return false;
+  if (!policy.allowHost && parsed.type === 'host') return false;
+  if (!policy.allowTcp && parsed.protocol === 'tcp') return false;
+  return true;
+};
+
+/**
+ * Sort rank of a candidate type, lower is preferred
+ */
+export const getCandidateTypeRank = (type) => {
+  const index = CANDIDATE_TYPES.indexOf(type);
+  return index === -1 ? CANDIDATE_TYPES.length : index;
+};
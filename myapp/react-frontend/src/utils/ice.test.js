@@ -0,0 +1,56 @@
+import { parseCandidate, resolveIcePolicy, isCandidateAllowed } from './ice';
+import { optimizeIceCandidates } from './signalingOptimizer';
+
+const HOST = 'candidate:1 1 udp 2122260223 192.168.1.20 54400 typ host generation 0 network-id 1 network-cost 10';
+const SRFLX = 'candidate:2 1 udp 1686052607 203.0.113.7 54400 typ srflx raddr 192.168.1.20 rport 54400 generation 0';
+const RELAY = 'candidate:3 1 udp 41885439 198.51.100.4 3478 typ relay raddr 203.0.113.7 rport 54400 generation 0';
+const TCP_HOST = 'candidate:4 1 tcp 1518280447 192.168.1.20 9 typ host tcptype active generation 0';
+const MDNS_HOST = 'candidate:5 1 udp 2122260223 3c2a-4f.local 54401 typ host generation 0';
+
+const init = (candidate) => ({ candidate, sdpMid: '0', sdpMLineIndex: 0 });
+
+test('parses type, protocol and network fields', () => {
+  expect(parseCandidate(HOST)).toMatchObject({
+    foundation: '1',
+    component: 1,
+    protocol: 'udp',
+    address: '192.168.1.20',
+    port: 54400,
+    type: 'host',
+    networkId: 1,
+    networkCost: 10,
+    addressFamily: 'ipv4'
+  });
+  expect(parseCandidate(`a=${TCP_HOST}`)).toMatchObject({ protocol: 'tcp', tcpType: 'active' });
+  expect(parseCandidate(MDNS_HOST).addressFamily).toBe('mdns');
+  expect(parseCandidate(init(''))).toBeNull();
+});
+
+test('reads the type from typ, not from related address text', () => {
+  // "host" never appears as the type here, only in the words around it
+  expect(parseCandidate(SRFLX)).toMatchObject({ type: 'srflx', relatedAddress: '192.168.1.20', relatedPort: 54400 });
+});
+
+test('combines policies so every restriction applies', () => {
+  const policy = resolveIcePolicy('no-host,udp-only');
+
+  expect(isCandidateAllowed(parseCandidate(HOST), policy)).toBe(false);
+  expect(isCandidateAllowed(parseCandidate(SRFLX), policy)).toBe(true);
+  expect(isCandidateAllowed(parseCandidate(RELAY), resolveIcePolicy(['relay-only']))).toBe(true);
+  expect(isCandidateAllowed(parseCandidate(SRFLX), resolveIcePolicy(['relay-only']))).toBe(false);
+  expect(isCandidateAllowed(parseCandidate(TCP_HOST), resolveIcePolicy(['udp-only']))).toBe(false);
+});
+
+test('optimizes a list of candidates', () => {
+  const endOfCandidates = init('');
+  const optimized = optimizeIceCandidates([
+    init(RELAY),
+    endOfCandidates,
+    init(TCP_HOST),
+    init(SRFLX),
+    init(HOST),
+    init(HOST)
+  ], resolveIcePolicy(['udp-only']));
+
+  expect(optimized.map(c => c.candidate)).toEqual([HOST, SRFLX, RELAY, '']);
+});
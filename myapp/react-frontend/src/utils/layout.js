@@ -0,0 +1,190 @@
+// Video tile layout for any number of participants
+
+/**
+ * Layout Modes
+ * - grid: everyone the same size
+ * - speaker: one featured tile on top, a row of small tiles below
+ * - sidebar: one featured tile on the left, a column of small tiles on the right
+ */
+export const LAYOUT_MODES = ['grid', 'speaker', 'sidebar'];
+
+export const DEFAULT_LAYOUT_OPTIONS = {
+  aspectRatio: 16 / 9,
+  gap: 8,
+  minTileWidth: 160, // Tiles never get smaller, extra participants go to the next page
+  maxTiles: 25, // Most tiles on one page, however big the screen
+  stripFraction: 0.2, // Share of the height for the row in speaker mode
+  sidebarFraction: 0.22 // Share of the width for the column in sidebar mode
+};
+
+/**
+ * Biggest tiles with the given aspect ratio that fit `count` tiles in an area
+ * Returns { columns, rows, tileWidth, tileHeight }
+ */
+export const fitGrid = (count, width, height, aspectRatio = DEFAULT_LAYOUT_OPTIONS.aspectRatio, gap = DEFAULT_LAYOUT_OPTIONS.gap) => {
+  let best = { columns: 0, rows: 0, tileWidth: 0, tileHeight: 0 };
+
+  for (let columns = 1; columns <= count; columns++) {
+    const rows = Math.ceil(count / columns);
+    const tileWidth = Math.min(
+      (width - gap * (columns - 1)) / columns,
+      ((height - gap * (rows - 1)) / rows) * aspectRatio
+    );
+
+    if (tileWidth > best.tileWidth) {
+      best = { columns, rows, tileWidth, tileHeight: tileWidth / aspectRatio };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Position tiles in a grid centered in an area, with a short last row centered too
+ */
+const placeGrid = (ids, area, options) => {
+  if (ids.length === 0) return [];
+
+  const { aspectRatio, gap } = options;
+  const { columns, rows, tileWidth, tileHeight } = fitGrid(ids.length, area.width, area.height, aspectRatio, gap);
+  const top = area.y + (area.height - (rows * tileHeight + (rows - 1) * gap)) / 2;
+
+  return ids.map((id, index) => {
+    const row = Math.floor(index / columns);
+    const inRow = Math.min(columns, ids.length - row * columns);
+    const left = area.x + (area.width - (inRow * tileWidth + (inRow - 1) * gap)) / 2;
+
+    return {
+      id,
+      x: left + (index % columns) * (tileWidth + gap),
+      y: top + row * (tileHeight + gap),
+      width: tileWidth,
+      height: tileHeight,
+      featured: false
+    };
+  });
+};
+
+/**
+ * How many tiles of at least minTileWidth fit in an area
+ */
+const getGridCapacity = (area, options) => {
+  let capacity = 1;
+
+  while (
+    capacity < options.maxTiles &&
+    fitGrid(capacity + 1, area.width, area.height, options.aspectRatio, options.gap).tileWidth >= options.minTileWidth
+  ) {
+    capacity++;
+  }
+
+  return capacity;
+};
+
+/**
+ * Participant shown large in speaker and sidebar modes
+ */
+const getFeatured = (ids, { spotlight, activeSpeaker, pinned }) => (
+  [spotlight, activeSpeaker, ...pinned, ids[0]].find(id => id !== null && id !== undefined && ids.includes(id))
+);
+
+/**
+ * Layout
+ * Places participant tiles in an area of `width` by `height` pixels.
+ * `pinned` participants come first and so stay on the first page.
+ * A `spotlight` participant is featured instead of the active speaker, and
+ * turns grid mode into speaker mode. Participants that don't fit are
+ * paginated, `page` is clamped to the pages there are.
+ * Returns { mode, tiles: [{ id, x, y, width, height, featured }], page, pageCount, hidden, width, height }
+ * where `hidden` lists the participants not on screen.
+ */
+export const computeLayout = (ids, width, height, layoutOptions = {}) => {
+  const options = { ...DEFAULT_LAYOUT_OPTIONS, ...layoutOptions };
+  const pinned = (options.pinned || []).filter(id => ids.includes(id));
+  const spotlight = ids.includes(options.spotlight) ? options.spotlight : null;
+  const activeSpeaker = options.activeSpeaker || null;
+
+  let mode = LAYOUT_MODES.includes(options.mode) ? options.mode : 'grid';
+
+  if (mode === 'grid' && spotlight) {
+    mode = 'speaker';
+  }
+
+  // Featured modes need someone to feature and someone else to show beside them
+  if (mode !== 'grid' && ids.length < 2) {
+    mode = 'grid';
+  }
+
+  const featured = mode === 'grid' ? null : getFeatured(ids, { spotlight, activeSpeaker, pinned });
+  const ordered = [...pinned, ...ids.filter(id => !pinned.includes(id))].filter(id => id !== featured);
+
+  const { gap } = options;
+  let stage = null;
+  let area = { x: 0, y: 0, width, height };
+  let capacity;
+
+  if (mode === 'speaker') {
+    const stripHeight = height * options.stripFraction;
+    stage = { x: 0, y: 0, width, height: height - stripHeight - gap };
+    area = { x: 0, y: height - stripHeight, width, height: stripHeight };
+    capacity = Math.max(1, Math.floor((width + gap) / (stripHeight * options.aspectRatio + gap)));
+  } else if (mode === 'sidebar') {
+    const sidebarWidth = width * options.sidebarFraction;
+    stage = { x: 0, y: 0, width: width - sidebarWidth - gap, height };
+    area = { x: width - sidebarWidth, y: 0, width: sidebarWidth, height };
+    capacity = Math.max(1, Math.floor((height + gap) / (sidebarWidth / options.aspectRatio + gap)));
+  } else {
+    capacity = getGridCapacity(area, options);
+  }
+
+  const pageCount = Math.max(1, Math.ceil(ordered.length / capacity));
+  const page = Math.min(Math.max(0, options.page || 0), pageCount - 1);
+  const onPage = ordered.slice(page * capacity, (page + 1) * capacity);
+
+  // Within capacity the best fit for a strip is one row, and for a sidebar one column
+  const tiles = placeGrid(onPage, area, options);
+
+  if (featured) {
+    const [featuredTile] = placeGrid([featured], stage, options);
+    tiles.unshift({ ...featuredTile, featured: true });
+  }
+
+  const visible = new Set(tiles.map(tile => tile.id));
+
+  return {
+    mode,
+    tiles,
+    page,
+    pageCount,
+    hidden: ids.filter(id => !visible.has(id)),
+    width,
+    height
+  };
+};
+
+/**
+ * Fit a computed layout into an area of another size, e.g. a recording,
+ * keeping its proportions and centering it
+ */
+export const scaleLayout = (layout, width, height) => {
+  const scale = Math.min(width / layout.width, height / layout.height);
+  const offsetX = (width - layout.width * scale) / 2;
+  const offsetY = (height - layout.height * scale) / 2;
+
+  return layout.tiles.map(tile => ({
+    ...tile,
+    x: offsetX + tile.x * scale,
+    y: offsetY + tile.y * scale,
+    width: tile.width * scale,
+    height: tile.height * scale
+  }));
+};
+
+/**
+ * Simulcast layer that matches a tile's size, see SIMULCAST_LAYERS
+ */
+export const getLayerForTile = (tile) => {
+  if (tile.width >= 640) return 'high';
+  if (tile.width >= 320) return 'medium';
+  return 'low';
+};
@@ -0,0 +1,98 @@
+import { computeLayout, fitGrid, scaleLayout } from './layout';
+
+const ids = (count) => Array.from({ length: count }, (_, i) => `p${i + 1}`);
+
+test('fits tiles into the grid that makes them biggest', () => {
+  expect(fitGrid(1, 1600, 900)).toMatchObject({ columns: 1, rows: 1, tileWidth: 1600 });
+  expect(fitGrid(4, 1600, 900, 16 / 9, 0)).toMatchObject({ columns: 2, rows: 2, tileWidth: 800 });
+  // A tall area stacks tiles instead
+  expect(fitGrid(3, 400, 1200, 16 / 9, 0)).toMatchObject({ columns: 1, rows: 3 });
+});
+
+test('tiles stay inside the area and do not overlap', () => {
+  const { tiles } = computeLayout(ids(7), 1280, 720);
+
+  expect(tiles).toHaveLength(7);
+  tiles.forEach(tile => {
+    expect(tile.x).toBeGreaterThanOrEqual(0);
+    expect(tile.y).toBeGreaterThanOrEqual(0);
+    expect(tile.x + tile.width).toBeLessThanOrEqual(1280.001);
+    expect(tile.y + tile.height).toBeLessThanOrEqual(720.001);
+  });
+
+  for (let i = 0; i < tiles.length; i++) {
+    for (let j = i + 1; j < tiles.length; j++) {
+      const [a, b] = [tiles[i], tiles[j]];
+      const overlap = a.x < b.x + b.width - 0.001 && b.x < a.x + a.width - 0.001 &&
+        a.y < b.y + b.height - 0.001 && b.y < a.y + a.height - 0.001;
+      expect(overlap).toBe(false);
+    }
+  }
+});
+
+test('paginates once tiles would get too small', () => {
+  const layout = computeLayout(ids(40), 1280, 720, { minTileWidth: 200 });
+
+  expect(layout.pageCount).toBeGreaterThan(1);
+  expect(layout.tiles.every(tile => tile.width >= 200)).toBe(true);
+  expect(layout.tiles.length + layout.hidden.length).toBe(40);
+
+  const last = computeLayout(ids(40), 1280, 720, { minTileWidth: 200, page: 99 });
+  expect(last.page).toBe(last.pageCount - 1);
+  expect(last.hidden).toContain('p1');
+});
+
+test('pinned participants stay on the first page', () => {
+  const layout = computeLayout(ids(40), 1280, 720, { minTileWidth: 200, pinned: ['p40'] });
+
+  expect(layout.tiles[0].id).toBe('p40');
+  expect(layout.hidden).not.toContain('p40');
+});
+
+test('speaker mode features the active speaker above a row of tiles', () => {
+  const { mode, tiles } = computeLayout(ids(4), 1280, 720, { mode: 'speaker', activeSpeaker: 'p3' });
+  const [featured, ...rest] = tiles;
+
+  expect(mode).toBe('speaker');
+  expect(featured).toMatchObject({ id: 'p3', featured: true });
+  expect(rest.map(tile => tile.id)).toEqual(['p1', 'p2', 'p4']);
+  rest.forEach(tile => {
+    expect(tile.y).toBeGreaterThan(featured.y + featured.height);
+    expect(tile.y).toBe(rest[0].y);
+  });
+});
+
+test('sidebar mode puts the other tiles in a column on the right', () => {
+  const { tiles } = computeLayout(ids(4), 1280, 720, { mode: 'sidebar' });
+  const [featured, ...rest] = tiles;
+
+  expect(featured.id).toBe('p1');
+  rest.forEach(tile => {
+    expect(tile.x).toBeGreaterThan(featured.x + featured.width);
+    expect(tile.x).toBe(rest[0].x);
+  });
+});
+
+test('a spotlight wins over the active speaker and turns grid into speaker mode', () => {
+  const layout = computeLayout(ids(4), 1280, 720, { spotlight: 'p2', activeSpeaker: 'p3' });
+
+  expect(layout.mode).toBe('speaker');
+  expect(layout.tiles[0]).toMatchObject({ id: 'p2', featured: true });
+});
+
+test('featured modes fall back to grid for a single participant', () => {
+  const layout = computeLayout(ids(1), 1280, 720, { mode: 'sidebar' });
+
+  expect(layout.mode).toBe('grid');
+  expect(layout.tiles).toHaveLength(1);
+  expect(computeLayout([], 1280, 720).tiles).toEqual([]);
+});
+
+test('scales a layout into another area, centered', () => {
+  const layout = computeLayout(ids(2), 1280, 360, { gap: 0 });
+  const [first, second] = scaleLayout(layout, 2560, 1080);
+
+  // Twice the size, with the extra height split above and below
+  expect(first).toMatchObject({ id: 'p1', x: 0, y: 180, width: 1280, height: 720 });
+  expect(second).toMatchObject({ id: 'p2', x: 1280, y: 180, width: 1280, height: 720 });
+});
@@ -0,0 +1,119 @@
+// Named capture and encoding settings for outgoing video
+
+/**
+ * Media Profiles
+ * Each profile sets capture constraints, the bitrate and frame rate of the
+ * top simulcast layer, and the track's contentHint together. Camera profiles
+ * apply to the camera, screen profiles to screen sharing.
+ */
+export const MEDIA_PROFILES = {
+  'low-data': {
+    label: 'Data saver',
+    source: 'camera',
+    constraints: {
+      width: { ideal: 640, max: 640 },
+      height: { ideal: 360, max: 360 },
+      frameRate: { ideal: 15, max: 15 }
+    },
+    encoding: { maxBitrate: 250000, maxFramerate: 15 },
+    contentHint: 'motion'
+  },
+  standard: {
+    label: 'Standard',
+    source: 'camera',
+    constraints: {
+      width: { ideal: 1280, max: 1280 },
+      height: { ideal: 720, max: 720 },
+      frameRate: { ideal: 30, max: 30 }
+    },
+    encoding: { maxBitrate: 1000000, maxFramerate: 30 },
+    contentHint: 'motion'
+  },
+  hd: {
+    label: 'HD',
+    source: 'camera',
+    constraints: {
+      width: { ideal: 1920, max: 1920 },
+      height: { ideal: 1080, max: 1080 },
+      frameRate: { ideal: 30, max: 30 }
+    },
+    encoding: { maxBitrate: 2500000, maxFramerate: 30 },
+    contentHint: 'motion'
+  },
+  'screen-text': {
+    label: 'Text and slides',
+    source: 'screen',
+    constraints: {
+      width: { max: 1920 },
+      height: { max: 1080 },
+      frameRate: { ideal: 5, max: 15 }
+    },
+    // Keep text sharp and let the frame rate drop instead
+    encoding: { maxBitrate: 1500000, maxFramerate: 15, degradationPreference: 'maintain-resolution' },
+    contentHint: 'text'
+  },
+  'screen-motion': {
+    label: 'Video and animation',
+    source: 'screen',
+    constraints: {
+      width: { max: 1920 },
+      height: { max: 1080 },
+      frameRate: { ideal: 30, max: 30 }
+    },
+    encoding: { maxBitrate: 2500000, maxFramerate: 30, degradationPreference: 'maintain-framerate' },
+    contentHint: 'motion'
+  }
+};
+
+export const DEFAULT_MEDIA_PROFILES = {
+  camera: 'standard',
+  screen: 'screen-text'
+};
+
+// localStorage key the chosen profiles are kept under
+const STORAGE_KEY = 'mediaProfiles';
+
+/**
+ * Profile names for a source ('camera' or 'screen'), in display order
+ */
+export const getProfilesForSource = (source) => (
+  Object.keys(MEDIA_PROFILES).filter(name => MEDIA_PROFILES[name].source === source)
+);
+
+/**
+ * Look up a profile by name, falling back to the standard camera profile
+ */
+export const getMediaProfile = (name) => MEDIA_PROFILES[name] || MEDIA_PROFILES[DEFAULT_MEDIA_PROFILES.camera];
+
+/**
+ * Profiles chosen in an earlier session, e.g. { camera: 'hd', screen: 'screen-text' }
+ */
+export const loadMediaProfiles = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    const valid = (source) => getProfilesForSource(source).includes(saved[source]);
+
+    return {
+      camera: valid('camera') ? saved.camera : DEFAULT_MEDIA_PROFILES.camera,
+      screen: valid('screen') ? saved.screen : DEFAULT_MEDIA_PROFILES.screen
+    };
+  } catch (error) {
+    // Storage can be disabled or hold something unreadable
+    return { ...DEFAULT_MEDIA_PROFILES };
+  }
+};
+
+/**
+ * Remember the chosen profile for a source across sessions
+ */
+export const saveMediaProfile = (source, name) => {
+  const profiles = { ...loadMediaProfiles(), [source]: name };
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  } catch (error) {
+    console.warn('Could not save media profile:', error);
+  }
+
+  return profiles;
+};
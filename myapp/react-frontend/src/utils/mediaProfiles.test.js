@@ -0,0 +1,22 @@
+import { DEFAULT_MEDIA_PROFILES, loadMediaProfiles, saveMediaProfile } from './mediaProfiles';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('falls back to the defaults when nothing was saved', () => {
+  expect(loadMediaProfiles()).toEqual(DEFAULT_MEDIA_PROFILES);
+});
+
+test('keeps the chosen profile per source across loads', () => {
+  saveMediaProfile('camera', 'hd');
+  saveMediaProfile('screen', 'screen-motion');
+
+  expect(loadMediaProfiles()).toEqual({ camera: 'hd', screen: 'screen-motion' });
+});
+
+test('ignores saved profiles that do not fit their source', () => {
+  window.localStorage.setItem('mediaProfiles', JSON.stringify({ camera: 'screen-text', screen: 'missing' }));
+
+  expect(loadMediaProfiles()).toEqual(DEFAULT_MEDIA_PROFILES);
+});
@@ -0,0 +1,266 @@
+// SDP parsing and rewriting utilities
+
+/**
+ * SDP Parser
+ * Splits a session description into session-level lines and media sections.
+ * Lines are kept verbatim, so serializeSdp(parseSdp(sdp)) === sdp for
+ * well-formed input.
+ */
+export const parseSdp = (sdp) => {
+  const lines = sdp.split(/\r?\n/).filter(line => line.length > 0);
+  const parsed = { session: [], media: [] };
+
+  lines.forEach(line => {
+    if (line.startsWith('m=')) {
+      const [kind, port, protocol, ...formats] = line.slice(2).split(' ');
+      parsed.media.push({ kind, port, protocol, formats, lines: [] });
+    } else if (parsed.media.length > 0) {
+      parsed.media[parsed.media.length - 1].lines.push(line);
+    } else {
+      parsed.session.push(line);
+    }
+  });
+
+  return parsed;
+};
+
+/**
+ * SDP Serializer
+ * Turns the output of parseSdp back into a session description
+ */
+export const serializeSdp = (parsed) => {
+  const lines = [...parsed.session];
+
+  parsed.media.forEach(section => {
+    lines.push(`m=${[section.kind, section.port, section.protocol, ...section.formats].join(' ')}`);
+    lines.push(...section.lines);
+  });
+
+  return lines.map(line => `${line}\r\n`).join('');
+};
+
+/**
+ * Read the value of the first `a=<name>:` attribute in a list of lines
+ */
+const getAttribute = (lines, name) => {
+  const line = lines.find(l => l.startsWith(`a=${name}:`));
+  return line ? line.slice(name.length + 3) : null;
+};
+
+/**
+ * Read the value of an `a=<name>:<payloadType> ` attribute
+ */
+const getPayloadAttribute = (lines, name, payloadType) => {
+  const prefix = `a=${name}:${payloadType} `;
+  const line = lines.find(l => l.startsWith(prefix));
+  return line ? line.slice(prefix.length) : null;
+};
+
+/**
+ * List the codecs of a media section
+ * Each entry has payloadType, name, clockRate, channels and fmtp parameters
+ */
+export const getCodecs = (section) => section.formats.map(payloadType => {
+  const rtpmap = getPayloadAttribute(section.lines, 'rtpmap', payloadType);
+  const fmtp = getPayloadAttribute(section.lines, 'fmtp', payloadType);
+  const [name = '', clockRate, channels] = rtpmap ? rtpmap.split('/') : [];
+
+  return {
+    payloadType,
+    name,
+    clockRate: clockRate ? Number(clockRate) : null,
+    channels: channels ? Number(channels) : null,
+    fmtp: parseFmtp(fmtp)
+  };
+});
+
+/**
+ * Parse "key=value;key=value" fmtp parameters into an object
+ */
+export const parseFmtp = (fmtp) => {
+  const parameters = {};
+
+  if (!fmtp) return parameters;
+
+  fmtp.split(';').forEach(pair => {
+    const [key, ...value] = pair.trim().split('=');
+
+    if (key) {
+      parameters[key] = value.join('=');
+    }
+  });
+
+  return parameters;
+};
+
+/**
+ * Turn an object back into "key=value;key=value" fmtp parameters
+ */
+const serializeFmtp = (parameters) => Object.entries(parameters)
+  .map(([key, value]) => (value === '' ? key : `${key}=${value}`))
+  .join(';');
+
+/**
+ * Whether a media section matches a kind filter (null matches everything)
+ */
+const matchesKind = (section, kind) => !kind || section.kind === kind;
+
+/**
+ * Media Directions
+ * Negotiated direction of every m-line, e.g. [{ mid: '0', kind: 'audio', direction: 'sendrecv' }]
+ */
+export const getMediaDirections = (sdp) => {
+  const parsed = parseSdp(sdp);
+  const directions = ['sendrecv', 'sendonly', 'recvonly', 'inactive'];
+  const sessionDirection = parsed.session.map(line => line.slice(2)).find(a => directions.includes(a));
+
+  return parsed.media.map(section => {
+    const direction = section.lines.map(line => line.slice(2)).find(a => directions.includes(a));
+
+    return {
+      mid: getAttribute(section.lines, 'mid'),
+      kind: section.kind,
+      // A rejected m-line has port 0
+      direction: section.port === '0' ? 'inactive' : (direction || sessionDirection || 'sendrecv')
+    };
+  });
+};
+
+/**
+ * DTLS Fingerprint
+ * Certificate fingerprint of a description, e.g. 'sha-256 7B:8B:...'.
+ * It only changes when the other side starts a new peer connection.
+ */
+export const getFingerprint = (sdp) => {
+  const parsed = parseSdp(sdp);
+  const sessionFingerprint = getAttribute(parsed.session, 'fingerprint');
+
+  if (sessionFingerprint) return sessionFingerprint;
+
+  const section = parsed.media.find(m => getAttribute(m.lines, 'fingerprint'));
+  return section ? getAttribute(section.lines, 'fingerprint') : null;
+};
+
+/**
+ * Bandwidth Cap
+ * Sets b=AS (kbps) and b=TIAS (bps) on the media sections of a kind
+ */
+export const setBandwidth = (sdp, kind, kbps) => {
+  const parsed = parseSdp(sdp);
+
+  parsed.media.filter(section => matchesKind(section, kind)).forEach(section => {
+    const lines = section.lines.filter(line => !line.startsWith('b=AS:') && !line.startsWith('b=TIAS:'));
+
+    // b= lines go after any i= and c= lines and before everything else
+    let insertAt = 0;
+    while (insertAt < lines.length && /^[ic]=/.test(lines[insertAt])) {
+      insertAt++;
+    }
+
+    lines.splice(insertAt, 0, `b=AS:${kbps}`, `b=TIAS:${kbps * 1000}`);
+    section.lines = lines;
+  });
+
+  return serializeSdp(parsed);
+};
+
+/**
+ * Opus Parameters
+ * Merges fmtp parameters into every Opus payload, for example
+ * { stereo: 1, useinbandfec: 1, usedtx: 1, maxaveragebitrate: 64000 }
+ */
+export const setOpusParameters = (sdp, parameters) => {
+  const parsed = parseSdp(sdp);
+
+  parsed.media.filter(section => section.kind === 'audio').forEach(section => {
+    getCodecs(section)
+      .filter(codec => codec.name.toLowerCase() === 'opus')
+      .forEach(codec => {
+        const fmtp = serializeFmtp({ ...codec.fmtp, ...parameters });
+        const prefix = `a=fmtp:${codec.payloadType} `;
+        const index = section.lines.findIndex(line => line.startsWith(prefix));
+
+        if (index !== -1) {
+          section.lines[index] = prefix + fmtp;
+        } else {
+          const rtpmapIndex = section.lines.findIndex(line => line.startsWith(`a=rtpmap:${codec.payloadType} `));
+          section.lines.splice(rtpmapIndex + 1, 0, prefix + fmtp);
+        }
+      });
+  });
+
+  return serializeSdp(parsed);
+};
+
+/**
+ * Codec Removal
+ * Drops codecs by name from the media sections of a kind, together with
+ * the RTX payloads that protect them. Sections are never left without a codec.
+ */
+export const removeCodecs = (sdp, kind, names) => {
+  const parsed = parseSdp(sdp);
+  const unwanted = names.map(name => name.toLowerCase());
+
+  parsed.media.filter(section => matchesKind(section, kind)).forEach(section => {
+    const codecs = getCodecs(section);
+    const removed = new Set(codecs
+      .filter(codec => unwanted.includes(codec.name.toLowerCase()))
+      .map(codec => codec.payloadType));
+
+    // RTX payloads point at the codec they repeat through apt=
+    codecs
+      .filter(codec => codec.name.toLowerCase() === 'rtx' && removed.has(codec.fmtp.apt))
+      .forEach(codec => removed.add(codec.payloadType));
+
+    const remaining = section.formats.filter(payloadType => !removed.has(payloadType));
+
+    if (remaining.length === 0) return;
+
+    section.formats = remaining;
+    section.lines = section.lines.filter(line => {
+      const match = line.match(/^a=(?:rtpmap|fmtp|rtcp-fb):(\d+)/);
+      return !match || !removed.has(match[1]);
+    });
+  });
+
+  return serializeSdp(parsed);
+};
+
+/**
+ * Codec Reordering
+ * Moves the preferred codecs (by name) to the front of the m-lines of a kind,
+ * keeping everything else in its original order behind them
+ */
+export const reorderCodecs = (sdp, kind, preferredNames) => {
+  const parsed = parseSdp(sdp);
+  const preferred = preferredNames.map(name => name.toLowerCase());
+  const rank = (codec) => {
+    const index = preferred.indexOf(codec.name.toLowerCase());
+    return index === -1 ? preferred.length : index;
+  };
+
+  parsed.media.filter(section => matchesKind(section, kind)).forEach(section => {
+    section.formats = getCodecs(section)
+      .map((codec, index) => ({ codec, index }))
+      .sort((a, b) => rank(a.codec) - rank(b.codec) || a.index - b.index)
+      .map(({ codec }) => codec.payloadType);
+  });
+
+  return serializeSdp(parsed);
+};
+
+/**
+ * Header Extension Removal
+ * Drops RTP header extensions by URI, at session and media level
+ */
+export const removeExtensions = (sdp, uris) => {
+  const parsed = parseSdp(sdp);
+  const keep = (line) => !(line.startsWith('a=extmap:') && uris.includes(line.split(' ')[1]));
+
+  parsed.session = parsed.session.filter(keep);
+  parsed.media.forEach(section => {
+    section.lines = section.lines.filter(keep);
+  });
+
+  return serializeSdp(parsed);
+};
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  parseSdp,
+  serializeSdp,
+  getCodecs,
+  getMediaDirections,
+  getFingerprint,
+  setBandwidth,
+  setOpusParameters,
+  removeCodecs,
+  reorderCodecs,
+  removeExtensions
+} from './sdp';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+const fixtures = {
+  chrome: readFixture('chrome-offer.sdp'),
+  firefox: readFixture('firefox-offer.sdp')
+};
+
+const section = (sdp, kind) => parseSdp(sdp).media.find(m => m.kind === kind);
+
+describe.each(Object.entries(fixtures))('%s offer', (browser, sdp) => {
+  test('round-trips unchanged', () => {
+    expect(serializeSdp(parseSdp(sdp))).toBe(sdp);
+  });
+
+  test('splits audio, video and data sections', () => {
+    expect(parseSdp(sdp).media.map(m => m.kind)).toEqual(['audio', 'video', 'application']);
+  });
+
+  test('caps bandwidth right after the c= line', () => {
+    const lines = section(setBandwidth(sdp, 'video', 800), 'video').lines;
+
+    expect(lines.slice(0, 3)).toEqual(['c=IN IP4 0.0.0.0', 'b=AS:800', 'b=TIAS:800000']);
+    expect(section(setBandwidth(sdp, 'video', 800), 'audio').lines).not.toContain('b=AS:800');
+  });
+
+  test('replaces an existing bandwidth cap', () => {
+    const capped = setBandwidth(setBandwidth(sdp, null, 800), null, 300);
+
+    expect(capped).not.toContain('b=AS:800');
+    expect(capped.match(/b=AS:300/g)).toHaveLength(3);
+  });
+
+  test('merges Opus parameters', () => {
+    const updated = setOpusParameters(sdp, { stereo: 1, usedtx: 1, maxaveragebitrate: 64000 });
+    const opus = getCodecs(section(updated, 'audio')).find(c => c.name === 'opus');
+
+    expect(opus.fmtp).toMatchObject({
+      useinbandfec: '1',
+      stereo: '1',
+      usedtx: '1',
+      maxaveragebitrate: '64000'
+    });
+  });
+
+  test('removes codecs along with their RTX payloads', () => {
+    const video = section(removeCodecs(sdp, 'video', ['H264']), 'video');
+    const names = getCodecs(video).map(c => c.name);
+
+    expect(names).not.toContain('H264');
+    expect(names).toContain('VP8');
+    expect(getCodecs(video).filter(c => c.name === 'rtx').every(c => video.formats.includes(c.fmtp.apt)))
+      .toBe(true);
+    expect(video.lines.some(line => /^a=(rtpmap|fmtp|rtcp-fb):(\d+)/.test(line) &&
+      !video.formats.includes(line.match(/:(\d+)/)[1]))).toBe(false);
+  });
+
+  test('moves preferred codecs to the front', () => {
+    const video = section(reorderCodecs(sdp, 'video', ['VP9', 'H264']), 'video');
+    const names = getCodecs(video).map(c => c.name);
+
+    expect(names[0]).toBe('VP9');
+    expect(names.indexOf('H264')).toBeLessThan(names.indexOf('VP8'));
+    expect(video.formats.slice().sort()).toEqual(section(sdp, 'video').formats.slice().sort());
+  });
+
+  test('removes header extensions by URI', () => {
+    const uri = 'http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time';
+    const stripped = removeExtensions(sdp, [uri]);
+
+    expect(stripped).not.toContain(uri);
+    expect(stripped).toContain('urn:ietf:params:rtp-hdrext:sdes:mid');
+  });
+});
+
+test('reports the negotiated direction per m-line', () => {
+  expect(getMediaDirections(fixtures.chrome)).toEqual([
+    { mid: '0', kind: 'audio', direction: 'sendonly' },
+    { mid: '1', kind: 'video', direction: 'sendonly' },
+    { mid: '2', kind: 'application', direction: 'sendrecv' }
+  ]);
+
+  expect(getMediaDirections(fixtures.firefox).map(m => m.direction))
+    .toEqual(['sendrecv', 'sendrecv', 'sendrecv']);
+});
+
+test('treats rejected m-lines as inactive', () => {
+  const rejected = fixtures.chrome.replace('m=video 9 ', 'm=video 0 ');
+
+  expect(getMediaDirections(rejected)[1].direction).toBe('inactive');
+});
+
+test('reads the DTLS fingerprint from the session or the first media section', () => {
+  expect(getFingerprint(fixtures.firefox)).toBe('sha-256 41:5C:2E:7D:5A:0E:8B:9F:A4:C1:53:0D:7E:26:3B:48:9A:66:E2:0F:11:D4:8C:72:B3:5A:E9:01:6C:4D:93:2F');
+  expect(getFingerprint(fixtures.chrome)).toMatch(/^sha-256 7B:8B:F0/);
+});
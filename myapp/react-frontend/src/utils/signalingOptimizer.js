@@ -1,202 +1,360 @@
 // Signaling optimization utilities for WebRTC
+import { getMediaProfile } from './mediaProfiles';
+import { parseCandidate, isCandidateAllowed, getCandidateTypeRank, resolveIcePolicy } from './ice';
+
+// Quality monitoring lives in its own module, re-exported here for existing imports
+export { ConnectionQualityMonitor, DEFAULT_QUALITY_THRESHOLDS, getNegotiatedCodecs } from './connectionQuality';
 
 /**
  * ICE Candidate Optimization
- * Filters and prioritizes ICE candidates for better connection establishment
+ * Drops candidates the policy rules out and duplicates, then orders the rest
+ * by type (host > srflx > prflx > relay) and priority. Accepts RTCIceCandidate
+ * objects or their JSON form. End-of-candidates markers are kept, last.
  */
-export const optimizeIceCandidates = (candidates) => {
-  // Filter out duplicate candidates
-  const uniqueCandidates = candidates.filter((candidate, index, self) => 
-    index === self.findIndex((c) => (
-      c.candidate === candidate.candidate && 
-      c.sdpMid === candidate.sdpMid
-    ))
-  );
-  
-  // Prioritize candidates by type (host > srflx > relay)
-  return uniqueCandidates.sort((a, b) => {
-    const getPriority = (candidate) => {
-      if (candidate.includes('host')) return 3;
-      if (candidate.includes('srflx')) return 2;
-      if (candidate.includes('relay')) return 1;
-      return 0;
-    };
-    
-    return getPriority(b.candidate) - getPriority(a.candidate);
-  });
-};
+export const optimizeIceCandidates = (candidates, policy = resolveIcePolicy()) => {
+  const seen = new Set();
+  const endMarkers = [];
+  const entries = [];
 
-/**
- * Connection Quality Monitor
- * Monitors WebRTC connection quality and provides feedback
- */
-export class ConnectionQualityMonitor {
-  constructor(peerConnection, onQualityChange) {
-    this.peerConnection = peerConnection;
-    this.onQualityChange = onQualityChange;
-    this.statsInterval = null;
-    this.lastBitrate = 0;
-    this.lastTimestamp = 0;
-  }
-  
-  startMonitoring(intervalMs = 1000) {
-    this.statsInterval = setInterval(() => {
-      this.peerConnection.getStats().then(stats => {
-        let totalBitrate = 0;
-        let packetsLost = 0;
-        let totalPackets = 0;
-        
-        stats.forEach(report => {
-          if (report.type === 'inbound-rtp' && report.kind === 'video') {
-            const now = report.timestamp;
-            const bytes = report.bytesReceived;
-            
-            if (this.lastTimestamp) {
-              const bitrate = 8 * (bytes - this.lastBitrate) / (now - this.lastTimestamp);
-              totalBitrate += bitrate;
-            }
-            
-            this.lastBitrate = bytes;
-            this.lastTimestamp = now;
-            
-            if (report.packetsLost !== undefined) {
-              packetsLost += report.packetsLost;
-              totalPackets += report.packetsReceived + report.packetsLost;
-            }
-          }
-        });
-        
-        // Calculate quality metrics
-        const packetLossRate = totalPackets > 0 ? packetsLost / totalPackets : 0;
-        let quality = 'good';
-        
-        if (totalBitrate < 100000) { // Less than 100 kbps
-          quality = 'poor';
-        } else if (totalBitrate < 500000) { // Less than 500 kbps
-          quality = 'fair';
-        }
-        
-        if (packetLossRate > 0.05) { // More than 5% packet loss
-          quality = 'poor';
-        } else if (packetLossRate > 0.01) { // More than 1% packet loss
-          quality = 'fair';
-        }
-        
-        this.onQualityChange(quality, {
-          bitrate: totalBitrate,
-          packetLossRate,
-          timestamp: Date.now()
-        });
-      });
-    }, intervalMs);
-  }
-  
-  stopMonitoring() {
-    if (this.statsInterval) {
-      clearInterval(this.statsInterval);
-      this.statsInterval = null;
+  candidates.forEach(candidate => {
+    const parsed = parseCandidate(candidate);
+
+    if (!parsed) {
+      endMarkers.push(candidate);
+      return;
     }
-  }
-}
+
+    if (!isCandidateAllowed(parsed, policy)) return;
+
+    // The same transport address can be signaled more than once
+    const key = [candidate.sdpMid, parsed.component, parsed.protocol, parsed.address, parsed.port, parsed.type].join(' ');
+
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    entries.push({ candidate, parsed });
+  });
+
+  const sorted = entries
+    .sort((a, b) => (
+      getCandidateTypeRank(a.parsed.type) - getCandidateTypeRank(b.parsed.type) ||
+      b.parsed.priority - a.parsed.priority
+    ))
+    .map(({ candidate }) => candidate);
+
+  return [...sorted, ...endMarkers];
+};
 
 /**
  * Connection State Manager
- * Manages WebRTC connection states and provides reconnection logic
+ * Watches a peer connection and brings it back when it drops: ICE restarts
+ * first, a fresh peer connection once those run out. The actual restart and
+ * rebuild go through signaling, so they are passed in as `restartIce` and
+ * `rebuild`. onStateChange receives 'connecting', 'connected',
+ * 'reconnecting', 'offline', 'rebuilding' or 'failed'.
  */
 export class ConnectionStateManager {
-  constructor(peerConnection, onStateChange) {
+  constructor(peerConnection, onStateChange, options = {}) {
     this.peerConnection = peerConnection;
     this.onStateChange = onStateChange;
+    this.restartIce = options.restartIce || (() => peerConnection.restartIce());
+    this.rebuild = options.rebuild || null;
+    this.state = 'connecting';
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 3;
+    this.rebuildAttempts = 0;
+    this.maxRebuildAttempts = 2;
     this.reconnectDelay = 1000; // Start with 1 second
+    this.disconnectGrace = 2000; // 'disconnected' often recovers on its own
+    this.attemptTimeout = 10000; // How long one attempt gets to reconnect
+    // The impolite side restarts first, so the polite one usually just answers
+    this.politeDelay = options.polite ? this.reconnectDelay : 0;
+    this.reconnectTimer = null;
+
+    this.handleConnectionStateChange = this.handleConnectionStateChange.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleOffline = this.handleOffline.bind(this);
   }
   
   startMonitoring() {
-    this.peerConnection.addEventListener('connectionstatechange', () => {
-      const state = this.peerConnection.connectionState;
-      this.onStateChange(state);
-      
-      if (state === 'disconnected' || state === 'failed') {
-        this.handleDisconnection();
-      }
-    });
-    
-    this.peerConnection.addEventListener('iceconnectionstatechange', () => {
-      const state = this.peerConnection.iceConnectionState;
-      
-      if (state === 'disconnected' || state === 'failed') {
-        this.handleDisconnection();
-      }
-    });
+    // connectionState covers both ICE and DTLS, so it is the only event needed
+    this.peerConnection.addEventListener('connectionstatechange', this.handleConnectionStateChange);
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
   }
-  
-  handleDisconnection() {
+
+  stopMonitoring() {
+    this.peerConnection.removeEventListener('connectionstatechange', this.handleConnectionStateChange);
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+    this.clearReconnectTimer();
+  }
+
+  /**
+   * Follow a new peer connection for the same peer after a rebuild
+   */
+  setPeerConnection(peerConnection) {
+    this.peerConnection.removeEventListener('connectionstatechange', this.handleConnectionStateChange);
+    this.peerConnection = peerConnection;
+    this.peerConnection.addEventListener('connectionstatechange', this.handleConnectionStateChange);
+  }
+
+  handleConnectionStateChange() {
+    switch (this.peerConnection.connectionState) {
+      case 'connected':
+        this.clearReconnectTimer();
+        this.resetReconnectAttempts();
+        this.setState('connected');
+        break;
+
+      case 'disconnected':
+        // Give the connection a moment to recover before restarting
+        if (!this.reconnectTimer) {
+          this.scheduleReconnect(this.disconnectGrace + this.politeDelay);
+        }
+        break;
+
+      case 'failed':
+        this.clearReconnectTimer();
+        this.scheduleReconnect(this.politeDelay);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  handleOnline() {
+    // Back online: whatever we were waiting for, try right away
+    if (this.state === 'offline' || this.state === 'reconnecting') {
+      this.clearReconnectTimer();
+      this.reconnectAttempts = 0;
+      this.scheduleReconnect(this.politeDelay);
+    }
+  }
+
+  handleOffline() {
+    if (this.state !== 'connecting') {
+      this.clearReconnectTimer();
+      this.setState('offline');
+    }
+  }
+
+  scheduleReconnect(delay) {
+    this.clearReconnectTimer();
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.attemptReconnect();
+    }, delay);
+  }
+
+  clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Restart ICE, or rebuild the connection once restarts ran out
+   */
+  attemptReconnect() {
+    if (this.peerConnection.connectionState === 'connected') {
+      this.setState('connected');
+      return;
+    }
+
+    // Nothing can get through while offline, wait for the 'online' event
+    if (!navigator.onLine) {
+      this.setState('offline');
+      return;
+    }
+
     if (this.reconnectAttempts < this.maxReconnectAttempts) {
       this.reconnectAttempts++;
-      
-      // Exponential backoff
-      const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
-      
-      setTimeout(() => {
-        // Attempt to restart ICE
-        this.peerConnection.restartIce();
-      }, delay);
+      this.setState('reconnecting');
+
+      Promise.resolve(this.restartIce())
+        .catch(e => console.error('Error restarting ICE:', e));
+    } else if (this.rebuild && this.rebuildAttempts < this.maxRebuildAttempts) {
+      this.rebuildAttempts++;
+      this.reconnectAttempts = 0;
+      this.setState('rebuilding');
+
+      Promise.resolve(this.rebuild())
+        .catch(e => console.error('Error rebuilding connection:', e));
+    } else {
+      this.setState('failed');
+      return;
+    }
+
+    // Exponential backoff between attempts that do not get us connected
+    const backoff = this.reconnectDelay * Math.pow(2, this.reconnectAttempts);
+    this.scheduleReconnect(this.attemptTimeout + backoff);
+  }
+
+  setState(state) {
+    if (this.state !== state) {
+      this.state = state;
+      this.onStateChange(state);
     }
   }
   
   resetReconnectAttempts() {
     this.reconnectAttempts = 0;
+    this.rebuildAttempts = 0;
   }
 }
 
 /**
- * Media Negotiation Optimizer
- * Optimizes the media negotiation process for faster connection establishment
+ * Simulcast Layers
+ * Encodings sent for every video track, lowest resolution first
  */
-export const optimizeMediaNegotiation = (peerConnection, localStream) => {
-  // Set bandwidth constraints for better performance
-  const senders = peerConnection.getSenders();
-  
-  senders.forEach(sender => {
-    if (sender.track && sender.track.kind === 'video') {
-      const parameters = sender.getParameters();
-      
-      if (!parameters.encodings) {
-        parameters.encodings = [{}];
-      }
-      
-      // Set maxBitrate to 1 Mbps for video
-      parameters.encodings[0].maxBitrate = 1000000;
-      
-      // Enable simulcast for better adaptation
-      if (parameters.encodings.length === 1) {
-        parameters.encodings.push({ maxBitrate: 500000 });
-        parameters.encodings.push({ maxBitrate: 150000 });
+export const SIMULCAST_LAYERS = [
+  { layer: 'low', rid: 'q', scaleResolutionDownBy: 4, maxBitrate: 150000 },
+  { layer: 'medium', rid: 'h', scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { layer: 'high', rid: 'f', scaleResolutionDownBy: 1, maxBitrate: 1000000 }
+];
+
+/**
+ * Simulcast Encodings
+ * sendEncodings for a video transceiver. Simulcast can only be set up
+ * when the transceiver is created, not added to a sender afterwards.
+ */
+export const getSimulcastEncodings = () => SIMULCAST_LAYERS.map(({ rid, scaleResolutionDownBy, maxBitrate }) => ({
+  rid,
+  scaleResolutionDownBy,
+  maxBitrate,
+  active: true
+}));
+
+// Frame rate every layer is sent at unless a profile or adaptation lowers it
+const MAX_FRAMERATE = 30;
+
+const TOP_LAYER = SIMULCAST_LAYERS[SIMULCAST_LAYERS.length - 1];
+
+/**
+ * Layer parameters for a profile's encoding settings, scaled down by adaptation limits.
+ * The profile's bitrate is the top layer's, lower layers keep their share of it.
+ */
+const shapeLayer = (layer, encoding, limits) => {
+  const profileScale = encoding?.maxBitrate ? encoding.maxBitrate / TOP_LAYER.maxBitrate : 1;
+
+  return {
+    scaleResolutionDownBy: Math.max(layer.scaleResolutionDownBy, limits?.scaleResolutionDownBy || 1),
+    maxBitrate: Math.round(layer.maxBitrate * profileScale * (limits?.bitrateFactor || 1)),
+    maxFramerate: Math.round((encoding?.maxFramerate || MAX_FRAMERATE) * (limits?.framerateFactor || 1))
+  };
+};
+
+/**
+ * Simulcast Layer Selection
+ * Sends only the requested layer, or every layer when `layer` is null.
+ * When the remote side did not accept simulcast there is a single encoding,
+ * which is shaped like the layer instead. `encoding` holds a media profile's
+ * settings. `limits` come from bitrate adaptation, and
+ * `limits.active === false` stops sending video altogether.
+ */
+export const selectSimulcastLayer = async (sender, layer, limits = null, encoding = null) => {
+  const target = layer ? SIMULCAST_LAYERS.find(l => l.layer === layer) : null;
+  const parameters = sender.getParameters();
+
+  if ((layer && !target) || !parameters.encodings || parameters.encodings.length === 0) {
+    return;
+  }
+
+  const active = limits?.active !== false;
+
+  if (parameters.encodings.length > 1) {
+    parameters.encodings.forEach(layerEncoding => {
+      const base = SIMULCAST_LAYERS.find(l => l.rid === layerEncoding.rid);
+
+      layerEncoding.active = active && (!target || layerEncoding.rid === target.rid);
+
+      if (base) {
+        Object.assign(layerEncoding, shapeLayer(base, encoding, limits));
       }
-      
-      sender.setParameters(parameters).catch(e => console.error('Error setting parameters:', e));
-    }
-  });
-  
-  // Set optimal video constraints
+    });
+  } else {
+    Object.assign(parameters.encodings[0], {
+      active,
+      ...shapeLayer(target || TOP_LAYER, encoding, limits)
+    });
+  }
+
+  if (encoding?.degradationPreference) {
+    parameters.degradationPreference = encoding.degradationPreference;
+  }
+
+  await sender.setParameters(parameters);
+};
+
+/**
+ * Media Negotiation Optimizer
+ * Applies a media profile's capture constraints and content hint to video tracks
+ */
+export const optimizeMediaNegotiation = (localStream, profile = getMediaProfile()) => {
   if (localStream) {
     const videoTracks = localStream.getVideoTracks();
     videoTracks.forEach(track => {
-      const capabilities = track.getCapabilities();
+      // Tells the encoder whether to favour sharpness or smooth motion
+      if ('contentHint' in track) {
+        track.contentHint = profile.contentHint;
+      }
+      
+      const capabilities = track.getCapabilities ? track.getCapabilities() : {};
       
       if (capabilities.width && capabilities.height) {
-        // Prefer 720p for better performance
-        track.applyConstraints({
-          width: { ideal: 1280, max: 1280 },
-          height: { ideal: 720, max: 720 },
-          frameRate: { ideal: 30, max: 30 }
-        }).catch(e => console.error('Error applying constraints:', e));
+        track.applyConstraints(profile.constraints)
+          .catch(e => console.error('Error applying constraints:', e));
       }
     });
   }
 };
 
+/**
+ * Codec Preference Ordering
+ * Moves the preferred codecs (by name, e.g. 'H264' or 'opus') to the front.
+ * Everything else keeps its order behind them, so RTX, RED and FEC stay available.
+ */
+export const sortCodecsByPreference = (codecs, preferredNames = []) => {
+  const preferred = preferredNames.map(name => name.toLowerCase());
+  const rank = (name) => {
+    const index = preferred.indexOf(name.toLowerCase());
+    return index === -1 ? preferred.length : index;
+  };
+
+  return codecs
+    .map((codec, index) => ({ codec, index, rank: rank(codec.mimeType.split('/')[1]) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ codec }) => codec);
+};
+
+/**
+ * Codec Preferences
+ * Applies preferred codecs to a transceiver with setCodecPreferences.
+ * Returns false when the browser cannot, so SDP reordering has to be used.
+ */
+export const applyCodecPreferences = (transceiver, kind, preferredNames) => {
+  if (!preferredNames || preferredNames.length === 0) return true;
+
+  if (!transceiver.setCodecPreferences || !window.RTCRtpReceiver?.getCapabilities) {
+    return false;
+  }
+
+  const capabilities = RTCRtpReceiver.getCapabilities(kind);
+
+  if (!capabilities) return false;
+
+  try {
+    transceiver.setCodecPreferences(sortCodecsByPreference(capabilities.codecs, preferredNames));
+    return true;
+  } catch (error) {
+    console.warn(`setCodecPreferences failed for ${kind}, falling back to SDP:`, error);
+    return false;
+  }
+};
+
 /**
  * Fallback Mechanism
  * Provides fallback options when primary connection methods fail
@@ -0,0 +1,86 @@
+import { ConnectionStateManager } from './signalingOptimizer';
+
+// Minimal stand-in for RTCPeerConnection's connection state events
+const createPeerConnection = () => {
+  const target = new EventTarget();
+  target.connectionState = 'new';
+  target.setState = (state) => {
+    target.connectionState = state;
+    target.dispatchEvent(new Event('connectionstatechange'));
+  };
+  return target;
+};
+
+const setOnline = (online) => {
+  Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => online });
+  window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+};
+
+let peerConnection;
+let states;
+let restartIce;
+let rebuild;
+let manager;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  setOnline(true);
+  peerConnection = createPeerConnection();
+  states = [];
+  restartIce = jest.fn();
+  rebuild = jest.fn();
+  manager = new ConnectionStateManager(peerConnection, state => states.push(state), { restartIce, rebuild });
+  manager.startMonitoring();
+});
+
+afterEach(() => {
+  manager.stopMonitoring();
+  jest.useRealTimers();
+});
+
+test('restarts ICE once per failure and resets after reconnecting', () => {
+  peerConnection.setState('failed');
+  jest.advanceTimersByTime(0);
+
+  expect(restartIce).toHaveBeenCalledTimes(1);
+
+  peerConnection.setState('connected');
+  expect(manager.reconnectAttempts).toBe(0);
+  expect(states).toEqual(['reconnecting', 'connected']);
+});
+
+test('gives a disconnected connection time to recover on its own', () => {
+  peerConnection.setState('disconnected');
+  jest.advanceTimersByTime(1000);
+  peerConnection.setState('connected');
+  jest.advanceTimersByTime(5000);
+
+  expect(restartIce).not.toHaveBeenCalled();
+});
+
+test('rebuilds the connection after ICE restarts run out', () => {
+  peerConnection.setState('failed');
+
+  // Each attempt waits for its timeout before the next one
+  for (let i = 0; i < manager.maxReconnectAttempts + 1; i++) {
+    jest.runOnlyPendingTimers();
+  }
+
+  expect(restartIce).toHaveBeenCalledTimes(manager.maxReconnectAttempts);
+  expect(rebuild).toHaveBeenCalledTimes(1);
+  expect(states).toEqual(['reconnecting', 'rebuilding']);
+});
+
+test('waits for the browser to come back online', () => {
+  setOnline(false);
+  peerConnection.setState('failed');
+  jest.advanceTimersByTime(0);
+
+  expect(restartIce).not.toHaveBeenCalled();
+  expect(states).toEqual(['offline']);
+
+  setOnline(true);
+  jest.advanceTimersByTime(0);
+
+  expect(restartIce).toHaveBeenCalledTimes(1);
+});
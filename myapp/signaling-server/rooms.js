@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+/**
+ * Room Registry
+ * Keeps track of rooms and the participants connected to them,
+ * following the same rules as the Flask signaling route
+ */
+class RoomRegistry {
+  constructor() {
+    this.rooms = new Map(); // roomName -> { createdAt, persistent, participants: Map(id -> { name, socket, joinedAt }) }
+  }
+
+  /**
+   * Create an empty room with a random name
+   */
+  createRoom() {
+    let roomName;
+
+    do {
+      roomName = crypto.randomBytes(4).toString('hex');
+    } while (this.rooms.has(roomName));
+
+    // Rooms created through the API outlive their participants, like Metered rooms
+    this.rooms.set(roomName, { createdAt: Date.now(), persistent: true, participants: new Map() });
+    return roomName;
+  }
+
+  /**
+   * Whether a room was created or is in use
+   */
+  hasRoom(roomName) {
+    return this.rooms.has(roomName);
+  }
+
+  /**
+   * Get a room, creating it if needed
+   */
+  getOrCreateRoom(roomName) {
+    if (!this.rooms.has(roomName)) {
+      this.rooms.set(roomName, { createdAt: Date.now(), persistent: false, participants: new Map() });
+    }
+
+    return this.rooms.get(roomName);
+  }
+
+  /**
+   * Add a participant, or hand an existing participant a new socket
+   * Returns true when this resumes an earlier session
+   */
+  join(roomName, participantId, name, socket) {
+    const room = this.getOrCreateRoom(roomName);
+    const resumed = room.participants.has(participantId);
+
+    room.participants.set(participantId, { name, socket, joinedAt: Date.now() });
+    return resumed;
+  }
+
+  /**
+   * Remove a participant if the socket still owns its entry
+   * Returns true when the participant was removed
+   */
+  leave(roomName, participantId, socket) {
+    const room = this.rooms.get(roomName);
+    const participant = room && room.participants.get(participantId);
+
+    if (!participant || participant.socket !== socket) {
+      return false;
+    }
+
+    room.participants.delete(participantId);
+
+    if (room.participants.size === 0 && !room.persistent) {
+      this.rooms.delete(roomName);
+    }
+
+    return true;
+  }
+
+  /**
+   * Find a participant in a room
+   */
+  getParticipant(roomName, participantId) {
+    const room = this.rooms.get(roomName);
+    return room ? room.participants.get(participantId) : undefined;
+  }
+
+  /**
+   * List participants in a room, optionally skipping one
+   */
+  listParticipants(roomName, exceptId) {
+    const room = this.rooms.get(roomName);
+
+    if (!room) return [];
+
+    return [...room.participants]
+      .filter(([id]) => id !== exceptId)
+      .map(([id, participant]) => ({ id, name: participant.name, socket: participant.socket }));
+  }
+}
+
+module.exports = { RoomRegistry };
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RoomRegistry } = require('./rooms');
+
+test('resuming a participant keeps one entry and hands it the new socket', () => {
+  const registry = new RoomRegistry();
+  const oldSocket = {};
+  const newSocket = {};
+
+  assert.strictEqual(registry.join('room', 'a', 'Alice', oldSocket), false);
+  assert.strictEqual(registry.join('room', 'a', 'Alice', newSocket), true);
+
+  assert.deepStrictEqual(registry.listParticipants('room').map(p => p.id), ['a']);
+  assert.strictEqual(registry.getParticipant('room', 'a').socket, newSocket);
+
+  // The replaced socket closing late must not remove the resumed participant
+  assert.strictEqual(registry.leave('room', 'a', oldSocket), false);
+  assert.ok(registry.getParticipant('room', 'a'));
+});
+
+test('rooms opened by joining go away with their last participant', () => {
+  const registry = new RoomRegistry();
+  const socket = {};
+
+  registry.join('room', 'a', 'Alice', socket);
+  assert.strictEqual(registry.leave('room', 'a', socket), true);
+
+  assert.strictEqual(registry.hasRoom('room'), false);
+});
+
+test('rooms created through the API outlive their participants', () => {
+  const registry = new RoomRegistry();
+  const roomName = registry.createRoom();
+  const socket = {};
+
+  assert.match(roomName, /^[0-9a-f]{8}$/);
+
+  registry.join(roomName, 'a', 'Alice', socket);
+  registry.leave(roomName, 'a', socket);
+
+  assert.strictEqual(registry.hasRoom(roomName), true);
+  assert.deepStrictEqual(registry.listParticipants(roomName), []);
+});
+
+test('lists participants without the one asking', () => {
+  const registry = new RoomRegistry();
+
+  registry.join('room', 'a', 'Alice', {});
+  registry.join('room', 'b', 'Bob', {});
+
+  assert.deepStrictEqual(registry.listParticipants('room', 'a').map(p => p.name), ['Bob']);
+  assert.deepStrictEqual(registry.listParticipants('missing'), []);
+});
@@ -0,0 +1,186 @@
+const http = require('http');
+const { URL } = require('url');
+const { WebSocketServer } = require('ws');
+const { RoomRegistry } = require('./rooms');
+const { createTurnCredentials, getTurnConfig } = require('./turn');
+
+const SIGNALING_PATH = /^\/ws\/signaling\/([^/]+)$/;
+
+// Messages passed through untouched to the participant named in `to`
+const RELAYED_TYPES = ['offer', 'answer', 'ice_candidate'];
+
+// Messages sent on to everyone else in the room, from the sender's participant id
+const BROADCAST_TYPES = ['recording_state'];
+
+// Only the Metered provider asks for it, rooms on this server aren't Metered rooms
+const METERED_DOMAIN = process.env.METERED_DOMAIN || null;
+
+/**
+ * Send a JSON message, ignoring sockets that already went away
+ */
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Write a JSON HTTP response with permissive CORS, like flask_cors does
+ */
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Handle the local stand-ins for the Metered backed REST API
+ */
+const handleHttpRequest = (registry, turnConfig, req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    return sendJson(res, 204, {});
+  }
+
+  // API: Create a meeting room
+  if (req.method === 'POST' && url.pathname === '/api/create/room') {
+    const roomName = registry.createRoom();
+    return sendJson(res, 200, { roomName });
+  }
+
+  // API: Validate a meeting room by roomName
+  if (req.method === 'GET' && url.pathname === '/api/validate-meeting') {
+    const roomName = url.searchParams.get('roomName');
+
+    if (!roomName) {
+      return sendJson(res, 200, { success: false, message: 'Please specify roomName' });
+    }
+
+    return sendJson(res, 200, { roomFound: registry.hasRoom(roomName) });
+  }
+
+  // API: Metered domain, the same as the Flask backend reports
+  if (req.method === 'GET' && url.pathname === '/api/metered-domain') {
+    return sendJson(res, 200, { METERED_DOMAIN });
+  }
+
+  // API: Short-lived TURN credentials for the frontend's ICE server provider
+  if (req.method === 'GET' && url.pathname === '/api/turn-credentials') {
+    return sendJson(res, 200, createTurnCredentials({ ...turnConfig, user: url.searchParams.get('user') || undefined }));
+  }
+
+  if (req.method === 'GET' && url.pathname === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end('Signaling server');
+  }
+
+  sendJson(res, 404, { success: false, message: 'Not found' });
+};
+
+/**
+ * Handle one signaling socket for a room
+ */
+const handleSignalingSocket = (registry, socket, roomName) => {
+  let participantId = null;
+
+  const notifyOthers = (message) => {
+    registry.listParticipants(roomName, participantId)
+      .forEach(participant => send(participant.socket, message));
+  };
+
+  const leave = () => {
+    if (participantId && registry.leave(roomName, participantId, socket)) {
+      notifyOthers({ type: 'participant_left', participantId });
+    }
+  };
+
+  socket.on('message', (data) => {
+    let message;
+
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn(`Ignoring malformed message in room ${roomName}`);
+      return;
+    }
+
+    if (message.type === 'join') {
+      // New participant joining, or an existing one resuming
+      const room = registry.getOrCreateRoom(roomName);
+      participantId = message.participantId || String(room.participants.size);
+      const name = message.username || `User-${participantId}`;
+
+      const resumed = registry.join(roomName, participantId, name, socket);
+
+      if (!resumed) {
+        notifyOthers({ type: 'participant_joined', participant: { id: participantId, name } });
+      }
+
+      // Send room info to the new participant
+      send(socket, {
+        type: 'room_joined',
+        resumed,
+        participants: registry.listParticipants(roomName, participantId)
+          .map(({ id, name }) => ({ id, name }))
+      });
+    } else if (RELAYED_TYPES.includes(message.type)) {
+      // Forward to the target participant
+      const target = registry.getParticipant(roomName, message.to);
+
+      if (target) {
+        send(target.socket, message);
+      }
+    } else if (BROADCAST_TYPES.includes(message.type)) {
+      if (participantId) {
+        notifyOthers({ ...message, from: participantId });
+      }
+    } else if (message.type === 'leave') {
+      leave();
+      socket.close();
+    } else {
+      console.warn(`Unknown message type in room ${roomName}:`, message.type);
+    }
+  });
+
+  // Clean up when the participant disconnects without leaving
+  socket.on('close', leave);
+  socket.on('error', (error) => console.error(`WebSocket error in room ${roomName}:`, error));
+};
+
+/**
+ * Create the HTTP and signaling server
+ */
+const createServer = (registry = new RoomRegistry(), turnConfig = getTurnConfig()) => {
+  const server = http.createServer((req, res) => handleHttpRequest(registry, turnConfig, req, res));
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = new URL(req.url, 'http://localhost').pathname.match(SIGNALING_PATH);
+
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleSignalingSocket(registry, ws, decodeURIComponent(match[1]));
+    });
+  });
+
+  return server;
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 5000;
+
+  createServer().listen(port, () => {
+    console.log(`Signaling server listening on http://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = { createServer };
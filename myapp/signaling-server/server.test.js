@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const WebSocket = require('ws');
+const { createServer } = require('./server');
+const { RoomRegistry } = require('./rooms');
+
+const TURN_CONFIG = { secret: 'secret', ttl: 600, uris: ['turn:127.0.0.1:3478'] };
+
+/**
+ * Start a server on a random port
+ */
+const startServer = async () => {
+  const registry = new RoomRegistry();
+  const server = createServer(registry, TURN_CONFIG);
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const { port } = server.address();
+
+  return {
+    registry,
+    url: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}/ws/signaling`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Signaling client that collects what it receives, `next(type)` waits for a message of a type
+ */
+const connect = async (wsUrl, roomName) => {
+  const socket = new WebSocket(`${wsUrl}/${roomName}`);
+  const received = [];
+  const waiting = [];
+
+  socket.on('message', (data) => {
+    const message = JSON.parse(data);
+    const index = waiting.findIndex(waiter => waiter.type === message.type);
+
+    if (index === -1) {
+      received.push(message);
+    } else {
+      waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+
+  await once(socket, 'open');
+
+  return {
+    socket,
+    received,
+    send: (message) => socket.send(JSON.stringify(message)),
+    next: (type) => {
+      const index = received.findIndex(message => message.type === type);
+
+      if (index !== -1) {
+        return Promise.resolve(received.splice(index, 1)[0]);
+      }
+
+      return new Promise(resolve => waiting.push({ type, resolve }));
+    },
+    close: async () => {
+      if (socket.readyState !== WebSocket.CLOSED) {
+        socket.close();
+        await once(socket, 'close');
+      }
+    }
+  };
+};
+
+/**
+ * Wait until a condition holds, failing after a second
+ */
+const waitFor = async (condition) => {
+  for (let waited = 0; !condition(); waited += 10) {
+    assert.ok(waited < 1000, 'Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Join a room and wait until the server confirmed it
+ */
+const join = async (wsUrl, roomName, participantId, username) => {
+  const client = await connect(wsUrl, roomName);
+  client.send({ type: 'join', roomName, participantId, username });
+  client.joined = await client.next('room_joined');
+  return client;
+};
+
+test('REST API', async (t) => {
+  const server = await startServer();
+  t.after(server.close);
+
+  await t.test('creates rooms that can be validated', async () => {
+    const created = await (await fetch(`${server.url}/api/create/room`, { method: 'POST' })).json();
+    assert.match(created.roomName, /^[0-9a-f]{8}$/);
+
+    const found = await (await fetch(`${server.url}/api/validate-meeting?roomName=${created.roomName}`)).json();
+    assert.deepStrictEqual(found, { roomFound: true });
+
+    const missing = await (await fetch(`${server.url}/api/validate-meeting?roomName=nope`)).json();
+    assert.deepStrictEqual(missing, { roomFound: false });
+  });
+
+  await t.test('asks for a room name to validate', async () => {
+    const response = await (await fetch(`${server.url}/api/validate-meeting`)).json();
+    assert.deepStrictEqual(response, { success: false, message: 'Please specify roomName' });
+  });
+
+  await t.test('hands out TURN credentials', async () => {
+    const response = await fetch(`${server.url}/api/turn-credentials?user=alice`);
+    const credentials = await response.json();
+
+    assert.strictEqual(response.headers.get('access-control-allow-origin'), '*');
+    assert.match(credentials.username, /^\d+:alice$/);
+    assert.strictEqual(credentials.ttl, 600);
+    assert.deepStrictEqual(credentials.uris, TURN_CONFIG.uris);
+  });
+
+  await t.test('reports the Metered domain', async () => {
+    const response = await (await fetch(`${server.url}/api/metered-domain`)).json();
+    assert.ok('METERED_DOMAIN' in response);
+  });
+
+  await t.test('answers unknown paths with 404', async () => {
+    const response = await fetch(`${server.url}/api/nothing`);
+    assert.strictEqual(response.status, 404);
+    await response.text();
+  });
+});
+
+test('signaling', async (t) => {
+  const server = await startServer();
+  const clients = [];
+  const joinRoom = async (...args) => {
+    const client = await join(server.wsUrl, ...args);
+    clients.push(client);
+    return client;
+  };
+
+  t.after(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await server.close();
+  });
+
+  await t.test('announces a joining participant and lists the others to it', async () => {
+    const alice = await joinRoom('join-room', 'a', 'Alice');
+    assert.deepStrictEqual(alice.joined, { type: 'room_joined', resumed: false, participants: [] });
+
+    const bob = await joinRoom('join-room', 'b', 'Bob');
+    assert.deepStrictEqual(bob.joined.participants, [{ id: 'a', name: 'Alice' }]);
+
+    assert.deepStrictEqual(await alice.next('participant_joined'), {
+      type: 'participant_joined',
+      participant: { id: 'b', name: 'Bob' }
+    });
+  });
+
+  await t.test('relays offers, answers and candidates only to their target', async () => {
+    const alice = await joinRoom('relay-room', 'a', 'Alice');
+    const bob = await joinRoom('relay-room', 'b', 'Bob');
+    const carol = await joinRoom('relay-room', 'c', 'Carol');
+
+    const offer = { type: 'offer', offer: { type: 'offer', sdp: 'v=0' }, from: 'a', to: 'b' };
+    alice.send(offer);
+    assert.deepStrictEqual(await bob.next('offer'), offer);
+
+    bob.send({ type: 'answer', answer: { type: 'answer', sdp: 'v=0' }, from: 'b', to: 'a' });
+    bob.send({ type: 'ice_candidate', candidate: { candidate: 'candidate:1' }, from: 'b', to: 'a' });
+    assert.strictEqual((await alice.next('answer')).from, 'b');
+    assert.deepStrictEqual((await alice.next('ice_candidate')).candidate, { candidate: 'candidate:1' });
+
+    assert.deepStrictEqual(carol.received.filter(message => message.to), []);
+  });
+
+  await t.test('broadcasts recording state from the sender', async () => {
+    const alice = await joinRoom('recording-room', 'a', 'Alice');
+    const bob = await joinRoom('recording-room', 'b', 'Bob');
+
+    // A forged sender id is replaced with the real one
+    alice.send({ type: 'recording_state', state: 'recording', from: 'b' });
+
+    assert.deepStrictEqual(await bob.next('recording_state'), { type: 'recording_state', state: 'recording', from: 'a' });
+  });
+
+  await t.test('resumes a participant without announcing it again', async () => {
+    const alice = await joinRoom('resume-room', 'a', 'Alice');
+    const bob = await joinRoom('resume-room', 'b', 'Bob');
+    await alice.next('participant_joined');
+
+    // Bob's new socket takes over before the old one is noticed as gone
+    const resumed = await joinRoom('resume-room', 'b', 'Bob');
+    assert.strictEqual(resumed.joined.resumed, true);
+    assert.deepStrictEqual(resumed.joined.participants, [{ id: 'a', name: 'Alice' }]);
+
+    await bob.close();
+
+    // Still reachable on the new socket, and never announced as left
+    alice.send({ type: 'offer', offer: { type: 'offer', sdp: 'v=0' }, from: 'a', to: 'b' });
+    await resumed.next('offer');
+    assert.deepStrictEqual(alice.received.filter(message => message.type.startsWith('participant_')), []);
+  });
+
+  await t.test('tells the others when a participant leaves or drops', async () => {
+    const alice = await joinRoom('leave-room', 'a', 'Alice');
+    const bob = await joinRoom('leave-room', 'b', 'Bob');
+    const carol = await joinRoom('leave-room', 'c', 'Carol');
+
+    bob.send({ type: 'leave' });
+    assert.deepStrictEqual(await alice.next('participant_left'), { type: 'participant_left', participantId: 'b' });
+
+    // Closing without a leave message counts too
+    await carol.close();
+    assert.deepStrictEqual(await alice.next('participant_left'), { type: 'participant_left', participantId: 'c' });
+
+    await alice.close();
+
+    // The room was opened by joining, so it goes with its last participant
+    await waitFor(() => !server.registry.hasRoom('leave-room'));
+  });
+
+  await t.test('keeps rooms created through the API after everyone left', async () => {
+    const created = await (await fetch(`${server.url}/api/create/room`, { method: 'POST' })).json();
+    const alice = await joinRoom(created.roomName, 'a', 'Alice');
+
+    await alice.close();
+    await waitFor(() => server.registry.listParticipants(created.roomName).length === 0);
+
+    assert.strictEqual(server.registry.hasRoom(created.roomName), true);
+  });
+
+  await t.test('refuses sockets outside the signaling path', async () => {
+    const socket = new WebSocket(server.url.replace('http', 'ws') + '/elsewhere');
+    const [error] = await once(socket, 'error');
+    assert.ok(error);
+  });
+});
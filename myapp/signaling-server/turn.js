@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * TURN REST API Credentials
+ * Time-limited credentials in the format coturn's `use-auth-secret` mode
+ * accepts: the username carries the expiry time and the password is an
+ * HMAC of it with the shared secret, so no per-user state is kept.
+ */
+const createTurnCredentials = ({ secret, ttl, uris, user = 'webrtc' }, now = Date.now()) => {
+  const expiresAt = Math.floor(now / 1000) + ttl;
+  const username = `${expiresAt}:${user}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+  return { username, credential, ttl, uris };
+};
+
+/**
+ * TURN settings from the environment, defaulting to a coturn on this machine
+ */
+const getTurnConfig = (env = process.env) => ({
+  secret: env.TURN_SECRET || 'local-development-secret',
+  ttl: Number(env.TURN_TTL) || 3600,
+  uris: env.TURN_URLS
+    ? env.TURN_URLS.split(',')
+    : ['turn:127.0.0.1:3478?transport=udp', 'turn:127.0.0.1:3478?transport=tcp']
+});
+
+module.exports = { createTurnCredentials, getTurnConfig };
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createTurnCredentials, getTurnConfig } = require('./turn');
+
+test('signs an expiring username the way coturn checks it', () => {
+  const credentials = createTurnCredentials(
+    { secret: 'secret', ttl: 600, uris: ['turn:example.com:3478'], user: 'alice' },
+    1700000000000
+  );
+
+  assert.strictEqual(credentials.username, '1700000600:alice');
+  assert.strictEqual(
+    credentials.credential,
+    crypto.createHmac('sha1', 'secret').update('1700000600:alice').digest('base64')
+  );
+  assert.strictEqual(credentials.ttl, 600);
+  assert.deepStrictEqual(credentials.uris, ['turn:example.com:3478']);
+});
+
+test('reads TURN settings from the environment', () => {
+  assert.deepStrictEqual(getTurnConfig({ TURN_SECRET: 's', TURN_TTL: '60', TURN_URLS: 'turn:a,turns:b' }), {
+    secret: 's',
+    ttl: 60,
+    uris: ['turn:a', 'turns:b']
+  });
+  assert.strictEqual(getTurnConfig({}).ttl, 3600);
+});